@@ -1,12 +1,28 @@
-import { WebSocketServer } from 'ws';
+import WebSocket, { WebSocketServer } from 'ws';
+import http from 'http';
+import https from 'https';
 import protobuf from 'protobufjs';
-import { FileWriter } from 'wav';
 import fs from 'fs/promises';
-import speech from '@google-cloud/speech';
+import { existsSync } from 'fs';
 import path from 'path';
+import { randomBytes } from 'crypto';
 import { fileURLToPath } from 'url';
 import { exec } from 'child_process';
 import { promisify } from 'util';
+import { CallSession } from './src/call_session.js';
+import { createRecognitionEngine } from './src/recognizers/index.js';
+import { LiveViewer } from './src/live_viewer.js';
+import { RecognitionProfiles } from './src/recognition_profiles.js';
+import { VocabularyStore } from './src/vocabulary.js';
+import { AuthError, KeyStore } from './src/auth.js';
+import { CloseCode, ErrorCode, ProtocolError } from './src/protocol.js';
+import { recoverOrphanedSessions } from './src/session_recovery.js';
+import { SessionJournal } from './src/session_journal.js';
+import { WebhookDispatcher, WebhookEvent } from './src/webhooks.js';
+import { CallStore } from './src/call_store.js';
+import { CallApi } from './src/call_api.js';
+import { AlertRules } from './src/alert_rules.js';
+import { isArabic } from './src/text_utils.js';
 
 // Convert Windows console to UTF-8
 if (process.platform === 'win32') {
@@ -19,85 +35,425 @@ if (process.platform === 'win32') {
   }
 }
 
+const DEFAULT_RESUME_GRACE_MS = 30000;
+
+// Final segments kept in the transcriptions.json feed
+const FEED_LENGTH = 100;
+
 // Get current file directory
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function isArabic(text) {
-  return /[\u0600-\u06FF]/.test(text);
-}
-
-class AudioWebSocketServer {
-  constructor(port) {
+// Settings come from the environment; `options` overrides them when the server
+// is embedded, e.g. by the test suite
+export class AudioWebSocketServer {
+  constructor(port, options = {}) {
     this.port = port;
-    this.outputFileStream1 = null;
-    this.outputFileStream2 = null;
     this.messageType = null;
-    this.sessionId = null;
-    this.transcriptionStreams = new Map();
-    this.transcriptions = new Map();
-    this.isStreamActive = new Map();
-    this.isDisconnecting = false;
+    this.responseType = null;
+    this.sessions = new Map(); // sessionId -> CallSession
+    this.jsonWriteQueue = Promise.resolve();
     
     // Define output directory using __dirname
-    this.outputDir = path.join(__dirname, 'output');
-    this.htmlOutput = path.join(this.outputDir, 'transcription-viewer.html');
+    this.outputDir = options.outputDir || path.join(__dirname, 'output');
     this.jsonOutput = path.join(this.outputDir, 'transcriptions.json');
+    // Every alert raised, one JSON object per line
+    this.alertLog = path.join(this.outputDir, 'alerts.jsonl');
+    this.alertLogQueue = Promise.resolve();
+    // Created in initialize(), once the key store it checks viewers against is loaded
+    this.liveViewer = null;
     
-    // Initialize Google Cloud Speech client
-    this.speechClient = new speech.SpeechClient({
-      keyFilename: path.join(__dirname, 'zoomineer001-86e110ef6df2.json')
-    });
+    // Speech recognition backend: 'google' (default) or the offline 'scripted' engine
+    this.recognitionEngineName = process.env.RECOGNITION_ENGINE || 'google';
+    // An engine instance can be passed in directly, bypassing RECOGNITION_ENGINE
+    this.recognitionEngine = options.recognitionEngine || null;
+    this.profilesFile = process.env.RECOGNITION_PROFILES ||
+      path.join(__dirname, 'config', 'recognition_profiles.json');
+    this.profiles = null;
+    this.vocabularyDir = process.env.RECOGNITION_VOCABULARIES ||
+      path.join(__dirname, 'config', 'vocabularies');
+    this.vocabularies = null;
+
+    // Handshake authentication against a local key store; opting out must be explicit
+    this.authKeysFile = options.authKeysFile || process.env.AUTH_KEYS_FILE ||
+      path.join(__dirname, 'config', 'auth_keys.json');
+    this.authDisabled = options.authDisabled ?? process.env.AUTH_DISABLED === 'true';
+    this.keyStore = null;
+
+    // Calls whose connection drops stay open this long for the client to resume
+    this.resumeGraceMs = options.resumeGraceMs ??
+      Number(process.env.SESSION_RESUME_GRACE_MS || DEFAULT_RESUME_GRACE_MS);
+
+    // Completed calls are kept here and served by the /api endpoints
+    this.callStoreFile = options.callStoreFile || process.env.CALL_STORE_FILE ||
+      path.join(this.outputDir, 'calls.db');
+    this.callStore = null;
+    this.callApi = null;
+
+    // HTTP endpoints notified of final segments and completed calls; none
+    // unless the file exists
+    this.webhooksFile = options.webhooksFile || process.env.WEBHOOKS_FILE ||
+      path.join(__dirname, 'config', 'webhooks.json');
+    this.webhooks = null;
+
+    // Compliance phrases checked against final results during calls; none
+    // unless the file exists
+    this.alertRulesFile = options.alertRulesFile || process.env.ALERT_RULES_FILE ||
+      path.join(__dirname, 'config', 'alert_rules.json');
+    this.alertRules = null;
+
+    // In-process TLS termination when both files are given
+    this.tlsCertFile = process.env.TLS_CERT_FILE;
+    this.tlsKeyFile = process.env.TLS_KEY_FILE;
   }
 
   async initialize() {
     // Ensure output directory exists
     await fs.mkdir(this.outputDir, { recursive: true });
+
+    this.callStore = new CallStore(this.callStoreFile);
+    await this.startWebhooks();
+
+    // Finish calls a previous run left behind before new ones write here
+    const recovered = await recoverOrphanedSessions(this.outputDir);
+    for (const { sessionId } of recovered) {
+      await this.publishRecoveredCall(sessionId);
+    }
+    // Recovered calls, and calls finished before the store existed
+    await this.importCallFiles();
+
+    // The feed picks up where the last run left off
+    await this.saveTranscriptionsJson(this.callStore.recentFeed(FEED_LENGTH));
     
-    await this.initializeHtmlOutput();
-    await fs.writeFile(this.jsonOutput, '[]', 'utf8');
+    if (!this.recognitionEngine) {
+      this.recognitionEngine = await createRecognitionEngine(this.recognitionEngineName, {
+        keyFilename: process.env.GOOGLE_APPLICATION_CREDENTIALS ||
+          path.join(__dirname, 'zoomineer001-86e110ef6df2.json'),
+        scriptFile: process.env.RECOGNITION_SCRIPT
+      });
+    }
+    console.log(`Using ${this.recognitionEngine.name} speech recognition engine`);
+
+    this.profiles = await RecognitionProfiles.load(this.profilesFile);
+    console.log(`Loaded recognition profiles: ${this.profiles.names.join(', ')}`);
+    this.vocabularies = await VocabularyStore.load(this.vocabularyDir);
+    console.log(`Loaded vocabularies: ${this.vocabularies.names.join(', ') || '(none)'}`);
+    await this.loadAlertRules();
     
-    const root = await protobuf.load('audio.proto');
+    if (this.authDisabled) {
+      console.warn('WARNING: authentication is disabled, any client can stream call audio');
+    } else {
+      try {
+        this.keyStore = await KeyStore.load(this.authKeysFile);
+      } catch (error) {
+        throw new Error(
+          `Could not load auth keys from ${this.authKeysFile} (${error.message}); ` +
+          'set AUTH_KEYS_FILE, or AUTH_DISABLED=true to run without authentication'
+        );
+      }
+      console.log(`Loaded auth keys for ${this.keyStore.size} tenant(s)`);
+    }
+    this.callApi = new CallApi({ store: this.callStore, keyStore: this.keyStore });
+    this.liveViewer = new LiveViewer({
+      sessions: this.sessions,
+      viewerFile: path.join(__dirname, 'public', 'transcription-viewer.html'),
+      jsonOutput: this.jsonOutput,
+      keyStore: this.keyStore
+    });
+
+    const root = await protobuf.load(path.join(__dirname, 'audio.proto'));
     this.messageType = root.lookupType('StreamCallSessionRequest');
+    this.responseType = root.lookupType('StreamCallSessionResponse');
     
-    this.wss = new WebSocketServer({ port: this.port });
+    // The viewer and the WebSocket endpoint share one port
+    const useTls = Boolean(this.tlsCertFile && this.tlsKeyFile);
+    const requestHandler = (req, res) => this.handleHttpRequest(req, res);
+    this.httpServer = useTls ?
+      https.createServer({
+        cert: await fs.readFile(this.tlsCertFile),
+        key: await fs.readFile(this.tlsKeyFile)
+      }, requestHandler) :
+      http.createServer(requestHandler);
+    this.wss = new WebSocketServer({
+      server: this.httpServer,
+      verifyClient: (info, callback) => this.verifyClient(info, callback)
+    });
     this.setupServerHandlers();
-    console.log(`WebSocket server started on port ${this.port}`);
-    console.log(`HTML viewer available at: ${this.htmlOutput}`);
+
+    await new Promise((resolve) => this.httpServer.listen(this.port, resolve));
+    // Port 0 asks the OS for a free port
+    this.port = this.httpServer.address().port;
+    console.log(`WebSocket server started on port ${this.port}${useTls ? ' (TLS)' : ''}`);
+    console.log(`HTML viewer available at: ${useTls ? 'https' : 'http'}://localhost:${this.port}/`);
+  }
+
+  async startWebhooks() {
+    const outboxDir = path.join(this.outputDir, 'webhook_outbox');
+    try {
+      this.webhooks = await WebhookDispatcher.load(this.webhooksFile, { outboxDir });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not load webhooks from ${this.webhooksFile} (${error.message})`);
+      }
+      this.webhooks = new WebhookDispatcher({ outboxDir });
+    }
+    // Started even without endpoints, to report deliveries left in the outbox
+    await this.webhooks.start();
+    if (this.webhooks.isEnabled) {
+      console.log(`Webhooks: ${[...this.webhooks.endpoints.keys()].join(', ')}`);
+    }
+  }
+
+  async loadAlertRules() {
+    try {
+      this.alertRules = await AlertRules.load(this.alertRulesFile);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Could not load alert rules from ${this.alertRulesFile} (${error.message})`);
+      }
+      this.alertRules = new AlertRules();
+    }
+    if (this.alertRules.size > 0) {
+      console.log(`Loaded ${this.alertRules.size} alert rule(s)`);
+    }
+  }
+
+  // A completed call as a session's 'completed' event describes it, rebuilt
+  // from the files it left in the output directory
+  async readCallFiles(sessionId) {
+    const readJson = async (file) => JSON.parse(await fs.readFile(path.join(this.outputDir, file), 'utf8'));
+    const [transcript, metadata] = await Promise.all([
+      readJson(`transcription_${sessionId}.json`),
+      readJson(`metadata_${sessionId}.json`)
+    ]);
+    const recordingFile = path.join(this.outputDir, `combined_${sessionId}.wav`);
+    const hasRecording = await fs.access(recordingFile).then(() => true, () => false);
+    return {
+      sessionId,
+      platformCallId: metadata.platformCallId,
+      tenantId: metadata.tenantId ?? null,
+      recordingFile: hasRecording ? recordingFile : null,
+      transcript,
+      metadata
+    };
+  }
+
+  // A call finished by recovery completes like any other
+  async publishRecoveredCall(sessionId) {
+    if (!this.webhooks.isEnabled) {
+      return;
+    }
+    try {
+      const call = await this.readCallFiles(sessionId);
+      await this.webhooks.publish(WebhookEvent.CALL_COMPLETED, { ...call, recovered: true });
+    } catch (error) {
+      console.error(`Could not publish recovered call ${sessionId}:`, error);
+    }
+  }
+
+  // Store every call in the output directory the call store doesn't have yet
+  async importCallFiles() {
+    const sessionIds = (await fs.readdir(this.outputDir))
+      .map((file) => /^transcription_(.+)\.json$/.exec(file)?.[1])
+      .filter((sessionId) => sessionId && !this.callStore.hasCall(sessionId));
+
+    for (const sessionId of sessionIds) {
+      try {
+        this.callStore.saveCall(await this.readCallFiles(sessionId));
+      } catch (error) {
+        console.warn(`Could not import call ${sessionId} into the call store: ${error.message}`);
+      }
+    }
+    if (sessionIds.length > 0) {
+      console.log(`Imported ${sessionIds.length} call(s) into the call store`);
+    }
+  }
+
+  // Runs during the upgrade handshake, so a rejected client never gets a
+  // session, recording or recognizer stream
+  verifyClient({ req }, callback) {
+    if (!this.keyStore) {
+      req.auth = null;
+      callback(true);
+      return;
+    }
+
+    try {
+      req.auth = this.keyStore.authenticate(req);
+      callback(true);
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        console.error('Error authenticating connection:', error);
+        callback(false, 500);
+        return;
+      }
+      console.warn(`Rejected connection from ${req.socket.remoteAddress}: ${error.message}`);
+      callback(false, error.statusCode, http.STATUS_CODES[error.statusCode]);
+    }
+  }
+
+  async handleHttpRequest(req, res) {
+    try {
+      if (req.method === 'GET' && await this.callApi.handleRequest(req, res)) {
+        return;
+      }
+      if (req.method === 'GET' && await this.liveViewer.handleRequest(req, res)) {
+        return;
+      }
+      res.writeHead(404);
+      res.end();
+    } catch (error) {
+      console.error('Error handling HTTP request:', error);
+      if (!res.headersSent) {
+        res.writeHead(500);
+      }
+      res.end();
+    }
+  }
+
+  createSessionId() {
+    // Several calls can connect within the same millisecond
+    return `${Date.now()}_${randomBytes(3).toString('hex')}`;
+  }
+
+  // Platform call ids can repeat, e.g. a call that reconnects after the resume
+  // grace period or a platform that reuses ids. An id stays taken once a call
+  // has left files or a stored row under it, so a later call never overwrites them.
+  isSessionIdTaken(sessionId) {
+    return this.sessions.has(sessionId) ||
+      this.callStore.hasCall(sessionId) ||
+      existsSync(SessionJournal.fileFor(this.outputDir, sessionId)) ||
+      ['transcription_%.json', 'metadata_%.json', 'combined_%.wav'].some((pattern) =>
+        existsSync(path.join(this.outputDir, pattern.replace('%', sessionId)))
+      );
+  }
+
+  createSession(ws, auth) {
+    const session = new CallSession({
+      sessionId: this.createSessionId(),
+      ws,
+      tenantId: auth ? auth.tenantId : null,
+      outputDir: this.outputDir,
+      recognitionEngine: this.recognitionEngine,
+      profiles: this.profiles,
+      vocabularies: this.vocabularies,
+      alertRules: this.alertRules,
+      responseType: this.responseType,
+      resumeGraceMs: this.resumeGraceMs,
+      isSessionIdTaken: (sessionId) => this.isSessionIdTaken(sessionId)
+    });
+
+    // Sessions are keyed by platform call id once CALL_STARTED provides one
+    session.on('identified', (previousId) => {
+      this.sessions.delete(previousId);
+      this.sessions.set(session.sessionId, session);
+      this.liveViewer.publishSessions();
+    });
+
+    session.on('transcription', (transcription) => {
+      this.liveViewer.publishTranscription(session, transcription);
+      if (transcription.isFinal) {
+        this.updateTranscriptionsJson(session, transcription);
+        this.webhooks.publish(WebhookEvent.SEGMENT_FINAL, {
+          sessionId: session.sessionId,
+          platformCallId: session.platformCallId,
+          tenantId: session.tenantId,
+          segment: transcription
+        });
+      }
+    });
+
+    session.on('alert', (alert) => {
+      this.liveViewer.publishAlert(session, alert);
+      this.appendAlertLog(session, alert);
+    });
+
+    session.on('completed', (call) => {
+      try {
+        this.callStore.saveCall(call);
+      } catch (error) {
+        session.logError('Error storing call:', error);
+      }
+      this.webhooks.publish(WebhookEvent.CALL_COMPLETED, call);
+    });
+
+    session.on('suspended', () => this.liveViewer.publishSessions());
+    session.on('resumed', () => this.liveViewer.publishSessions());
+
+    session.once('closed', () => {
+      this.sessions.delete(session.sessionId);
+      this.liveViewer.publishSessions();
+      console.log(`Session ${session.sessionId} closed (${this.sessions.size} active)`);
+    });
+
+    this.sessions.set(session.sessionId, session);
+    this.liveViewer.publishSessions();
+    return session;
   }
 
   setupServerHandlers() {
-    this.wss.on('connection', (ws) => {
-      console.log('Client connected');
-      this.sessionId = Date.now().toString();
-      
+    this.wss.on('connection', (ws, req) => {
+      const auth = req.auth;
+      console.log(`Client connected${auth ? ` for tenant ${auth.tenantId}` : ''}`);
+
+      // Created on the first request, which may instead resume a dropped call
+      let session = null;
+
       // Track connection state
       ws.isAlive = true;
 
-      ws.on('message', async (message) => {
+      ws.on('message', async (message, isBinary) => {
+        if (ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+
+        let request;
         try {
-          await this.handleMessage(message);
+          request = this.decodeMessage(message, isBinary);
         } catch (error) {
-          console.error('Error handling message:', error);
+          // Nothing that can't even be decoded gets a session, let alone a call
+          if (session) {
+            session.reportError(error);
+          } else {
+            console.warn(`Rejected connection: ${error.message}`);
+            this.rejectConnection(ws, error);
+          }
+          return;
+        }
+
+        if (!session) {
+          if (request.streamingConfig?.resume) {
+            session = this.resumeSession(ws, auth, request.streamingConfig.resume);
+            return;
+          }
+          session = this.createSession(ws, auth);
+          console.log(`Session ${session.sessionId} started (${this.sessions.size} active)`);
         }
+        await session.handleMessage(request);
       });
 
       // Handle explicit close event
       ws.on('close', () => {
-        console.log('WebSocket closed event received');
-        this.handleDisconnection();
+        if (session) {
+          session.log('WebSocket closed event received');
+          session.handleDisconnect(ws);
+        }
       });
 
       // Handle connection termination
       ws.on('end', () => {
-        console.log('WebSocket end event received');
-        this.handleDisconnection();
+        if (session) {
+          session.log('WebSocket end event received');
+          session.handleDisconnect(ws);
+        }
       });
 
       // Handle errors
       ws.on('error', (error) => {
-        console.error('WebSocket error:', error);
-        this.handleDisconnection();
+        if (session) {
+          session.logError('WebSocket error:', error);
+          session.handleDisconnect(ws);
+        }
       });
 
       // Set up ping-pong to detect disconnection
@@ -123,246 +479,101 @@ class AudioWebSocketServer {
     // Clean up interval on server close
     this.wss.on('close', () => {
       clearInterval(interval);
+      this.liveViewer.close();
     });
   }
 
-  createTranscriptionStream(speaker) {
-    if (this.isStreamActive.get(speaker)) {
-      return;
+  // Finish every open call, then stop accepting connections
+  async close() {
+    await Promise.all([...this.sessions.values()].map((session) => session.close()));
+    for (const ws of this.wss.clients) {
+      ws.close(CloseCode.GOING_AWAY, 'Server shutting down');
     }
+    this.vocabularies?.close();
+    await new Promise((resolve) => this.wss.close(resolve));
+
+    const httpClosed = new Promise((resolve) => this.httpServer.close(resolve));
+    this.httpServer.closeAllConnections();
+    await httpClosed;
+    await this.jsonWriteQueue;
+    await this.alertLogQueue;
+    await this.webhooks.close();
+    this.callStore.close();
+  }
 
-    const request = {
-      config: {
-        encoding: 'LINEAR16',
-        sampleRateHertz: 16000,
-        enableAutomaticPunctuation: true,
-        model: 'latest_long',
-        
-        // Enable language detection while keeping a valid primary language
-        enableSpeakerDiarization: false,
-        enableLanguageIdentification: true,
-        
-        // Use a valid primary language code (required)
-        languageCode: 'ar-SA',  // Set Arabic as primary since it's a common case
-        
-        // Add alternative languages
-        alternativeLanguageCodes: [
-          'en-US',
-          // Other Arabic dialects
-          'ar-AE',
-          'ar-BH',
-          'ar-KW',
-          'ar-QA',
-          'ar-OM',
-          'ar-JO',
-          'ar-LB',
-          'ar-PS',
-          'ar-EG',
-          'ar-IQ'
-        ],
-        
-        // Additional settings for improved detection
-        maxAlternatives: 3,
-        enableWordConfidence: true,
-        useEnhanced: true,
-        metadata: {
-          interactionType: 'PHONE_CALL',
-          microphoneDistance: 'NEARFIELD',
-          originalMediaType: 'AUDIO',
-          recordingDeviceType: 'PHONE_LINE'
-        }
-      },
-      interimResults: true
-    };
+  // Attach a new connection to the open session of the same call and tenant,
+  // whether or not the server has noticed its connection drop yet
+  resumeSession(ws, auth, { platformCallId, lastAcknowledgedSequenceId }) {
+    const tenantId = auth ? auth.tenantId : null;
+    const session = [...this.sessions.values()].find((candidate) =>
+      !candidate.isClosed &&
+      candidate.platformCallId === platformCallId &&
+      candidate.tenantId === tenantId
+    );
 
     try {
-      const recognizeStream = this.speechClient
-        .streamingRecognize(request)
-        .on('error', (error) => {
-          console.error(`Speaker ${speaker} transcription error:`, error);
-          this.isStreamActive.set(speaker, false);
-        })
-        .on('data', (data) => {
-          if (data.results[0] && data.results[0].languageCode) {
-            console.log(`Detected language for speaker ${speaker}: ${data.results[0].languageCode}`);
-          }
-          this.handleTranscriptionData(speaker, data);
-        })
-        .on('end', () => {
-          console.log(`Speaker ${speaker} transcription stream ended`);
-          this.isStreamActive.set(speaker, false);
-        });
-
-      this.transcriptionStreams.set(speaker, recognizeStream);
-      this.isStreamActive.set(speaker, true);
-      this.transcriptions.set(speaker, []);
-      
-      console.log(`Created new transcription stream for speaker ${speaker}`);
+      if (!session) {
+        throw new ProtocolError(ErrorCode.RESUME_FAILED,
+          `No call ${platformCallId} is open to be resumed`, { fatal: true });
+      }
+      session.resume(ws, lastAcknowledgedSequenceId);
+      return session;
     } catch (error) {
-      console.error(`Error creating transcription stream for speaker ${speaker}:`, error);
-      this.isStreamActive.set(speaker, false);
+      console.warn(`Could not resume call ${platformCallId}: ${error.message}`);
+      this.rejectConnection(ws, error);
+      return null;
     }
   }
 
-  handleMessage(message) {
-    const decodedMessage = this.decodeMessage(message);
-    const content = this.parseMessageContent(decodedMessage);
-    return this.processContent(content);
-  }
-
-  decodeMessage(message) {
-    const buffer = Buffer.from(message);
-    return this.messageType.decode(buffer);
+  // Report a fatal error on a connection that has no session to do it
+  rejectConnection(ws, error) {
+    const response = this.responseType.fromObject({ error: error.toResponse() });
+    ws.send(this.responseType.encode(response).finish());
+    ws.close(error.closeCode, error.message.slice(0, 123));
   }
 
-  parseMessageContent(decodedMessage) {
-    if (Object.hasOwn(decodedMessage, 'streamingConfig')) {
-      return {
-        type: 'config',
-        data: decodedMessage.streamingConfig
-      };
-    }
-    
-    if (Object.hasOwn(decodedMessage, 'audioContent')) {
-      return {
-        type: 'audio',
-        data: decodedMessage.audioContent,
-        role: decodedMessage.audioContent.participant.role
-      };
-    }
-    
-    if (Object.hasOwn(decodedMessage, 'sessionEvent')) {
-      // Check for session end event
-      if (decodedMessage.sessionEvent.eventType === 2) {
-        console.log('Received session end event');
-        this.handleDisconnection();
-      }
-      return {
-        type: 'event',
-        data: decodedMessage.sessionEvent
-      };
+  decodeMessage(message, isBinary) {
+    if (!isBinary) {
+      throw new ProtocolError(ErrorCode.MALFORMED_MESSAGE,
+        'Requests must be binary StreamCallSessionRequest frames', { fatal: true });
     }
-    
-    return { type: 'unknown' };
-  }
-
-  async processContent(content) {
-    switch (content.type) {
-      case 'config':
-        this.handleConfig();
-        break;
-      case 'audio':
-        await this.handleAudio(content);
-        break;
-      case 'event':
-        this.handleEvent(content.data);
-        break;
+    try {
+      return this.messageType.decode(Buffer.from(message));
+    } catch (error) {
+      throw new ProtocolError(ErrorCode.MALFORMED_MESSAGE,
+        `Could not decode StreamCallSessionRequest: ${error.message}`, { fatal: true });
     }
   }
 
-  handleConfig() {
-    this.outputFileStream1 = new FileWriter(path.join(this.outputDir, `speaker1_${this.sessionId}.wav`), {
-      sampleRate: 16000,
-      bitDepth: 16,
-      channels: 1
-    });
-    
-    this.outputFileStream2 = new FileWriter(path.join(this.outputDir, `speaker2_${this.sessionId}.wav`), {
-      sampleRate: 16000,
-      bitDepth: 16,
-      channels: 1
+  // Appends from concurrent sessions are serialized so lines never interleave
+  appendAlertLog(session, alert) {
+    const line = JSON.stringify({
+      sessionId: session.sessionId,
+      platformCallId: session.platformCallId,
+      tenantId: session.tenantId,
+      ...alert
     });
-
-    this.createTranscriptionStream(1);
-    this.createTranscriptionStream(2);
-  }
-
-  async handleAudio(content) {
-    const { role, data } = content;
-    
-    if (role === 1 && this.outputFileStream1) {
-      this.outputFileStream1.write(data.audioContent);
-    } else if (role === 2 && this.outputFileStream2) {
-      this.outputFileStream2.write(data.audioContent);
-    }
-
-    if (!this.isStreamActive.get(role)) {
-      this.createTranscriptionStream(role);
-    }
-
-    const transcriptionStream = this.transcriptionStreams.get(role);
-    if (transcriptionStream && this.isStreamActive.get(role)) {
-      try {
-        transcriptionStream.write(data.audioContent);
-      } catch (error) {
-        console.error(`Error writing to transcription stream for speaker ${role}:`, error);
-        this.isStreamActive.set(role, false);
-      }
-    }
+    this.alertLogQueue = this.alertLogQueue
+      .then(() => fs.appendFile(this.alertLog, `${line}\n`, 'utf8'))
+      .catch((error) => console.error('Error writing alert log:', error));
+    return this.alertLogQueue;
   }
 
-  handleEvent(eventData) {
-    console.log('Processing event:', eventData);
+  // Sessions finish concurrently, so serialize read-modify-write of the shared feed
+  updateTranscriptionsJson(session, transcription) {
+    this.jsonWriteQueue = this.jsonWriteQueue.then(() =>
+      this.writeTranscriptionsJson(session, transcription)
+    );
+    return this.jsonWriteQueue;
   }
 
-  handleTranscriptionData(speaker, data) {
-    if (data.results[0] && data.results[0].alternatives[0]) {
-      const result = data.results[0];
-      const alternative = result.alternatives[0];
-      const transcription = alternative.transcript;
-      const isFinal = result.isFinal;
-      const confidence = alternative.confidence;
-      
-      // Get language from either direct languageCode or languageIdentification
-      const languageCode = result.languageCode || 
-                          (result.languageIdentification && 
-                           result.languageIdentification.languageCode);
-      
-      // Enhanced logging for debugging language detection
-      if (isFinal) {
-        console.log('Language Detection Details:', {
-          speaker,
-          detectedLanguage: languageCode,
-          confidence,
-          isArabic: isArabic(transcription),
-          textLength: transcription.length,
-          hasLanguageIdentification: !!result.languageIdentification,
-          timestamp: new Date().toISOString()
-        });
-      }
-  
-      if (isFinal) {
-        this.transcriptions.get(speaker).push({
-          text: transcription,
-          timestamp: new Date().toISOString(),
-          confidence,
-          languageCode,
-          languageConfidence: result.languageIdentification?.confidence || 1.0,
-          isArabic: isArabic(transcription)
-        });
-      }
-  
-      const displayText = isArabic(transcription) ? 
-        `\u202B${transcription}\u202C` : 
-        transcription;
-  
-      console.log(
-        `Speaker ${speaker} ${isFinal ? '(Final)' : '(Interim)'}: ` +
-        `[${languageCode || 'unknown'}] ${displayText}`
-      );
-  
-      if (isFinal) {
-        this.updateTranscriptionsJson(
-          speaker, 
-          transcription, 
-          isFinal, 
-          languageCode
-        );
-      }
-    }
+  // Written aside and renamed, so the viewer never reads half a feed
+  async saveTranscriptionsJson(transcriptions) {
+    await fs.writeFile(`${this.jsonOutput}.tmp`, JSON.stringify(transcriptions, null, 2), 'utf8');
+    await fs.rename(`${this.jsonOutput}.tmp`, this.jsonOutput);
   }
 
-  async updateTranscriptionsJson(speaker, transcription, isFinal, languageCode) {
+  async writeTranscriptionsJson({ sessionId, tenantId }, { speaker, participant, text, isFinal, languageCode }) {
     try {
       let transcriptions = [];
       try {
@@ -374,341 +585,35 @@ class AudioWebSocketServer {
       }
 
       transcriptions.push({
-        id: Date.now().toString(),
+        id: `${sessionId}_${Date.now()}`,
+        sessionId,
+        tenantId: tenantId ?? null,
         speaker,
-        text: transcription,
+        participant,
+        text,
         timestamp: new Date().toISOString(),
         isFinal,
         languageCode,
-        isArabic: isArabic(transcription)
+        isArabic: isArabic(text)
       });
 
-      if (transcriptions.length > 100) {
-        transcriptions = transcriptions.slice(-100);
+      if (transcriptions.length > FEED_LENGTH) {
+        transcriptions = transcriptions.slice(-FEED_LENGTH);
       }
 
-      await fs.writeFile(this.jsonOutput, JSON.stringify(transcriptions, null, 2), 'utf8');
+      await this.saveTranscriptionsJson(transcriptions);
     } catch (error) {
       console.error('Error updating transcriptions.json:', error);
     }
   }
 
-  async handleDisconnection() {
-    if (this.isDisconnecting) {
-      return;
-    }
-    this.isDisconnecting = true;
-
-    console.log('Starting disconnection handling...');
-    
-    for (const [speaker, stream] of this.transcriptionStreams.entries()) {
-      if (stream && this.isStreamActive.get(speaker)) {
-        try {
-          console.log(`Ending transcription stream for speaker ${speaker}`);
-          stream.end();
-          this.isStreamActive.set(speaker, false);
-        } catch (error) {
-          console.error(`Error ending transcription stream for speaker ${speaker}:`, error);
-        }
-      }
-    }
-
-    console.log('Closing audio file streams...');
-    if (this.outputFileStream1) {
-      this.outputFileStream1.end();
-    }
-    if (this.outputFileStream2) {
-      this.outputFileStream2.end();
-    }
-
-    try {
-      console.log('Saving transcriptions and combining audio...');
-      await Promise.all([
-        this.saveTranscriptions(),
-        this.combineAudioFiles()
-      ]);
-
-      console.log('Cleaning up files...');
-      await this.cleanupFiles();
-      
-      console.log('Disconnection handling completed');
-    } catch (error) {
-      console.error('Error during disconnection cleanup:', error);
-    } finally {
-      this.isDisconnecting = false;
-    }
-  }
-
-  async saveTranscriptions() {
-    const transcriptionFile = path.join(this.outputDir, `transcription_${this.sessionId}.txt`);
-    let content = '\ufeff' + 'Call Transcription\n==================\n\n';
-
-    const allTranscriptions = [];
-    for (const [speaker, speakerTranscriptions] of this.transcriptions.entries()) {
-      speakerTranscriptions.forEach(t => {
-        allTranscriptions.push({
-          speaker,
-          ...t
-        });
-      });
-    }
-
-    allTranscriptions.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
-
-    allTranscriptions.forEach(t => {
-      const text = isArabic(t.text) ? 
-        `\u202B${t.text}\u202C` : 
-        t.text;
-
-      content += `[${t.timestamp}] Speaker ${t.speaker} (${(t.confidence * 100).toFixed(1)}% confidence`;
-      if (t.languageCode) {
-        content += `, Language: ${t.languageCode}`;
-      }
-      content += `):\n${text}\n\n`;
-    });
-
-    await fs.writeFile(transcriptionFile, content, 'utf8');
-    console.log(`Transcription saved to ${transcriptionFile}`);
-  }
-
-  async combineAudioFiles() {
-    const speaker1File = `speaker1_${this.sessionId}.wav`;
-    const speaker2File = `speaker2_${this.sessionId}.wav`;
-    const outputFile = path.join(this.outputDir, `combined_${this.sessionId}.wav`);
-
-    try {
-      const [audioData1, audioData2] = await Promise.all([
-        this.readWavFile(speaker1File),
-        this.readWavFile(speaker2File)
-      ]);
-
-      const writer = new FileWriter(outputFile, {
-        channels: 2,
-        sampleRate: 16000,
-        bitDepth: 16
-      });
-
-      const samplesPerChannel = Math.min(
-        audioData1.length / 2,
-        audioData2.length / 2
-      );
-
-      const stereoBuffer = Buffer.alloc(samplesPerChannel * 4);
-
-      for (let i = 0; i < samplesPerChannel; i++) {
-        const sample1 = audioData1.readInt16LE(i * 2);
-        const sample2 = audioData2.readInt16LE(i * 2);
-        
-        const leftChannel = Math.floor(
-          (sample1 * 0.60) +
-          (sample2 * 0.40)
-        );
-
-        const rightChannel = Math.floor(
-          (sample1 * 0.40) +
-          (sample2 * 0.60)
-        );
-
-        const clampedLeft = Math.max(-32768, Math.min(32767, leftChannel));
-        const clampedRight = Math.max(-32768, Math.min(32767, rightChannel));
-
-        stereoBuffer.writeInt16LE(clampedLeft, i * 4);
-        stereoBuffer.writeInt16LE(clampedRight, i * 4 + 2);
-      }
-
-      writer.write(stereoBuffer);
-
-      await new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
-        writer.end();
-      });
-
-      console.log('Successfully combined audio files into stereo with balanced panning');
-      return outputFile;
-
-    } catch (error) {
-      console.error('Error combining audio files:', error);
-    }
-  }
-
-  async readWavFile(filename) {
-    const filePath = path.join(this.outputDir, filename);
-    const audioData = await fs.readFile(filePath);
-    return audioData.slice(44); // Skip WAV header
-  }
-
-  async cleanupFiles() {
-    const filesToClean = [
-      path.join(this.outputDir, `speaker1_${this.sessionId}.wav`),
-      path.join(this.outputDir, `speaker2_${this.sessionId}.wav`)
-    ];
-
-    for (const file of filesToClean) {
-      try {
-        await fs.unlink(file);
-        console.log(`Cleaned up file: ${file}`);
-      } catch (error) {
-        console.error(`Error cleaning up file ${file}:`, error);
-      }
-    }
-
-    this.outputFileStream1 = null;
-    this.outputFileStream2 = null;
-  }
-
-  async initializeHtmlOutput() {
-    const htmlTemplate = `<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="UTF-8">
-    <title>Live Transcription Viewer</title>
-    <style>
-        body {
-            font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
-            margin: 20px;
-            background-color: #f5f5f5;
-        }
-        .container {
-            max-width: 800px;
-            margin: 0 auto;
-            background-color: white;
-            padding: 20px;
-            border-radius: 10px;
-            box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-        }
-        .header {
-            text-align: center;
-            margin-bottom: 20px;
-            padding-bottom: 20px;
-            border-bottom: 1px solid #eee;
-        }
-        .transcription {
-            margin: 15px 0;
-            padding: 15px;
-            border: 1px solid #eee;
-            border-radius: 5px;
-            transition: background-color 0.3s;
-        }
-        .transcription:hover {
-            background-color: #f9f9f9;
-        }
-        .metadata {
-            font-size: 0.9em;
-            color: #666;
-            margin-bottom: 5px;
-        }
-        .text {
-            font-size: 1.1em;
-            line-height: 1.4;
-        }
-        .arabic {
-            direction: rtl;
-            font-family: 'Traditional Arabic', 'Arabic Typesetting', 'Arial', sans-serif;
-            font-size: 1.3em;
-        }
-        .auto-refresh {
-            margin: 20px 0;
-            text-align: center;
-        }
-        .status {
-            position: fixed;
-            top: 10px;
-            right: 10px;
-            padding: 5px 10px;
-            background-color: #4CAF50;
-            color: white;
-            border-radius: 5px;
-            font-size: 0.8em;
-        }
-    </style>
-    <script>
-        let isAutoRefresh = true;
-
-        function toggleAutoRefresh() {
-            isAutoRefresh = !isAutoRefresh;
-            document.getElementById('autoRefreshStatus').textContent = 
-                isAutoRefresh ? 'Auto-refresh: ON' : 'Auto-refresh: OFF';
-        }
-
-        function updateTimestamp() {
-            const status = document.getElementById('lastUpdate');
-            status.textContent = 'Last update: ' + new Date().toLocaleTimeString();
-        }
-
-        function refreshContent() {
-            if (!isAutoRefresh) return;
-            
-            const transcriptionsDiv = document.getElementById('transcriptions');
-            const lastTranscription = transcriptionsDiv.lastElementChild;
-            const lastTimestamp = lastTranscription ? 
-                lastTranscription.getAttribute('data-timestamp') : '';
-
-            fetch('transcriptions.json?' + new Date().getTime())
-                .then(response => response.json())
-                .then(data => {
-                    let hasNewContent = false;
-                    // Filter only final transcriptions
-                    const finalTranscriptions = data.filter(t => t.isFinal);
-                    
-                    finalTranscriptions.forEach(transcription => {
-                        const existingElement = document.querySelector(
-                            \`[data-id="\${transcription.id}"]\`
-                        );
-                        
-                        if (!existingElement) {
-                            hasNewContent = true;
-                            const div = document.createElement('div');
-                            div.className = \`transcription \${transcription.isArabic ? 'arabic' : ''}\`;
-                            div.setAttribute('data-id', transcription.id);
-                            div.setAttribute('data-timestamp', transcription.timestamp);
-                            
-                            div.innerHTML = \`
-                                <div class="metadata">
-                                    [\${new Date(transcription.timestamp).toLocaleTimeString()}] 
-                                    Speaker \${transcription.speaker}
-                                    \${transcription.languageCode ? \` - \${transcription.languageCode}\` : ''}
-                                </div>
-                                <div class="text">\${transcription.text}</div>
-                            \`;
-                            
-                            transcriptionsDiv.appendChild(div);
-                        }
-                    });
-
-                    if (hasNewContent) {
-                        transcriptionsDiv.scrollTop = transcriptionsDiv.scrollHeight;
-                        updateTimestamp();
-                    }
-                });
-        }
-
-        // Start auto-refresh when page loads
-        document.addEventListener('DOMContentLoaded', () => {
-            setInterval(refreshContent, 1000);
-            updateTimestamp();
-        });
-    </script>
-</head>
-<body>
-    <div class="container">
-        <div class="header">
-            <h1>Live Transcription Viewer</h1>
-            <div class="auto-refresh">
-                <button onclick="toggleAutoRefresh()">Toggle Auto-refresh</button>
-                <span id="autoRefreshStatus">Auto-refresh: ON</span>
-            </div>
-        </div>
-        <div id="transcriptions"></div>
-    </div>
-    <div id="lastUpdate" class="status">Last update: Never</div>
-</body>
-</html>`;
-
-    await fs.writeFile(this.htmlOutput, htmlTemplate, 'utf8');
-  }
 }
 
-// Usage
-const server = new AudioWebSocketServer(8003);
-server.initialize().catch(console.error);
\ No newline at end of file
+// Start the server when run directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) {
+  const server = new AudioWebSocketServer(8003);
+  server.initialize().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
\ No newline at end of file
@@ -0,0 +1,122 @@
+import path from 'path';
+import { parseArgs } from 'util';
+import { AudioEncoding } from './src/audio_codec.js';
+import { ParticipantRole } from './src/protocol.js';
+import { CallReplay } from './src/replay_client.js';
+
+const USAGE = `Replay a recorded call against the transcription server.
+
+Usage: node replay_call.js [options] <participant>...
+
+Each participant is  role[:identity][@offsetMs]=file.wav
+  role      agent, visitor or unspecified
+  identity  platform agent id, external user id or user (by role)
+  offsetMs  how far into the call the participant joins
+The WAV files must be mono 16-bit PCM with the same sample rate.
+
+Options:
+  --url <url>          server address (default ws://localhost:8003)
+  --token <token>      auth token (default $REPLAY_TOKEN)
+  --call-id <id>       platform call id (default replay-<timestamp>)
+  --profile <name>     recognition profile
+  --speed <n>          1 = real time, 4 = four times faster, 0 = no pacing (default 1)
+  --chunk-ms <ms>      audio per frame (default 100)
+  --mulaw              send G.711 mu-law instead of LINEAR16
+  --insecure           accept self-signed TLS certificates
+  -h, --help           show this help
+
+Example:
+  node replay_call.js --speed 4 agent:agent-42=agent.wav visitor:+966500000000@1500=visitor.wav`;
+
+const ROLES = {
+  agent: ParticipantRole.AGENT,
+  visitor: ParticipantRole.VISITOR,
+  unspecified: ParticipantRole.ROLE_UNSPECIFIED
+};
+
+const PARTICIPANT_PATTERN = /^(\w+)(?::([^@=]+))?(?:@(\d+))?=(.+)$/;
+
+function parseParticipant(argument) {
+  const match = argument.match(PARTICIPANT_PATTERN);
+  if (!match || !(match[1].toLowerCase() in ROLES)) {
+    throw new Error(`Invalid participant "${argument}", expected role[:identity][@offsetMs]=file.wav`);
+  }
+  const [, role, identity, offsetMs, file] = match;
+  return {
+    role: ROLES[role.toLowerCase()],
+    identity: identity || null,
+    offsetMs: offsetMs ? Number(offsetMs) : 0,
+    file: path.resolve(file)
+  };
+}
+
+function formatMs(ms) {
+  const seconds = ms / 1000;
+  return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      url: { type: 'string', default: 'ws://localhost:8003' },
+      token: { type: 'string', default: process.env.REPLAY_TOKEN },
+      'call-id': { type: 'string' },
+      profile: { type: 'string', default: '' },
+      speed: { type: 'string', default: '1' },
+      'chunk-ms': { type: 'string', default: '100' },
+      mulaw: { type: 'boolean', default: false },
+      insecure: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return;
+  }
+
+  const replay = new CallReplay({
+    url: values.url,
+    token: values.token,
+    participants: positionals.map(parseParticipant),
+    platformCallId: values['call-id'],
+    profile: values.profile,
+    speed: Number(values.speed),
+    chunkMs: Number(values['chunk-ms']),
+    encoding: values.mulaw ? AudioEncoding.MULAW : AudioEncoding.LINEAR16,
+    rejectUnauthorized: !values.insecure
+  });
+
+  replay.on('result', (result) => {
+    if (!result.isFinal) {
+      return;
+    }
+    const participant = result.participant || {};
+    const speaker = participant.platformAgentId || participant.externalUserId || participant.user ||
+      `role ${participant.role}`;
+    console.log(`[${formatMs(result.resultStartTimeMs)}] ${speaker} (${result.languageCode}): ${result.transcript}`);
+  });
+  replay.on('alert', (alert) => {
+    console.log(`[${formatMs(alert.callTimeMs)}] ALERT ${alert.ruleId}: ` +
+      (alert.missing ? 'required phrase not said' : `"${alert.matched}" in "${alert.transcript}"`));
+  });
+  replay.on('serverError', (error) => {
+    console.error(`Server ${error.fatal ? 'error' : 'warning'} ${error.code}: ${error.message}`);
+  });
+
+  console.log(`Replaying ${positionals.length} participant(s) as call ${replay.platformCallId} to ${values.url}`);
+  const { results, errors, alerts, completed, closeCode } = await replay.run();
+
+  const finals = results.filter((result) => result.isFinal).length;
+  console.log(`${finals} final result(s), ${alerts.length} alert(s), ${errors.length} error(s)`);
+  if (!completed) {
+    console.error(`Server did not finish the call cleanly (close code ${closeCode ?? 'none'})`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,270 @@
+import fs from 'fs/promises';
+import { toParticipantMessage } from './protocol.js';
+import { toSearchText } from './text_utils.js';
+
+export const AlertRuleType = {
+  // Raised when a speaker says one of the phrases
+  PHRASE: 'phrase',
+  // Raised when none of the phrases was said by the end of the window
+  REQUIRED: 'required'
+};
+
+// Results for audio spoken before a required phrase's deadline can arrive
+// this long after it. The deadline timer and other speakers' results wait
+// that much before calling the phrase missing. Set `resultLatencyMs` next
+// to `rules` in the rules file to change it.
+const DEFAULT_RESULT_LATENCY_MS = 5000;
+
+const SEVERITIES = ['low', 'medium', 'high'];
+const ROLES = ['AGENT', 'VISITOR'];
+
+function compileRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id.trim()) {
+    throw new Error('Every alert rule needs an id');
+  }
+  const { id } = rule;
+  const type = rule.type || AlertRuleType.PHRASE;
+  if (!Object.values(AlertRuleType).includes(type)) {
+    throw new Error(`Alert rule "${id}" has unknown type "${type}"`);
+  }
+  const severity = rule.severity || 'medium';
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Alert rule "${id}" severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+  if (rule.role !== undefined && !ROLES.includes(rule.role)) {
+    throw new Error(`Alert rule "${id}" role must be one of ${ROLES.join(', ')}`);
+  }
+
+  // Phrases compare as whole words after the folding search uses, so Arabic
+  // spelling variants, diacritics and attached articles match too
+  const phrases = (rule.phrases || []).map((value) => {
+    const words = typeof value === 'string' ? toSearchText(value) : '';
+    if (!words) {
+      throw new Error(`Alert rule "${id}" has an empty phrase`);
+    }
+    return { value, words };
+  });
+  const patterns = (rule.patterns || []).map((value) => {
+    try {
+      return { value, regex: new RegExp(value, 'iu') };
+    } catch (error) {
+      throw new Error(`Alert rule "${id}" has an invalid pattern (${error.message})`);
+    }
+  });
+  if (phrases.length === 0 && patterns.length === 0) {
+    throw new Error(`Alert rule "${id}" needs phrases or patterns`);
+  }
+
+  const fromMs = rule.window?.fromMs ?? 0;
+  const toMs = rule.window?.toMs ?? null;
+  if (!(fromMs >= 0) || (toMs !== null && !(toMs > fromMs))) {
+    throw new Error(`Alert rule "${id}" window must have 0 <= fromMs < toMs`);
+  }
+  if (type === AlertRuleType.REQUIRED && toMs === null) {
+    throw new Error(`Alert rule "${id}" is required and needs a window.toMs deadline`);
+  }
+
+  return {
+    id,
+    description: rule.description || '',
+    type,
+    severity,
+    role: rule.role || null,
+    phrases,
+    patterns,
+    fromMs,
+    toMs,
+    tenantIds: rule.tenantIds || null,
+    profiles: rule.profiles || null
+  };
+}
+
+// The phrase or matched text of the first phrase or pattern found in `text`
+function findMatch(rule, text) {
+  const words = ` ${toSearchText(text)} `;
+  const phrase = rule.phrases.find((candidate) => words.includes(` ${candidate.words} `));
+  if (phrase) {
+    return phrase.value;
+  }
+  for (const pattern of rule.patterns) {
+    const match = pattern.regex.exec(text);
+    if (match) {
+      return match[0];
+    }
+  }
+  return null;
+}
+
+function isSpokenBy(rule, participant) {
+  return !rule.role || participant?.roleName === rule.role;
+}
+
+function isInWindow(rule, atMs) {
+  return atMs >= rule.fromMs && (rule.toMs === null || atMs <= rule.toMs);
+}
+
+// Compliance rules checked against final results while the call is live,
+// from a local JSON file:
+//
+//   { "rules": [{ "id": "legal-threat", "type": "phrase", "severity": "high",
+//                 "role": "VISITOR", "phrases": ["lawyer", "محامي"],
+//                 "patterns": ["\\bsu(e|ing)\\b"], "window": { "fromMs": 0, "toMs": 60000 },
+//                 "tenantIds": ["example-tenant"], "profiles": ["default"] }] }
+//
+// Only `id` and phrases or patterns are needed. `role`, `window` (on the
+// segment's start), `tenantIds` and `profiles` narrow where a rule applies.
+export class AlertRules {
+  constructor(rules = [], { resultLatencyMs = DEFAULT_RESULT_LATENCY_MS } = {}) {
+    if (!Number.isFinite(resultLatencyMs) || resultLatencyMs < 0) {
+      throw new Error('Alert rules resultLatencyMs must be a number of milliseconds');
+    }
+    this.resultLatencyMs = resultLatencyMs;
+    this.rules = rules.map(compileRule);
+    const ids = new Set();
+    for (const { id } of this.rules) {
+      if (ids.has(id)) {
+        throw new Error(`Alert rule "${id}" is defined twice`);
+      }
+      ids.add(id);
+    }
+  }
+
+  static async load(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const { rules, resultLatencyMs } = JSON.parse(content);
+    return new AlertRules(rules || [], { resultLatencyMs });
+  }
+
+  get size() {
+    return this.rules.length;
+  }
+
+  // A monitor with the rules that apply to one call
+  forCall({ tenantId = null, profile } = {}) {
+    return new AlertMonitor(this.rules.filter((rule) =>
+      (!rule.tenantIds || rule.tenantIds.includes(tenantId)) &&
+      (!rule.profiles || rule.profiles.includes(profile))
+    ), this.resultLatencyMs);
+  }
+}
+
+// Evaluates one call's final segments as they arrive. Phrase rules raise at
+// most one alert per speaker; required rules at most one per call.
+export class AlertMonitor {
+  constructor(rules = [], resultLatencyMs = DEFAULT_RESULT_LATENCY_MS) {
+    this.rules = rules;
+    this.resultLatencyMs = resultLatencyMs;
+    this.raised = new Set();
+    this.satisfied = new Set();
+  }
+
+  // Alerts raised by a final segment: { speaker, participant, text, startMs, endMs }
+  observe(segment) {
+    const alerts = [];
+    for (const rule of this.rules) {
+      if (!isSpokenBy(rule, segment.participant)) {
+        // Another speaker's result from well past the deadline: whatever the
+        // rule's speakers said before it has been recognized by now
+        if (rule.type === AlertRuleType.REQUIRED && (segment.endMs ?? 0) > rule.toMs + this.resultLatencyMs) {
+          alerts.push(...this.raiseMissing(rule, segment.endMs));
+        }
+        continue;
+      }
+
+      if (rule.type === AlertRuleType.REQUIRED) {
+        if (!this.satisfied.has(rule.id) && isInWindow(rule, segment.startMs ?? 0) && findMatch(rule, segment.text)) {
+          this.satisfied.add(rule.id);
+        }
+        // Finals arrive in order per speaker, so once one ends past the
+        // deadline, nothing this speaker said in the window is still to come
+        if ((segment.endMs ?? 0) > rule.toMs) {
+          alerts.push(...this.raiseMissing(rule, segment.endMs));
+        }
+        continue;
+      }
+
+      const key = `${rule.id}\u0000${segment.speaker}`;
+      if (this.raised.has(key) || !isInWindow(rule, segment.startMs ?? 0)) {
+        continue;
+      }
+      const matched = findMatch(rule, segment.text);
+      if (matched) {
+        this.raised.add(key);
+        alerts.push({
+          ...this.describe(rule),
+          missing: false,
+          speaker: segment.speaker,
+          participant: segment.participant,
+          matched,
+          text: segment.text,
+          atMs: segment.startMs ?? null
+        });
+      }
+    }
+    return alerts;
+  }
+
+  // Call times at which required phrases not said yet are missing, even if
+  // no result arrives to tell
+  get deadlines() {
+    return [...new Set(this.rules
+      .filter((rule) => rule.type === AlertRuleType.REQUIRED)
+      .map((rule) => rule.toMs + this.resultLatencyMs))];
+  }
+
+  // Alerts for required phrases whose deadline, with its allowance for late
+  // results, has passed at `atMs`
+  checkDeadlines(atMs) {
+    return this.rules
+      .filter((rule) => rule.type === AlertRuleType.REQUIRED && atMs >= rule.toMs + this.resultLatencyMs)
+      .flatMap((rule) => this.raiseMissing(rule, atMs));
+  }
+
+  // Alerts for required phrases still not said when the call ends
+  finish(atMs) {
+    return this.rules
+      .filter((rule) => rule.type === AlertRuleType.REQUIRED)
+      .flatMap((rule) => this.raiseMissing(rule, atMs));
+  }
+
+  raiseMissing(rule, atMs) {
+    if (this.satisfied.has(rule.id) || this.raised.has(rule.id)) {
+      return [];
+    }
+    this.raised.add(rule.id);
+    return [{
+      ...this.describe(rule),
+      missing: true,
+      speaker: null,
+      participant: null,
+      matched: null,
+      text: null,
+      atMs
+    }];
+  }
+
+  describe(rule) {
+    return {
+      ruleId: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      role: rule.role,
+      window: { fromMs: rule.fromMs, toMs: rule.toMs },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+// An alert as the Alert message of a StreamCallSessionResponse
+export function toAlertMessage(alert) {
+  return {
+    ruleId: alert.ruleId,
+    description: alert.description,
+    severity: alert.severity.toUpperCase(),
+    participant: alert.participant ? toParticipantMessage(alert.participant) : undefined,
+    matched: alert.matched || '',
+    transcript: alert.text || '',
+    callTimeMs: alert.atMs || 0,
+    missing: alert.missing
+  };
+}
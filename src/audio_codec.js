@@ -0,0 +1,149 @@
+// Values of the AudioEncoding enum in audio.proto
+export const AudioEncoding = {
+  AUDIO_ENCODING_UNSPECIFIED: 0,
+  LINEAR16: 1,
+  MULAW: 2
+};
+
+export const DEFAULT_SAMPLE_RATE = 16000;
+
+// Range of LINEAR16 sample rates the recognizer accepts; anything outside is resampled
+const MIN_RECOGNIZER_SAMPLE_RATE = 8000;
+const MAX_RECOGNIZER_SAMPLE_RATE = 48000;
+
+// G.711 mu-law expansion table, indexed by the encoded byte
+const MULAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const value = ~i & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + 0x84) << exponent) - 0x84;
+  MULAW_TABLE[i] = (value & 0x80) ? -magnitude : magnitude;
+}
+
+export function decodeMulaw(buffer) {
+  const pcm = Buffer.alloc(buffer.length * 2);
+  for (let i = 0; i < buffer.length; i++) {
+    pcm.writeInt16LE(MULAW_TABLE[buffer[i]], i * 2);
+  }
+  return pcm;
+}
+
+// G.711 mu-law compression of 16-bit PCM, the inverse of decodeMulaw
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+export function encodeMulaw(pcm) {
+  const encoded = Buffer.alloc(Math.floor(pcm.length / 2));
+  for (let i = 0; i < encoded.length; i++) {
+    let sample = pcm.readInt16LE(i * 2);
+    const sign = sample < 0 ? 0x80 : 0;
+    sample = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (sample & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (sample >> (exponent + 3)) & 0x0f;
+    encoded[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return encoded;
+}
+
+// Work out how incoming audio must be converted, from the AudioMetadata the
+// client sent in its StreamingConfig. Everything downstream (recordings and
+// recognizer) sees 16-bit PCM at `sampleRate`.
+export function resolveAudioFormat(audioMetadata) {
+  const encoding = audioMetadata?.encoding === AudioEncoding.MULAW ?
+    AudioEncoding.MULAW :
+    AudioEncoding.LINEAR16;
+  const inputSampleRate = audioMetadata?.sampleRateHertz > 0 ?
+    audioMetadata.sampleRateHertz :
+    DEFAULT_SAMPLE_RATE;
+
+  const sampleRate = inputSampleRate >= MIN_RECOGNIZER_SAMPLE_RATE &&
+    inputSampleRate <= MAX_RECOGNIZER_SAMPLE_RATE ?
+    inputSampleRate :
+    DEFAULT_SAMPLE_RATE;
+
+  return {
+    encoding,
+    encodingName: encoding === AudioEncoding.MULAW ? 'MULAW' : 'LINEAR16',
+    inputSampleRate,
+    sampleRate
+  };
+}
+
+// Linear-interpolation resampler for mono 16-bit PCM. Keeps the last input
+// sample and the fractional read position between chunks so a stream split
+// into arbitrary chunks resamples without clicks at the boundaries.
+export class PcmResampler {
+  constructor(fromRate, toRate) {
+    this.step = fromRate / toRate;
+    this.position = 0;
+    this.previousSample = null;
+  }
+
+  process(pcm) {
+    const inputSamples = Math.floor(pcm.length / 2);
+    if (inputSamples === 0) {
+      return Buffer.alloc(0);
+    }
+
+    // Prepend the carried-over sample so interpolation can straddle chunks
+    const offset = this.previousSample === null ? 0 : 1;
+    const sampleAt = (index) => (
+      index < offset ? this.previousSample : pcm.readInt16LE((index - offset) * 2)
+    );
+    const available = inputSamples + offset;
+
+    const output = [];
+    while (this.position + 1 < available) {
+      const index = Math.floor(this.position);
+      const fraction = this.position - index;
+      const sample = sampleAt(index) + (sampleAt(index + 1) - sampleAt(index)) * fraction;
+      output.push(Math.round(sample));
+      this.position += this.step;
+    }
+
+    this.previousSample = sampleAt(available - 1);
+    this.position -= available - 1;
+
+    const result = Buffer.alloc(output.length * 2);
+    output.forEach((sample, i) => result.writeInt16LE(sample, i * 2));
+    return result;
+  }
+}
+
+// Per-participant converter from wire audio to recognizer-ready PCM. Always
+// returns whole 16-bit samples: a LINEAR16 chunk ending halfway through a
+// sample keeps that byte for the next one.
+export class AudioDecoder {
+  constructor(format) {
+    this.format = format;
+    this.resampler = format.inputSampleRate !== format.sampleRate ?
+      new PcmResampler(format.inputSampleRate, format.sampleRate) :
+      null;
+    this.pendingByte = null;
+  }
+
+  decode(chunk) {
+    let pcm = this.format.encoding === AudioEncoding.MULAW ?
+      decodeMulaw(chunk) :
+      this.takeWholeSamples(chunk);
+
+    if (this.resampler) {
+      pcm = this.resampler.process(pcm);
+    }
+    return pcm;
+  }
+
+  takeWholeSamples(chunk) {
+    const bytes = this.pendingByte === null ?
+      Buffer.from(chunk) :
+      Buffer.concat([this.pendingByte, chunk]);
+    const wholeLength = bytes.length - (bytes.length % 2);
+    this.pendingByte = wholeLength < bytes.length ? bytes.subarray(wholeLength) : null;
+    return bytes.subarray(0, wholeLength);
+  }
+}
@@ -0,0 +1,185 @@
+import fs from 'fs/promises';
+import net from 'net';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Tolerated clock difference between the signing client and this server
+const CLOCK_SKEW_SECONDS = 60;
+
+export class AuthError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.statusCode = statusCode;
+  }
+}
+
+function base64UrlDecode(text) {
+  return Buffer.from(text, 'base64url');
+}
+
+function sign(secret, data, encoding) {
+  return createHmac('sha256', secret).update(data).digest(encoding);
+}
+
+function signaturesMatch(expected, actual) {
+  const expectedBuffer = Buffer.from(expected);
+  const actualBuffer = Buffer.from(actual);
+  return expectedBuffer.length === actualBuffer.length &&
+    timingSafeEqual(expectedBuffer, actualBuffer);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// IPv4 clients arrive as IPv4-mapped IPv6 addresses on dual-stack sockets
+function normalizeAddress(address) {
+  if (address && address.startsWith('::ffff:') && net.isIPv4(address.slice(7))) {
+    return address.slice(7);
+  }
+  return address;
+}
+
+function buildAllowlist(tenantId, entries) {
+  if (!entries || entries.length === 0) {
+    return null;
+  }
+
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const [address, prefix] = entry.split('/');
+    const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+    if (!net.isIP(address)) {
+      throw new Error(`Tenant "${tenantId}" has an invalid allowlist entry "${entry}"`);
+    }
+    if (prefix === undefined) {
+      blockList.addAddress(address, type);
+    } else {
+      blockList.addSubnet(address, Number(prefix), type);
+    }
+  }
+  return blockList;
+}
+
+// Shared secrets per tenant, loaded from a local JSON file:
+//
+//   { "tenants": { "<tenant>": { "keys": { "<keyId>": "<secret>" },
+//                                "allowedAddresses": ["10.0.0.0/8"] } } }
+//
+// A client proves it holds a tenant key with either
+//   - a JWT signed with HS256, `kid` naming the key and `sub` (or `tenant`) the tenant, or
+//   - an HMAC token `<tenant>.<keyId>.<expiresAt>.<signature>`, where signature is
+//     hex HMAC-SHA256 of `<tenant>.<keyId>.<expiresAt>` and expiresAt is Unix seconds.
+// The token travels as `Authorization: Bearer <token>` or the `token` query parameter.
+export class KeyStore {
+  constructor({ tenants = {} } = {}) {
+    this.tenants = new Map();
+    for (const [tenantId, tenant] of Object.entries(tenants)) {
+      const keys = new Map(Object.entries(tenant.keys || {}));
+      if (keys.size === 0) {
+        throw new Error(`Tenant "${tenantId}" has no keys`);
+      }
+      this.tenants.set(tenantId, {
+        id: tenantId,
+        keys,
+        allowlist: buildAllowlist(tenantId, tenant.allowedAddresses)
+      });
+    }
+  }
+
+  static async load(file) {
+    const content = await fs.readFile(file, 'utf8');
+    return new KeyStore(JSON.parse(content));
+  }
+
+  get size() {
+    return this.tenants.size;
+  }
+
+  findKey(tenantId, keyId) {
+    const tenant = this.tenants.get(tenantId);
+    const secret = tenant && tenant.keys.get(keyId);
+    if (!secret) {
+      throw new AuthError('Unknown tenant or key');
+    }
+    return { tenant, secret };
+  }
+
+  verifyJwt(token, now) {
+    const [encodedHeader, encodedPayload, signature] = token.split('.');
+    let header;
+    let claims;
+    try {
+      header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+      claims = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+    } catch (error) {
+      throw new AuthError('Malformed token');
+    }
+    // Valid JSON such as `null` or `42` is still not a token
+    if (!isPlainObject(header) || !isPlainObject(claims)) {
+      throw new AuthError('Malformed token');
+    }
+
+    if (header.alg !== 'HS256') {
+      throw new AuthError(`Unsupported token algorithm ${header.alg}`);
+    }
+
+    const { tenant, secret } = this.findKey(claims.tenant || claims.sub, header.kid);
+    if (!signaturesMatch(sign(secret, `${encodedHeader}.${encodedPayload}`, 'base64url'), signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+    if (typeof claims.exp !== 'number' || claims.exp + CLOCK_SKEW_SECONDS < now) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - CLOCK_SKEW_SECONDS > now) {
+      throw new AuthError('Token not yet valid');
+    }
+    return { tenant, keyId: header.kid, claims };
+  }
+
+  verifyHmacToken(token, now) {
+    const [tenantId, keyId, expiresAt, signature] = token.split('.');
+    const { tenant, secret } = this.findKey(tenantId, keyId);
+    if (!signaturesMatch(sign(secret, `${tenantId}.${keyId}.${expiresAt}`, 'hex'), signature)) {
+      throw new AuthError('Invalid token signature');
+    }
+    if (!(Number(expiresAt) + CLOCK_SKEW_SECONDS >= now)) {
+      throw new AuthError('Token expired');
+    }
+    return { tenant, keyId, claims: { exp: Number(expiresAt) } };
+  }
+
+  verifyToken(token, now = Math.floor(Date.now() / 1000)) {
+    switch (token.split('.').length) {
+      case 3:
+        return this.verifyJwt(token, now);
+      case 4:
+        return this.verifyHmacToken(token, now);
+      default:
+        throw new AuthError('Malformed token');
+    }
+  }
+
+  // Authenticate a WebSocket upgrade request. Returns `{ tenantId, keyId, claims }`
+  // or throws AuthError carrying the HTTP status to reject the handshake with.
+  authenticate(req) {
+    const authorization = req.headers.authorization || '';
+    const url = new URL(req.url, 'http://localhost');
+    const token = authorization.startsWith('Bearer ') ?
+      authorization.slice(7).trim() :
+      url.searchParams.get('token');
+    if (!token) {
+      throw new AuthError('Missing token');
+    }
+
+    const { tenant, keyId, claims } = this.verifyToken(token);
+
+    const address = normalizeAddress(req.socket.remoteAddress);
+    if (tenant.allowlist &&
+        !tenant.allowlist.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4')) {
+      throw new AuthError(`Address ${address} is not allowed for tenant ${tenant.id}`, 403);
+    }
+
+    return { tenantId: tenant.id, keyId, claims };
+  }
+}
@@ -0,0 +1,272 @@
+import fs from 'fs/promises';
+import { VoiceActivityDetector } from './voice_activity.js';
+import { readWavHeader } from './wav_utils.js';
+
+// Pauses shorter than this inside a participant's speech don't end it
+const SPEECH_BRIDGE_MS = 300;
+
+// Simultaneous speech shorter than this is ignored (crosstalk at turn changes)
+const MIN_OVERLAP_MS = 250;
+
+// Talking over someone for at least this long counts as interrupting them,
+// rather than a backchannel like "mm-hmm"
+const MIN_INTERRUPTION_MS = 1000;
+
+// Silence on the whole call at least this long counts as dead air
+const DEAD_AIR_MS = 5000;
+
+// Samples at or beyond this magnitude count as clipped
+const CLIP_LEVEL = 32767;
+
+// Samples read per block (1 second at 16 kHz)
+const BLOCK_SAMPLES = 16000;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+function toDb(meanSquare) {
+  return meanSquare > 0 ? round(10 * Math.log10(meanSquare / (32768 * 32768)), 1) : null;
+}
+
+// Speech stretches and levels of one participant's recording. Ranges are in
+// milliseconds on the call timeline.
+async function analyzeRecording(file, offsetMs) {
+  const result = {
+    ranges: [],
+    levels: { averageRmsDb: null, peakDb: null, clippedSamples: 0, clippedPercent: 0 }
+  };
+  if (!file) {
+    return result;
+  }
+
+  const handle = await fs.open(file, 'r');
+  try {
+    const header = await readWavHeader(handle);
+    if (header.audioFormat !== 1 || header.channels !== 1 || header.bitDepth !== 16) {
+      throw new Error(`${file} is not mono 16-bit PCM`);
+    }
+
+    // Only frames heard as speech, so levels aren't diluted by padding
+    const detector = new VoiceActivityDetector({
+      sampleRate: header.sampleRate,
+      paddingBeforeMs: 0,
+      paddingAfterMs: 0
+    });
+    const samples = Math.floor(header.dataLength / 2);
+    let peak = 0;
+    let clipped = 0;
+    let speechSquares = 0;
+    let speechSamples = 0;
+
+    for (let start = 0; start < samples; start += BLOCK_SAMPLES) {
+      const block = Buffer.alloc(Math.min(BLOCK_SAMPLES, samples - start) * 2);
+      await handle.read(block, 0, block.length, header.dataOffset + start * 2);
+
+      for (let offset = 0; offset < block.length; offset += 2) {
+        const magnitude = Math.abs(block.readInt16LE(offset));
+        peak = Math.max(peak, magnitude);
+        if (magnitude >= CLIP_LEVEL) {
+          clipped++;
+        }
+      }
+
+      const atMs = offsetMs + start / header.sampleRate * 1000;
+      for (const piece of detector.process(block, atMs)) {
+        for (let offset = 0; offset < piece.pcm.length; offset += 2) {
+          const sample = piece.pcm.readInt16LE(offset);
+          speechSquares += sample * sample;
+        }
+        speechSamples += piece.pcm.length / 2;
+
+        const endMs = piece.atMs + piece.pcm.length / 2 / header.sampleRate * 1000;
+        const last = result.ranges[result.ranges.length - 1];
+        if (last && piece.atMs - last.endMs < SPEECH_BRIDGE_MS) {
+          last.endMs = endMs;
+        } else {
+          result.ranges.push({ startMs: piece.atMs, endMs });
+        }
+      }
+    }
+
+    result.levels = {
+      averageRmsDb: speechSamples > 0 ? toDb(speechSquares / speechSamples) : null,
+      peakDb: toDb(peak * peak),
+      clippedSamples: clipped,
+      clippedPercent: samples > 0 ? round(clipped / samples * 100, 3) : 0
+    };
+    result.endMs = offsetMs + samples / header.sampleRate * 1000;
+    return result;
+  } finally {
+    await handle.close();
+  }
+}
+
+function countWords(segment) {
+  return segment.words?.length || segment.text.split(/\s+/).filter(Boolean).length;
+}
+
+// Words per minute over the time the recognizer placed the speaker's segments
+function speakingRate(segments) {
+  let words = 0;
+  let spokenMs = 0;
+  for (const segment of segments) {
+    if (segment.startMs === undefined || segment.endMs === undefined || segment.endMs <= segment.startMs) {
+      continue;
+    }
+    words += countWords(segment);
+    spokenMs += segment.endMs - segment.startMs;
+  }
+  return spokenMs > 0 ? round(words / (spokenMs / 60000), 1) : null;
+}
+
+function languageShares(segments) {
+  const languages = new Map();
+  for (const segment of segments) {
+    const languageCode = segment.languageCode || 'unknown';
+    const language = languages.get(languageCode) || { languageCode, segments: 0, words: 0 };
+    language.segments++;
+    language.words += countWords(segment);
+    languages.set(languageCode, language);
+  }
+
+  const totalWords = [...languages.values()].reduce((sum, language) => sum + language.words, 0);
+  return [...languages.values()]
+    .sort((a, b) => b.words - a.words)
+    .map((language) => ({ ...language, share: totalWords > 0 ? round(language.words / totalWords, 3) : 0 }));
+}
+
+// Stretches where at least two participants speak at once
+function findOverlaps(speakers) {
+  const boundaries = speakers.flatMap(({ ranges }) => ranges.flatMap((range) => [
+    { atMs: range.startMs, change: 1 },
+    { atMs: range.endMs, change: -1 }
+  ]));
+  // Ends before starts at the same instant, so touching ranges don't overlap
+  boundaries.sort((a, b) => a.atMs - b.atMs || a.change - b.change);
+
+  const overlaps = [];
+  let active = 0;
+  let overlapStart = null;
+  for (const { atMs, change } of boundaries) {
+    active += change;
+    if (active >= 2 && overlapStart === null) {
+      overlapStart = atMs;
+    } else if (active < 2 && overlapStart !== null) {
+      if (atMs - overlapStart >= MIN_OVERLAP_MS) {
+        overlaps.push({ startMs: overlapStart, endMs: atMs });
+      }
+      overlapStart = null;
+    }
+  }
+  return overlaps;
+}
+
+// Count each time a participant starts talking while another is mid-speech
+// and keeps talking over them
+function countInterruptions(speakers) {
+  for (const speaker of speakers) {
+    speaker.interruptions = 0;
+    speaker.interrupted = 0;
+  }
+
+  for (const interrupter of speakers) {
+    for (const range of interrupter.ranges) {
+      for (const other of speakers) {
+        if (other === interrupter) {
+          continue;
+        }
+        const talkedOver = other.ranges.find((otherRange) =>
+          otherRange.startMs < range.startMs && otherRange.endMs > range.startMs
+        );
+        if (talkedOver && Math.min(talkedOver.endMs, range.endMs) - range.startMs >= MIN_INTERRUPTION_MS) {
+          interrupter.interruptions++;
+          other.interrupted++;
+        }
+      }
+    }
+  }
+}
+
+// Gaps where nobody speaks, from call start to the end of the last recording
+function findSilences(speakers, durationMs) {
+  const ranges = speakers.flatMap((speaker) => speaker.ranges).sort((a, b) => a.startMs - b.startMs);
+  const silences = [];
+  let heardUntil = 0;
+  for (const range of ranges) {
+    if (range.startMs > heardUntil) {
+      silences.push({ startMs: heardUntil, endMs: range.startMs });
+    }
+    heardUntil = Math.max(heardUntil, range.endMs);
+  }
+  if (durationMs > heardUntil) {
+    silences.push({ startMs: heardUntil, endMs: durationMs });
+  }
+  return silences;
+}
+
+// Conversation statistics for a finished call, from each participant's
+// recording and final transcript segments:
+//
+//   tracks: [{ key, participant, recordingFile, offsetMs }]
+//   segments: final segments with `speaker` set to the track key
+//
+// Recordings are read block by block, so call length doesn't affect memory.
+export async function analyzeCall({ sessionId, platformCallId, tracks, segments }) {
+  const speakers = [];
+  for (const track of tracks) {
+    const recording = await analyzeRecording(track.recordingFile, track.offsetMs || 0);
+    speakers.push({ track, ...recording });
+  }
+
+  const durationMs = Math.max(0, ...speakers.map((speaker) => speaker.endMs || 0));
+  const overlaps = findOverlaps(speakers);
+  countInterruptions(speakers);
+  const silences = findSilences(speakers, durationMs);
+  const longestSilence = silences.reduce(
+    (longest, silence) => (silence.endMs - silence.startMs > longest.endMs - longest.startMs ? silence : longest),
+    { startMs: 0, endMs: 0 }
+  );
+  const deadAir = silences.filter((silence) => silence.endMs - silence.startMs >= DEAD_AIR_MS);
+
+  const talkTimes = speakers.map((speaker) =>
+    speaker.ranges.reduce((sum, range) => sum + range.endMs - range.startMs, 0)
+  );
+  const totalTalkMs = talkTimes.reduce((sum, talkMs) => sum + talkMs, 0);
+
+  return {
+    sessionId,
+    platformCallId,
+    generatedAt: new Date().toISOString(),
+    durationMs: round(durationMs),
+    participants: speakers.map((speaker, index) => {
+      const { key, participant, offsetMs } = speaker.track;
+      const own = segments.filter((segment) => segment.speaker === key);
+      return {
+        key,
+        role: participant?.roleName ?? null,
+        identity: participant?.identity ?? null,
+        joinedAtMs: offsetMs ?? null,
+        talkTimeMs: round(talkTimes[index]),
+        talkRatio: totalTalkMs > 0 ? round(talkTimes[index] / totalTalkMs, 3) : 0,
+        speechSegments: speaker.ranges.length,
+        interruptions: speaker.interruptions,
+        interrupted: speaker.interrupted,
+        words: own.reduce((sum, segment) => sum + countWords(segment), 0),
+        wordsPerMinute: speakingRate(own),
+        languages: languageShares(own),
+        levels: speaker.levels
+      };
+    }),
+    overlap: {
+      count: overlaps.length,
+      totalMs: round(overlaps.reduce((sum, overlap) => sum + overlap.endMs - overlap.startMs, 0))
+    },
+    interruptions: speakers.reduce((sum, speaker) => sum + speaker.interruptions, 0),
+    silence: {
+      longestMs: round(longestSilence.endMs - longestSilence.startMs),
+      longestStartMs: round(longestSilence.startMs),
+      deadAirThresholdMs: DEAD_AIR_MS,
+      deadAirCount: deadAir.length,
+      deadAirMs: round(deadAir.reduce((sum, silence) => sum + silence.endMs - silence.startMs, 0))
+    }
+  };
+}
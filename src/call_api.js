@@ -0,0 +1,202 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import { pipeline } from 'stream/promises';
+import { AuthError } from './auth.js';
+import { toTranscriptText } from './transcript_export.js';
+
+const MAX_PAGE_SIZE = 200;
+
+class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-cache' });
+  res.end(JSON.stringify(body));
+}
+
+// ISO 8601 instant for a `from`/`to` query parameter (a date or a date-time)
+function parseDate(url, name) {
+  const value = url.searchParams.get(name);
+  if (!value) {
+    return undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new HttpError(400, `${name} must be an ISO 8601 date or date-time`);
+  }
+  return date.toISOString();
+}
+
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, `Invalid path segment ${segment} (${error.message})`);
+  }
+}
+
+function parsePaging(url) {
+  const limit = Number(url.searchParams.get('limit') || 50);
+  const offset = Number(url.searchParams.get('offset') || 0);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE ||
+      !Number.isInteger(offset) || offset < 0) {
+    throw new HttpError(400, `limit must be 1-${MAX_PAGE_SIZE} and offset 0 or more`);
+  }
+  return { limit, offset };
+}
+
+function parseFilters(url, tenantId) {
+  return {
+    tenantId,
+    from: parseDate(url, 'from'),
+    to: parseDate(url, 'to'),
+    language: url.searchParams.get('language') || undefined,
+    participant: url.searchParams.get('participant') || undefined
+  };
+}
+
+// Read-only HTTP API over the call store:
+//
+//   GET /api/calls?from=&to=&language=&participant=&limit=&offset=
+//   GET /api/calls/<sessionId>
+//   GET /api/calls/<sessionId>/transcript[?format=txt]
+//   GET /api/calls/<sessionId>/recording          (supports Range requests)
+//   GET /api/search?q=&from=&to=&language=&participant=&limit=&offset=
+//
+// `from` is inclusive and `to` exclusive, both on the call's start time.
+// `language` matches by prefix ("ar" finds ar-SA and ar-EG). `participant` is
+// an identity or speaker key. With authentication enabled, requests carry a
+// tenant token like WebSocket clients do and only see that tenant's calls.
+export class CallApi {
+  constructor({ store, keyStore }) {
+    this.store = store;
+    this.keyStore = keyStore;
+  }
+
+  // Returns true when the request was for the API
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/api' && !url.pathname.startsWith('/api/')) {
+      return false;
+    }
+
+    try {
+      const tenantId = this.keyStore ? this.keyStore.authenticate(req).tenantId : undefined;
+      await this.route(req, res, url, tenantId);
+    } catch (error) {
+      if (!(error instanceof HttpError || error instanceof AuthError)) {
+        throw error;
+      }
+      sendJson(res, error.statusCode, { error: error.message });
+    }
+    return true;
+  }
+
+  async route(req, res, url, tenantId) {
+    const [, , resource, sessionId, part, ...rest] = url.pathname.split('/').map(decodePathSegment);
+
+    if (resource === 'search' && !sessionId) {
+      const query = url.searchParams.get('q');
+      if (!query || !query.trim()) {
+        throw new HttpError(400, 'q is required');
+      }
+      sendJson(res, 200, { results: this.store.search(query, parseFilters(url, tenantId), parsePaging(url)) });
+      return;
+    }
+
+    if (resource === 'calls' && !sessionId) {
+      sendJson(res, 200, { calls: this.store.listCalls(parseFilters(url, tenantId), parsePaging(url)) });
+      return;
+    }
+
+    if (resource !== 'calls' || rest.length > 0) {
+      throw new HttpError(404, 'Not found');
+    }
+
+    const call = this.store.getCall(sessionId, { tenantId });
+    if (!call) {
+      throw new HttpError(404, `No call ${sessionId}`);
+    }
+
+    switch (part) {
+      case undefined: {
+        const { transcript, ...details } = call;
+        sendJson(res, 200, details);
+        return;
+      }
+      case 'transcript':
+        this.sendTranscript(res, call, url.searchParams.get('format'));
+        return;
+      case 'recording':
+        await this.sendRecording(req, res, call);
+        return;
+      default:
+        throw new HttpError(404, 'Not found');
+    }
+  }
+
+  sendTranscript(res, call, format) {
+    if (!format || format === 'json') {
+      sendJson(res, 200, call.transcript);
+      return;
+    }
+    if (format !== 'txt') {
+      throw new HttpError(400, 'format must be json or txt');
+    }
+
+    const { platformCallId, participants, segments, languageEvents } = call.transcript;
+    const byKey = new Map(participants.map(({ key, ...participant }) => [key, participant]));
+    res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+    res.end(toTranscriptText({
+      platformCallId,
+      participants: [...byKey.entries()],
+      segments: segments.map((segment) => ({ ...segment, participant: byKey.get(segment.speaker) })),
+      events: languageEvents.map((event) => ({ ...event, participant: byKey.get(event.speaker) }))
+    }));
+  }
+
+  async sendRecording(req, res, call) {
+    let size;
+    try {
+      size = call.recordingFile && (await fs.stat(call.recordingFile)).size;
+    } catch (error) {
+      size = null;
+    }
+    if (!size) {
+      throw new HttpError(404, `No recording for call ${call.sessionId}`);
+    }
+
+    // A single byte range, which is what audio players seek with
+    let start = 0;
+    let end = size - 1;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+    // "bytes=-" names no range; like any malformed header it is ignored
+    const range = match && (match[1] || match[2]) ? match : null;
+    if (range) {
+      // A suffix range longer than the file asks for all of it
+      start = range[1] ? Number(range[1]) : Math.max(0, size - Number(range[2]));
+      end = range[1] && range[2] ? Math.min(Number(range[2]), size - 1) : size - 1;
+      if (start > end) {
+        res.writeHead(416, { 'Content-Range': `bytes */${size}` });
+        res.end();
+        return;
+      }
+    }
+
+    const headers = {
+      'Content-Type': 'audio/wav',
+      'Content-Length': end - start + 1,
+      'Accept-Ranges': 'bytes'
+    };
+    if (range) {
+      headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    }
+    res.writeHead(range ? 206 : 200, headers);
+    await pipeline(createReadStream(call.recordingFile, { start, end }), res);
+  }
+}
@@ -0,0 +1,1132 @@
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
+import { FileWriter } from 'wav';
+import fs from 'fs/promises';
+import path from 'path';
+import { isArabic, toDisplayText } from './text_utils.js';
+import { AudioDecoder, resolveAudioFormat } from './audio_codec.js';
+import { RotatingRecognitionStream } from './recognizers/rotating_stream.js';
+import { toSrt, toWebVtt } from './caption_export.js';
+import { formatCallTime, toTranscriptJson, toTranscriptText } from './transcript_export.js';
+import { summarizeConfidence } from './confidence_summary.js';
+import { SessionJournal } from './session_journal.js';
+import { ParticipantTrack } from './participant_track.js';
+import { VoiceActivityDetector } from './voice_activity.js';
+import { LanguageLock } from './language_lock.js';
+import { Redactor, buildRedactionAudit, muteRangesBySpeaker } from './redaction.js';
+import { AlertRules, toAlertMessage } from './alert_rules.js';
+import { mixRecordings } from './mixdown.js';
+import { analyzeCall } from './call_analytics.js';
+import { finishWriter } from './wav_utils.js';
+import { SequenceStatus, SequenceTracker } from './sequence_tracker.js';
+import {
+  CloseCode,
+  ErrorCode,
+  ProtocolError,
+  SessionEventType,
+  describeParticipant,
+  toParticipantMessage,
+  toSafeFileId,
+  validateRequest,
+  validateSequenceId
+} from './protocol.js';
+
+// Minimum spacing of acknowledgement-only responses while no results are flowing
+const ACK_INTERVAL_MS = 1000;
+
+// How long to wait for recognizers to flush final results after the call ends
+const RECOGNIZER_DRAIN_TIMEOUT_MS = 5000;
+
+function waitForStreamEnd(stream, timeoutMs) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, timeoutMs);
+    const done = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    stream.once('end', done);
+    stream.once('error', done);
+  });
+}
+
+// A single call on a single WebSocket. Owns its recordings, recognizer
+// streams and transcripts so concurrent calls never share state.
+//
+// Participants are tracked by identity rather than by a fixed pair of roles,
+// so conferences, transfers and supervisor barge-ins each get their own
+// recording, recognizer stream and transcript.
+export class CallSession extends EventEmitter {
+  constructor({
+    sessionId,
+    ws,
+    tenantId = null,
+    outputDir,
+    recognitionEngine,
+    profiles,
+    vocabularies,
+    alertRules = new AlertRules(),
+    responseType,
+    resumeGraceMs = 0,
+    isSessionIdTaken = () => false
+  }) {
+    super();
+    // Provisional until CALL_STARTED names the platform call
+    this.sessionId = sessionId;
+    this.isSessionIdTaken = isSessionIdTaken;
+    this.platformCallId = null;
+    // Participant key -> described participant, for everyone announced or heard
+    this.participants = new Map();
+    // Identity key -> participant key, for identities learned after anonymous audio
+    this.participantAliases = new Map();
+    // Participant key -> ParticipantTrack, for everyone who has sent audio
+    this.tracks = new Map();
+    this.callMetadata = {};
+    this.startedAt = new Date().toISOString();
+    this.endedAt = null;
+    this.ws = ws;
+    this.tenantId = tenantId;
+    this.outputDir = outputDir;
+    this.recognitionEngine = recognitionEngine;
+    this.profiles = profiles;
+    this.profile = profiles.resolve();
+    this.vocabularies = vocabularies;
+    this.vocabulary = vocabularies.resolve(this.profile.vocabularies);
+    this.redactor = new Redactor(this.profile.redaction);
+    this.alertRules = alertRules;
+    this.alertMonitor = alertRules.forCall({ tenantId, profile: this.profile.name });
+    // Alerts raised so far, in the order they were raised
+    this.alerts = [];
+    this.responseType = responseType;
+    this.sequenceTracker = new SequenceTracker();
+    this.lastSequenceId = '';
+    this.lastAcknowledgedSequenceId = '';
+    this.lastAckSentAt = 0;
+    // Call timeline: all segment and word times are milliseconds from callStartedAt
+    this.callStartedAt = null;
+    this.audioFormat = resolveAudioFormat();
+    this.configReceived = false;
+    this.closePromise = null;
+    // How long a dropped connection may take to come back and resume the call
+    this.resumeGraceMs = resumeGraceMs;
+    this.resumeTimer = null;
+    // Fire at required alert phrases' deadlines
+    this.deadlineTimers = new Set();
+    this.suspendedAt = null;
+    this.resumeCount = 0;
+    // Requests up to this sequence_id were processed before the last reconnect
+    this.resentThrough = null;
+    // Opened with the first recording, once the session id can no longer change
+    this.journal = null;
+  }
+
+  get isClosed() {
+    return this.closePromise !== null;
+  }
+
+  get isSuspended() {
+    return this.suspendedAt !== null && !this.isClosed;
+  }
+
+  log(...args) {
+    console.log(`[${this.sessionId}]`, ...args);
+  }
+
+  logError(...args) {
+    console.error(`[${this.sessionId}]`, ...args);
+  }
+
+  // Encode and push a StreamCallSessionResponse to the client, stamped with the
+  // latest processed sequence_id
+  sendResponse(response = {}) {
+    if (!this.responseType || this.ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    try {
+      const message = this.responseType.fromObject({
+        ...response,
+        acknowledgedSequenceId: this.lastSequenceId
+      });
+      this.ws.send(this.responseType.encode(message).finish());
+      this.lastAcknowledgedSequenceId = this.lastSequenceId;
+      this.lastAckSentAt = Date.now();
+    } catch (error) {
+      this.logError('Error sending response to client:', error);
+    }
+  }
+
+  acknowledge() {
+    if (this.lastSequenceId !== this.lastAcknowledgedSequenceId &&
+        Date.now() - this.lastAckSentAt >= ACK_INTERVAL_MS) {
+      this.sendResponse();
+    }
+  }
+
+  recognitionOptions(track) {
+    const profile = this.profile;
+    return {
+      speaker: track.key,
+      role: track.participant.role,
+      sampleRate: this.audioFormat.sampleRate,
+      interimResults: profile.output.interimResults,
+      enableAutomaticPunctuation: profile.enableAutomaticPunctuation,
+      model: profile.model,
+      // A speaker locked to a detected language gets that language alone
+      languageCode: track.languageLock.lockedLanguage || profile.languageCode,
+      alternativeLanguageCodes: track.languageLock.lockedLanguage ? [] : profile.alternativeLanguageCodes,
+      phraseHints: profile.phraseHints,
+      ...this.vocabulary.toRecognitionOptions(),
+      maxAlternatives: profile.maxAlternatives,
+      enableWordConfidence: profile.enableWordConfidence,
+      enableWordTimeOffsets: true
+    };
+  }
+
+  createTranscriptionStream(track) {
+    if (track.isStreamActive) {
+      return;
+    }
+
+    const speaker = track.key;
+    try {
+      // A stream replacing one that failed continues where its audio stopped
+      track.stream = new RotatingRecognitionStream(
+        this.recognitionEngine,
+        { ...this.recognitionOptions(track), audioOffsetMs: track.forwardedMs },
+        { log: (...args) => this.log(...args), warn: (...args) => this.logError(...args) }
+      )
+        .on('error', (error) => {
+          this.logError(`Speaker ${speaker} transcription error:`, error);
+          track.isStreamActive = false;
+        })
+        .on('result', (result) => {
+          this.handleTranscriptionData(track, result);
+        })
+        .on('end', () => {
+          this.log(`Speaker ${speaker} transcription stream ended`);
+          track.isStreamActive = false;
+        });
+
+      track.isStreamActive = true;
+      this.log(`Created new ${this.recognitionEngine.name} transcription stream for speaker ${speaker}`);
+    } catch (error) {
+      this.logError(`Error creating transcription stream for speaker ${speaker}:`, error);
+      track.isStreamActive = false;
+    }
+  }
+
+  async handleMessage(request) {
+    if (this.isClosed) {
+      return;
+    }
+
+    try {
+      validateSequenceId(request);
+      const { sequenceId } = request;
+      const tracked = sequenceId !== '';
+      const { status, skipped } = tracked ?
+        this.sequenceTracker.check(sequenceId) :
+        { status: SequenceStatus.NEXT, skipped: 0 };
+
+      if (status === SequenceStatus.DUPLICATE) {
+        if (this.resentThrough !== null && BigInt(sequenceId) <= this.resentThrough) {
+          // Resent after a reconnect, already processed before the drop
+          return;
+        }
+        throw new ProtocolError(ErrorCode.DUPLICATE_SEQUENCE,
+          `sequence_id ${sequenceId} was already received; request ignored`, { sequenceId });
+      }
+      if (status === SequenceStatus.GAP) {
+        this.reportError(new ProtocolError(ErrorCode.SEQUENCE_GAP,
+          `${skipped} request(s) missing before sequence_id ${sequenceId}`, { sequenceId }));
+      }
+
+      const content = validateRequest(request);
+
+      if (status === SequenceStatus.OUT_OF_ORDER) {
+        // Late audio can't be placed on the timeline any more; late config
+        // and events still apply
+        const error = new ProtocolError(ErrorCode.OUT_OF_ORDER_SEQUENCE,
+          `sequence_id ${sequenceId} arrived out of order` +
+          (content.type === 'audio' ? '; audio dropped' : ''), { sequenceId });
+        if (content.type === 'audio') {
+          throw error;
+        }
+        this.reportError(error);
+      } else if (tracked) {
+        this.lastSequenceId = sequenceId;
+      }
+
+      await this.processContent(content, sequenceId);
+      this.acknowledge();
+    } catch (error) {
+      this.reportError(error instanceof ProtocolError ?
+        error :
+        this.internalError(error, request.sequenceId));
+    }
+  }
+
+  async processContent(content, sequenceId) {
+    switch (content.type) {
+      case 'config':
+        this.handleConfig(content.data, sequenceId);
+        break;
+      case 'audio':
+        if (!this.configReceived) {
+          throw new ProtocolError(ErrorCode.CONFIG_REQUIRED,
+            'streaming_config must be sent before audio_content', { fatal: true, sequenceId });
+        }
+        await this.handleAudio(content);
+        break;
+      case 'event':
+        await this.handleEvent(content.data);
+        break;
+    }
+  }
+
+  internalError(error, sequenceId = '') {
+    this.logError('Error handling message:', error);
+    return new ProtocolError(ErrorCode.INTERNAL_ERROR, 'Internal error while processing request', { sequenceId });
+  }
+
+  // Tell the client what went wrong; fatal violations also end the connection
+  reportError(error) {
+    const log = error.fatal ? this.logError.bind(this) : this.log.bind(this);
+    log(`Protocol ${error.fatal ? 'violation' : 'warning'} ${error.codeName}: ${error.message}`);
+    this.sendResponse({ error: error.toResponse() });
+
+    if (error.fatal) {
+      if (this.ws.readyState === WebSocket.OPEN) {
+        // Close reasons are limited to 123 bytes
+        this.ws.close(error.closeCode, Buffer.from(error.message).subarray(0, 123).toString());
+      }
+      this.close();
+    }
+  }
+
+  handleConfig(config, sequenceId) {
+    if (this.configReceived) {
+      throw new ProtocolError(ErrorCode.DUPLICATE_CONFIG,
+        'streaming_config was already received; ignored', { sequenceId });
+    }
+
+    this.configReceived = true;
+    this.markCallStart();
+    this.profile = this.profiles.resolve(config.profile);
+    this.vocabulary = this.vocabularies.resolve(this.profile.vocabularies);
+    this.redactor = new Redactor(this.profile.redaction);
+    this.alertMonitor = this.alertRules.forCall({ tenantId: this.tenantId, profile: this.profile.name });
+    this.scheduleAlertDeadlines();
+    this.log(
+      `Recognition profile: ${this.profile.name}` +
+      (this.vocabulary.names.length > 0 ? ` (vocabularies: ${this.vocabulary.names.join(', ')})` : '')
+    );
+    this.audioFormat = resolveAudioFormat(config.audioMetadata);
+    this.log(
+      `Audio format: ${this.audioFormat.encodingName} @ ${this.audioFormat.inputSampleRate} Hz, ` +
+      `processing as LINEAR16 @ ${this.audioFormat.sampleRate} Hz`
+    );
+  }
+
+  // A required phrase is missing once its deadline passes, even when the
+  // speakers it applies to have gone quiet and no result comes to tell
+  scheduleAlertDeadlines() {
+    for (const deadlineMs of this.alertMonitor.deadlines) {
+      const timer = setTimeout(() => {
+        this.deadlineTimers.delete(timer);
+        this.raiseAlerts(this.alertMonitor.checkDeadlines(Date.now() - this.callStartedAt));
+      }, this.callStartedAt + deadlineMs - Date.now());
+      timer.unref();
+      this.deadlineTimers.add(timer);
+    }
+  }
+
+  markCallStart() {
+    if (this.callStartedAt === null) {
+      this.callStartedAt = Date.now();
+    }
+  }
+
+  // Find or lazily create the track for the participant on an audio frame
+  getTrack(participant) {
+    const key = this.registerParticipant(participant);
+    if (this.tracks.has(key)) {
+      return this.tracks.get(key);
+    }
+
+    this.markCallStart();
+    const track = new ParticipantTrack({
+      key,
+      participant: this.participants.get(key),
+      channel: this.tracks.size
+    });
+    // Remember where in the call the participant's audio begins, so their
+    // recognizer offsets can be placed on the call timeline
+    track.offsetMs = Date.now() - this.callStartedAt;
+    track.decoder = new AudioDecoder(this.audioFormat);
+    track.voiceActivity = new VoiceActivityDetector({
+      sampleRate: this.audioFormat.sampleRate,
+      ...this.profile.vad
+    });
+    track.languageLock = new LanguageLock({
+      languageCodes: [this.profile.languageCode, ...this.profile.alternativeLanguageCodes],
+      ...this.profile.languageLock
+    });
+    this.tracks.set(key, track);
+
+    this.log(`Speaker ${key} joined at ${formatCallTime(track.offsetMs)} (${track.participant.roleName})`);
+    this.openRecording(track);
+    this.createTranscriptionStream(track);
+    return track;
+  }
+
+  openRecording(track) {
+    if (!this.configReceived || track.writer) {
+      return;
+    }
+
+    this.openJournal();
+    track.recordingFile = path.join(this.outputDir, `participant_${this.sessionId}_${track.key}.wav`);
+    track.writer = new FileWriter(track.recordingFile, {
+      sampleRate: this.audioFormat.sampleRate,
+      bitDepth: 16,
+      channels: 1
+    });
+    this.journal.append({
+      type: 'track',
+      key: track.key,
+      participant: track.participant,
+      channel: track.channel,
+      offsetMs: track.offsetMs,
+      recordingFile: path.basename(track.recordingFile)
+    });
+  }
+
+  openJournal() {
+    if (this.journal) {
+      return;
+    }
+    this.journal = new SessionJournal(SessionJournal.fileFor(this.outputDir, this.sessionId));
+    this.journal.append({
+      type: 'session',
+      sessionId: this.sessionId,
+      platformCallId: this.platformCallId,
+      tenantId: this.tenantId,
+      profile: this.profile.name,
+      captions: this.profile.output.captions,
+      redaction: this.profile.redaction,
+      startedAt: this.startedAt,
+      audioFormat: this.audioFormat,
+      payload: this.callMetadata
+    });
+    this.journalParticipants();
+  }
+
+  journalParticipants() {
+    this.journal?.append({ type: 'participants', participants: [...this.participants.entries()] });
+  }
+
+  // Keep the recording on the call timeline: when a participant's audio
+  // stops arriving for a while (hold, network outage), pad the gap with
+  // silence. Returns where in the recording the chunk starts.
+  alignTrack(track, pcm) {
+    const samples = pcm.length / 2;
+    const chunkMs = samples / this.audioFormat.sampleRate * 1000;
+    const arrivalMs = Date.now() - this.callStartedAt - track.offsetMs;
+
+    const gapMs = track.gapBefore(arrivalMs, chunkMs);
+    if (gapMs > 0) {
+      const gapSamples = Math.round(gapMs * this.audioFormat.sampleRate / 1000);
+      this.log(`Speaker ${track.key} resumed after ${Math.round(gapMs)} ms gap; padding recording`);
+      this.writeSilence(track, gapSamples);
+      track.extendRecording(gapSamples / this.audioFormat.sampleRate * 1000);
+    }
+    const atMs = track.recordedMs;
+    track.extendRecording(chunkMs);
+    return atMs;
+  }
+
+  writeSilence(track, samples) {
+    if (!track.writer) {
+      return;
+    }
+    const blockSamples = this.audioFormat.sampleRate;
+    for (let remaining = samples; remaining > 0; remaining -= blockSamples) {
+      track.writer.write(Buffer.alloc(Math.min(remaining, blockSamples) * 2));
+    }
+  }
+
+  async handleAudio(content) {
+    const { data } = content;
+    const track = this.getTrack(data.participant);
+    const pcm = track.decoder.decode(data.audioContent);
+    if (pcm.length === 0) {
+      return;
+    }
+
+    // Everything is recorded; only speech and its padding is recognized
+    const atMs = this.alignTrack(track, pcm);
+    if (track.writer) {
+      track.writer.write(pcm);
+    }
+
+    const speech = track.voiceActivity.process(pcm, atMs);
+    if (speech.length === 0) {
+      return;
+    }
+
+    if (!track.isStreamActive) {
+      this.createTranscriptionStream(track);
+    }
+
+    for (const piece of speech) {
+      if (!track.stream || !track.isStreamActive) {
+        break;
+      }
+      try {
+        track.stream.write(piece.pcm);
+        track.addForwarded(piece.atMs, piece.pcm.length / 2 / this.audioFormat.sampleRate * 1000);
+      } catch (error) {
+        this.logError(`Error writing to transcription stream for speaker ${track.key}:`, error);
+        track.isStreamActive = false;
+      }
+    }
+  }
+
+  async handleEvent(eventData) {
+    this.log('Processing event:', eventData);
+
+    (eventData.participants || []).forEach((participant) => this.registerParticipant(participant));
+    Object.assign(this.callMetadata, eventData.payload || {});
+    if (eventData.participants?.length > 0) {
+      this.journalParticipants();
+    }
+
+    switch (eventData.eventType) {
+      case SessionEventType.CALL_STARTED:
+        await this.handleCallStarted(eventData);
+        break;
+      case SessionEventType.CALL_ENDED:
+        this.log('Received session end event');
+        await this.close();
+        break;
+    }
+  }
+
+  async handleCallStarted(eventData) {
+    if (eventData.platformCallId) {
+      this.adoptPlatformCallId(eventData.platformCallId);
+    }
+    this.journal?.append({ type: 'call', platformCallId: this.platformCallId, payload: this.callMetadata });
+    await this.saveMetadata();
+  }
+
+  adoptPlatformCallId(platformCallId) {
+    this.platformCallId = platformCallId;
+
+    if ([...this.tracks.values()].some((track) => track.writer)) {
+      this.logError(`CALL_STARTED for ${platformCallId} arrived after audio; keeping session id ${this.sessionId}`);
+      return;
+    }
+
+    const candidate = toSafeFileId(platformCallId);
+    if (candidate === this.sessionId) {
+      return;
+    }
+
+    const previousId = this.sessionId;
+    this.sessionId = this.isSessionIdTaken(candidate) ?
+      `${candidate}_${previousId}` :
+      candidate;
+    this.log(`Session ${previousId} identified as platform call ${platformCallId}`);
+    this.emit('identified', previousId);
+  }
+
+  // Participants can be announced in SessionEvents or on each AudioContent.
+  // Returns the key the participant is tracked under: their identity when
+  // known, otherwise their role. Audio that carries only a role is attributed
+  // to the first participant announced with that role.
+  registerParticipant(participant) {
+    const described = describeParticipant(participant) || describeParticipant({});
+    const roleKey = described.roleName.toLowerCase();
+
+    if (!described.identity) {
+      for (const [key, known] of this.participants.entries()) {
+        if (known.role === described.role) {
+          return key;
+        }
+      }
+      this.participants.set(roleKey, described);
+      return roleKey;
+    }
+
+    const identityKey = toSafeFileId(described.identity);
+    const aliased = this.participantAliases.get(identityKey);
+    if (aliased) {
+      return aliased;
+    }
+    if (this.participants.has(identityKey)) {
+      return identityKey;
+    }
+
+    // An anonymous participant with this role has now been identified
+    const anonymous = this.participants.get(roleKey);
+    if (anonymous && !anonymous.identity) {
+      this.participants.set(roleKey, described);
+      this.participantAliases.set(identityKey, roleKey);
+      if (this.tracks.has(roleKey)) {
+        this.tracks.get(roleKey).participant = described;
+      }
+      this.log(`Speaker ${roleKey} identified as ${described.identityType}=${described.identity}`);
+      return roleKey;
+    }
+
+    this.participants.set(identityKey, described);
+    this.log(`Speaker ${identityKey} is ${described.roleName} ${described.identityType}=${described.identity}`);
+    return identityKey;
+  }
+
+  getMetadata() {
+    return {
+      sessionId: this.sessionId,
+      platformCallId: this.platformCallId,
+      tenantId: this.tenantId,
+      startedAt: this.startedAt,
+      endedAt: this.endedAt,
+      profile: this.profile.name,
+      vocabularies: this.vocabulary.names,
+      audioFormat: this.audioFormat,
+      sequence: this.sequenceTracker.stats,
+      reconnects: this.resumeCount,
+      voiceActivity: this.getVoiceActivityTotals(),
+      confidence: summarizeConfidence(this.getAllTranscriptions()),
+      alerts: this.alerts,
+      participants: [...this.participants.entries()].map(([key, participant]) => {
+        const track = this.tracks.get(key);
+        return {
+          key,
+          ...participant,
+          channel: track ? track.channel : null,
+          joinedAtMs: track ? track.offsetMs : null,
+          voiceActivity: track ? track.voiceActivity : null,
+          language: track ? {
+            locked: track.languageLock.lockedLanguage,
+            events: track.languageEvents.map(({ change, languageCode, from, reason, atMs }) =>
+              ({ change, languageCode, from, reason, atMs }))
+          } : null
+        };
+      }),
+      payload: this.callMetadata
+    };
+  }
+
+  // Audio received versus passed to the recognizer across all participants
+  getVoiceActivityTotals() {
+    const totals = { totalMs: 0, forwardedMs: 0, suppressedMs: 0 };
+    for (const track of this.tracks.values()) {
+      totals.totalMs += track.voiceActivity.stats.totalMs;
+      totals.forwardedMs += track.voiceActivity.stats.forwardedMs;
+      totals.suppressedMs += track.voiceActivity.suppressedMs;
+    }
+    return {
+      ...totals,
+      suppressedPercent: totals.totalMs > 0 ? Math.round(totals.suppressedMs / totals.totalMs * 1000) / 10 : 0
+    };
+  }
+
+  async saveMetadata() {
+    const metadataFile = path.join(this.outputDir, `metadata_${this.sessionId}.json`);
+    try {
+      await fs.writeFile(metadataFile, JSON.stringify(this.getMetadata(), null, 2), 'utf8');
+    } catch (error) {
+      this.logError('Error saving call metadata:', error);
+    }
+  }
+
+  handleTranscriptionData(track, result) {
+    const speaker = track.key;
+    if (result.alternatives[0]) {
+      const alternative = result.alternatives[0];
+      const isFinal = result.isFinal;
+      const confidence = alternative.confidence;
+      const languageCode = result.languageCode;
+
+      const words = (alternative.words || []).map((word) => ({
+        word: word.word,
+        startMs: track.toCallTime(word.startMs),
+        endMs: track.toCallTime(word.endMs),
+        confidence: word.confidence
+      }));
+      const endMs = track.toCallTime(result.resultEndTimeMs);
+      // Without word timings the segment starts where the speaker's previous one ended
+      const startMs = words.length > 0 && words[0].startMs !== undefined ?
+        words[0].startMs :
+        (track.lastFinalEndMs ?? track.toCallTime(0));
+
+      // Mask personal data before the text goes anywhere: responses, the
+      // viewer, the journal and every transcript written from them. Interim
+      // results may stop mid-number, so they are masked more eagerly.
+      const redacted = this.redactor.redactSegment({
+        text: alternative.transcript,
+        words,
+        alternatives: result.alternatives.map((candidate) => ({
+          transcript: candidate.transcript,
+          confidence: candidate.confidence
+        }))
+      }, { partial: !isFinal });
+      const transcription = redacted.text;
+
+      // Enhanced logging for debugging language detection
+      if (isFinal) {
+        this.log('Language Detection Details:', {
+          speaker,
+          detectedLanguage: languageCode,
+          confidence,
+          isArabic: isArabic(transcription),
+          textLength: transcription.length,
+          hasLanguageIdentification: result.languageConfidence !== undefined,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      const participant = track.participant;
+
+      const entry = {
+        participant,
+        text: transcription,
+        timestamp: new Date().toISOString(),
+        confidence,
+        languageCode,
+        languageConfidence: result.languageConfidence || 1.0,
+        isArabic: isArabic(transcription),
+        startMs,
+        endMs,
+        words: redacted.words,
+        // Full n-best list, best first; `text` and `confidence` are the first
+        alternatives: redacted.alternatives,
+        // What was masked and where, never the values themselves
+        redactions: redacted.redactions
+      };
+
+      if (isFinal) {
+        this.journal?.append({ type: 'transcription', speaker, ...entry });
+        track.transcriptions.push(entry);
+        track.lastFinalEndMs = endMs;
+        track.interimResult = null;
+        this.updateLanguageLock(track, {
+          languageCode,
+          confidence,
+          languageConfidence: result.languageConfidence,
+          // Internal only; the labels in redacted text would look like a script switch
+          text: alternative.transcript
+        }, endMs);
+        if (redacted.redactions.length > 0) {
+          this.log(`Speaker ${speaker} redacted: ${redacted.redactions.map((item) => item.entity).join(', ')}`);
+        }
+      } else {
+        track.interimResult = { speaker, isFinal, ...entry };
+      }
+
+      this.log(
+        `Speaker ${speaker} ${isFinal ? '(Final)' : '(Interim)'}: ` +
+        `[${languageCode || 'unknown'}] ${toDisplayText(transcription)}`
+      );
+
+      this.sendResponse({
+        transcriptionResult: {
+          participant: toParticipantMessage(participant),
+          transcript: transcription,
+          isFinal,
+          languageCode: languageCode || '',
+          confidence: confidence || 0,
+          resultStartTimeMs: startMs || 0,
+          resultEndTimeMs: endMs || 0
+        }
+      });
+
+      this.emit('transcription', { speaker, isFinal, ...entry });
+
+      if (isFinal) {
+        this.raiseAlerts(this.alertMonitor.observe({ speaker, participant, text: transcription, startMs, endMs }));
+      }
+    }
+  }
+
+  // Tell the client and the viewer as soon as a rule matches; the journal
+  // keeps alerts for recovery and the call's metadata
+  raiseAlerts(alerts) {
+    for (const alert of alerts) {
+      this.alerts.push(alert);
+      this.journal?.append({ type: 'alert', ...alert });
+      this.log(alert.missing ?
+        `Alert ${alert.ruleId} (${alert.severity}): required phrase not said by ${formatCallTime(alert.window.toMs)}` :
+        `Alert ${alert.ruleId} (${alert.severity}): speaker ${alert.speaker} said "${toDisplayText(alert.matched)}"`);
+      this.sendResponse({ alert: toAlertMessage(alert) });
+      this.emit('alert', alert);
+    }
+  }
+
+  // Lock the speaker's recognizer to a confidently detected language, or
+  // switch language identification back on when they seem to have switched
+  updateLanguageLock(track, result, atMs) {
+    const change = track.languageLock.observe(result);
+    if (!change) {
+      return;
+    }
+
+    const event = {
+      speaker: track.key,
+      participant: track.participant,
+      ...change,
+      atMs,
+      timestamp: new Date().toISOString()
+    };
+    track.languageEvents.push(event);
+    this.journal?.append({ type: 'language', ...event });
+    this.log(change.change === 'locked' ?
+      `Speaker ${track.key} locked to ${change.languageCode}` :
+      `Speaker ${track.key} unlocked from ${change.from} (${change.reason}); detecting language again`);
+
+    if (track.stream && track.isStreamActive) {
+      track.stream.reconfigure(this.recognitionOptions(track));
+    }
+  }
+
+  getLanguageEvents() {
+    return [...this.tracks.values()]
+      .flatMap((track) => track.languageEvents)
+      .sort((a, b) => (a.atMs ?? 0) - (b.atMs ?? 0));
+  }
+
+  // Final segments of every speaker, in the order they were spoken
+  getAllTranscriptions() {
+    const allTranscriptions = [];
+    for (const track of this.tracks.values()) {
+      track.transcriptions.forEach(t => {
+        allTranscriptions.push({ speaker: track.key, isFinal: true, ...t });
+      });
+    }
+
+    allTranscriptions.sort((a, b) =>
+      (a.startMs ?? 0) - (b.startMs ?? 0) || new Date(a.timestamp) - new Date(b.timestamp)
+    );
+    return allTranscriptions;
+  }
+
+  // Everything a late-joining viewer needs to catch up with the call
+  getSnapshot() {
+    return {
+      sessionId: this.sessionId,
+      startedAt: this.startedAt,
+      transcriptions: this.getAllTranscriptions(),
+      interims: [...this.tracks.values()]
+        .map((track) => track.interimResult)
+        .filter(Boolean),
+      alerts: this.alerts
+    };
+  }
+
+  // The connection dropped without CALL_ENDED. Recordings and recognizers stay
+  // open for the grace period in case the client reconnects and resumes; only
+  // calls with a platform call id can be found again.
+  handleDisconnect(ws) {
+    if (ws !== this.ws || this.isClosed || this.isSuspended) {
+      return;
+    }
+    if (!this.platformCallId || this.resumeGraceMs <= 0) {
+      this.close();
+      return;
+    }
+
+    this.suspendedAt = Date.now();
+    this.log(`Connection lost; holding call ${this.platformCallId} open for ${this.resumeGraceMs} ms`);
+    this.resumeTimer = setTimeout(() => this.expireResumeGrace(), this.resumeGraceMs);
+    this.emit('suspended');
+  }
+
+  expireResumeGrace() {
+    this.log('No reconnect within the grace period');
+    this.close();
+  }
+
+  // Continue the call on a new connection. The acknowledgement sent back
+  // tells the client which requests it still has to resend. A client can
+  // notice a dead connection before the server does, so the old connection
+  // may still look open; it is cut off and the new one takes over.
+  resume(ws, lastAcknowledgedSequenceId) {
+    const processed = this.sequenceTracker.last;
+    if (lastAcknowledgedSequenceId &&
+        (!/^\d{1,20}$/.test(lastAcknowledgedSequenceId) ||
+         processed === null ||
+         BigInt(lastAcknowledgedSequenceId) > processed)) {
+      throw new ProtocolError(ErrorCode.RESUME_FAILED,
+        `last_acknowledged_sequence_id ${lastAcknowledgedSequenceId} was never received by this session`,
+        { fatal: true });
+    }
+
+    clearTimeout(this.resumeTimer);
+    const previousWs = this.ws;
+    const resumed = this.isSuspended ?
+      `Resumed after ${Date.now() - this.suspendedAt} ms` :
+      'Took over the call from a connection that still looked open';
+    this.suspendedAt = null;
+    // Replaced first, so the old connection's close is not taken for a drop
+    this.ws = ws;
+    if (previousWs !== ws && previousWs.readyState !== WebSocket.CLOSED) {
+      previousWs.terminate();
+    }
+    this.resumeCount++;
+    this.resentThrough = processed;
+    this.log(
+      `${resumed} (client acknowledged ${lastAcknowledgedSequenceId || 'nothing'}, ` +
+      `server processed ${this.lastSequenceId || 'nothing'})`
+    );
+    this.sendResponse();
+    this.emit('resumed');
+  }
+
+  // Tear the session down exactly once, however many close/end/error/CALL_ENDED
+  // signals arrive. Later callers get the same promise.
+  close() {
+    clearTimeout(this.resumeTimer);
+    this.deadlineTimers.forEach(clearTimeout);
+    this.deadlineTimers.clear();
+    if (!this.closePromise) {
+      this.closePromise = this.finalize();
+    }
+    return this.closePromise;
+  }
+
+  async finalize() {
+    this.log('Starting disconnection handling...');
+    this.endedAt = new Date().toISOString();
+
+    const voiceActivity = this.getVoiceActivityTotals();
+    if (voiceActivity.totalMs > 0) {
+      this.log(
+        `Silence suppression: ${Math.round(voiceActivity.suppressedMs / 1000)} s of ` +
+        `${Math.round(voiceActivity.totalMs / 1000)} s (${voiceActivity.suppressedPercent}%) not sent to the recognizer`
+      );
+    }
+
+    const pendingStreams = [];
+    for (const track of this.tracks.values()) {
+      if (track.stream && track.isStreamActive) {
+        try {
+          this.log(`Ending transcription stream for speaker ${track.key}`);
+          pendingStreams.push(waitForStreamEnd(track.stream, RECOGNIZER_DRAIN_TIMEOUT_MS));
+          track.stream.end();
+          track.isStreamActive = false;
+        } catch (error) {
+          this.logError(`Error ending transcription stream for speaker ${track.key}:`, error);
+        }
+      }
+    }
+
+    try {
+      if (!this.configReceived && this.tracks.size === 0) {
+        // The connection never got as far as a call: no outputs, no stored
+        // call and no call.completed for it
+        this.log('No streaming config or audio received; nothing to save');
+        return;
+      }
+
+      // Let recognizers deliver their last final results before the transcript is written
+      await Promise.all(pendingStreams);
+      // Every final result is in; required phrases not said by now never were
+      this.raiseAlerts(this.alertMonitor.finish(this.callStartedAt === null ? 0 : Date.now() - this.callStartedAt));
+
+      this.log('Closing audio file streams...');
+      const recordedTracks = [...this.tracks.values()].filter((track) => track.writer);
+      await Promise.all(recordedTracks.map((track) => finishWriter(track.writer)));
+
+      this.log('Saving transcriptions and combining audio...');
+      const [transcript, , , , , recordingFile] = await Promise.all([
+        this.saveTranscriptions(),
+        this.saveMetadata(),
+        this.saveVocabularyReport(),
+        this.saveAnalytics(recordedTracks),
+        this.saveRedactionAudit(),
+        this.combineAudioFiles(recordedTracks)
+      ]);
+
+      this.log('Cleaning up files...');
+      await this.cleanupFiles(recordedTracks);
+      // Everything is on disk; nothing left to recover
+      await this.journal?.remove();
+
+      this.emit('completed', {
+        sessionId: this.sessionId,
+        platformCallId: this.platformCallId,
+        tenantId: this.tenantId,
+        recordingFile: recordingFile || null,
+        transcript,
+        metadata: this.getMetadata()
+      });
+
+      this.log('Disconnection handling completed');
+    } catch (error) {
+      this.logError('Error during disconnection cleanup:', error);
+      // Keep the journal and recordings so the next startup can finish the call
+      await this.journal?.close();
+    } finally {
+      // Confirm everything up to CALL_ENDED if the socket is still open, then
+      // let the client know the call's outputs are saved
+      if (this.lastSequenceId !== this.lastAcknowledgedSequenceId) {
+        this.sendResponse();
+      }
+      if (this.ws.readyState === WebSocket.OPEN) {
+        this.ws.close(CloseCode.NORMAL, 'Call ended');
+      }
+      this.emit('closed');
+    }
+  }
+
+  async saveTranscriptions() {
+    const transcriptionFile = path.join(this.outputDir, `transcription_${this.sessionId}.txt`);
+    const transcriptJsonFile = path.join(this.outputDir, `transcription_${this.sessionId}.json`);
+    const allTranscriptions = this.getAllTranscriptions();
+    const transcript = {
+      sessionId: this.sessionId,
+      platformCallId: this.platformCallId,
+      participants: [...this.participants.entries()],
+      segments: allTranscriptions,
+      events: this.getLanguageEvents()
+    };
+
+    const transcriptJson = toTranscriptJson(transcript);
+
+    await Promise.all([
+      fs.writeFile(transcriptionFile, toTranscriptText(transcript), 'utf8'),
+      fs.writeFile(transcriptJsonFile, JSON.stringify(transcriptJson, null, 2), 'utf8')
+    ]);
+    this.log(`Transcription saved to ${transcriptionFile} and ${transcriptJsonFile}`);
+
+    if (this.profile.output.captions) {
+      await this.saveCaptions(allTranscriptions);
+    }
+    return transcriptJson;
+  }
+
+  // Which boosted phrases the recognizer produced in this call, to tell which
+  // vocabulary entries pull their weight
+  async saveVocabularyReport() {
+    if (this.vocabulary.isEmpty) {
+      return;
+    }
+
+    const reportFile = path.join(this.outputDir, `vocabulary_${this.sessionId}.json`);
+    const { matched, unmatched } = this.vocabulary.findMatches(this.getAllTranscriptions());
+    const report = {
+      sessionId: this.sessionId,
+      platformCallId: this.platformCallId,
+      profile: this.profile.name,
+      vocabularies: this.vocabulary.names,
+      matched,
+      unmatched: unmatched.map(({ value, boost, vocabulary }) => ({ value, boost, vocabulary }))
+    };
+
+    try {
+      await fs.writeFile(reportFile, JSON.stringify(report, null, 2), 'utf8');
+      this.log(`Vocabulary report saved to ${reportFile} (${matched.length}/${this.vocabulary.phrases.length} phrases matched)`);
+    } catch (error) {
+      this.logError('Error saving vocabulary report:', error);
+    }
+  }
+
+  // Talk time, overlap, silence, levels and speaking rate, computed from the
+  // recordings before they are merged and removed
+  async saveAnalytics(recordedTracks) {
+    const analyticsFile = path.join(this.outputDir, `analytics_${this.sessionId}.json`);
+    try {
+      const report = await analyzeCall({
+        sessionId: this.sessionId,
+        platformCallId: this.platformCallId,
+        tracks: recordedTracks,
+        segments: this.getAllTranscriptions()
+      });
+      await fs.writeFile(analyticsFile, JSON.stringify(report, null, 2), 'utf8');
+      this.log(`Call analytics saved to ${analyticsFile}`);
+    } catch (error) {
+      this.logError('Error saving call analytics:', error);
+    }
+  }
+
+  // What was masked in this call and why, for compliance review
+  async saveRedactionAudit() {
+    if (!this.redactor.isEnabled) {
+      return;
+    }
+
+    const auditFile = path.join(this.outputDir, `redactions_${this.sessionId}.json`);
+    const audit = buildRedactionAudit({
+      sessionId: this.sessionId,
+      platformCallId: this.platformCallId,
+      settings: this.redactor.settings,
+      segments: this.getAllTranscriptions(),
+      audioMuted: this.redactor.settings.muteAudio
+    });
+    try {
+      await fs.writeFile(auditFile, JSON.stringify(audit, null, 2), 'utf8');
+      this.log(`Redaction audit saved to ${auditFile} (${audit.redactions.length} redactions)`);
+    } catch (error) {
+      this.logError('Error saving redaction audit:', error);
+    }
+  }
+
+  async saveCaptions(segments) {
+    const srtFile = path.join(this.outputDir, `transcription_${this.sessionId}.srt`);
+    const vttFile = path.join(this.outputDir, `transcription_${this.sessionId}.vtt`);
+
+    await Promise.all([
+      fs.writeFile(srtFile, toSrt(segments), 'utf8'),
+      fs.writeFile(vttFile, toWebVtt(segments), 'utf8')
+    ]);
+    this.log(`Captions saved to ${srtFile} and ${vttFile}`);
+  }
+
+  async combineAudioFiles(recordedTracks) {
+    if (recordedTracks.length === 0) {
+      return;
+    }
+
+    const outputFile = path.join(this.outputDir, `combined_${this.sessionId}.wav`);
+    const muteRanges = this.redactor.isEnabled && this.redactor.settings.muteAudio ?
+      muteRangesBySpeaker(this.getAllTranscriptions(), this.redactor.settings.paddingMs) :
+      new Map();
+    try {
+      const { channels } = await mixRecordings({
+        inputs: recordedTracks.map((track) => ({
+          file: track.recordingFile,
+          offsetMs: track.offsetMs,
+          muteRanges: muteRanges.get(track.key) || []
+        })),
+        outputFile,
+        sampleRate: this.audioFormat.sampleRate
+      });
+
+      this.log(
+        channels === 2 ?
+          'Successfully combined audio files into stereo with balanced panning' :
+          `Successfully combined audio files into ${channels} channels (${recordedTracks.map((track) => track.key).join(', ')})`
+      );
+      return outputFile;
+    } catch (error) {
+      // Failing the finalize keeps the recordings and the journal, so the
+      // next startup's recovery can mix them again
+      throw new Error(`Could not combine audio files: ${error.message}`, { cause: error });
+    }
+  }
+
+  async cleanupFiles(recordedTracks) {
+    for (const track of recordedTracks) {
+      try {
+        await fs.unlink(track.recordingFile);
+        this.log(`Cleaned up file: ${track.recordingFile}`);
+      } catch (error) {
+        this.logError(`Error cleaning up file ${track.recordingFile}:`, error);
+      }
+      track.writer = null;
+    }
+  }
+}
@@ -0,0 +1,264 @@
+import Database from 'better-sqlite3';
+import { isArabic, toSearchText } from './text_utils.js';
+
+// Bumped with every schema change; older databases are migrated on open
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE calls (
+    session_id TEXT PRIMARY KEY,
+    platform_call_id TEXT,
+    tenant_id TEXT,
+    profile TEXT,
+    started_at TEXT,
+    ended_at TEXT,
+    recording_file TEXT,
+    metadata TEXT NOT NULL,
+    transcript TEXT NOT NULL,
+    stored_at TEXT NOT NULL
+  );
+  CREATE INDEX calls_started_at ON calls (started_at);
+  CREATE INDEX calls_platform_call_id ON calls (platform_call_id);
+
+  CREATE TABLE participants (
+    session_id TEXT NOT NULL REFERENCES calls (session_id) ON DELETE CASCADE,
+    key TEXT NOT NULL,
+    role_name TEXT,
+    identity TEXT,
+    details TEXT NOT NULL,
+    PRIMARY KEY (session_id, key)
+  );
+  CREATE INDEX participants_identity ON participants (identity);
+
+  CREATE TABLE segments (
+    id INTEGER PRIMARY KEY,
+    session_id TEXT NOT NULL REFERENCES calls (session_id) ON DELETE CASCADE,
+    speaker TEXT NOT NULL,
+    language_code TEXT,
+    text TEXT NOT NULL,
+    confidence REAL,
+    start_ms INTEGER,
+    end_ms INTEGER,
+    timestamp TEXT
+  );
+  CREATE INDEX segments_session_id ON segments (session_id);
+
+  -- Search text per segment (rowid = segments.id), prepared by toSearchText()
+  CREATE VIRTUAL TABLE segment_search USING fts5 (text, tokenize = 'unicode61 remove_diacritics 2');
+`;
+
+// Every word of the query must appear, as a word or the start of one
+function toMatchQuery(query) {
+  const words = toSearchText(query).split(' ').filter(Boolean);
+  return words.length > 0 ? words.map((word) => `"${word}"*`).join(' ') : null;
+}
+
+// Filters shared by listing and search. `tenantId` restricts results to one
+// tenant when defined; null is the tenant of unauthenticated calls.
+function buildFilters({ tenantId, from, to, language, participant }, segmentAlias = null) {
+  const clauses = [];
+  const params = {};
+  if (tenantId !== undefined) {
+    clauses.push('c.tenant_id IS @tenantId');
+    params.tenantId = tenantId;
+  }
+  if (from) {
+    clauses.push('c.started_at >= @from');
+    params.from = from;
+  }
+  if (to) {
+    clauses.push('c.started_at < @to');
+    params.to = to;
+  }
+  // Language and participant narrow search hits to the segments themselves,
+  // and calls to those with any such segment or participant
+  if (language) {
+    clauses.push(segmentAlias ?
+      `lower(${segmentAlias}.language_code) LIKE lower(@language) || '%'` :
+      `EXISTS (SELECT 1 FROM segments s WHERE s.session_id = c.session_id
+        AND lower(s.language_code) LIKE lower(@language) || '%')`);
+    params.language = language;
+  }
+  if (participant) {
+    clauses.push(`EXISTS (SELECT 1 FROM participants pf WHERE pf.session_id = c.session_id
+      AND (pf.identity = @participant OR pf.key = @participant)
+      ${segmentAlias ? `AND pf.key = ${segmentAlias}.speaker` : ''})`);
+    params.participant = participant;
+  }
+  return { where: clauses.length > 0 ? `AND ${clauses.join(' AND ')}` : '', params };
+}
+
+function toCallSummary(row) {
+  return {
+    sessionId: row.session_id,
+    platformCallId: row.platform_call_id,
+    tenantId: row.tenant_id,
+    profile: row.profile,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    segments: row.segment_count,
+    languages: row.languages ? row.languages.split(',') : [],
+    participants: JSON.parse(row.participants),
+    hasRecording: Boolean(row.recording_file)
+  };
+}
+
+const CALL_SUMMARY_COLUMNS = `
+  c.*,
+  (SELECT count(*) FROM segments s WHERE s.session_id = c.session_id) AS segment_count,
+  (SELECT group_concat(DISTINCT s.language_code) FROM segments s WHERE s.session_id = c.session_id) AS languages,
+  (SELECT json_group_array(json_object('key', p.key, 'roleName', p.role_name, 'identity', p.identity))
+    FROM participants p WHERE p.session_id = c.session_id) AS participants
+`;
+
+// Completed calls kept in SQLite: the call and its metadata, participants and
+// final segments, with full-text search over the segments. Stores what a
+// session's 'completed' event carries, so redaction has already happened.
+export class CallStore {
+  constructor(file) {
+    this.db = new Database(file);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.migrate();
+  }
+
+  migrate() {
+    const version = this.db.pragma('user_version', { simple: true });
+    if (version === 0) {
+      this.db.transaction(() => {
+        this.db.exec(SCHEMA);
+        this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+      })();
+    } else if (version > SCHEMA_VERSION) {
+      throw new Error(`Call store schema version ${version} is newer than this server understands (${SCHEMA_VERSION})`);
+    }
+  }
+
+  hasCall(sessionId) {
+    return Boolean(this.db.prepare('SELECT 1 FROM calls WHERE session_id = ?').get(sessionId));
+  }
+
+  // Insert or replace a completed call: { sessionId, platformCallId, tenantId,
+  // recordingFile, transcript, metadata }, transcript as toTranscriptJson() makes it
+  saveCall({ sessionId, platformCallId, tenantId, recordingFile, transcript, metadata }) {
+    this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM segment_search WHERE rowid IN
+        (SELECT id FROM segments WHERE session_id = ?)`).run(sessionId);
+      this.db.prepare('DELETE FROM calls WHERE session_id = ?').run(sessionId);
+
+      this.db.prepare(`INSERT INTO calls (session_id, platform_call_id, tenant_id, profile, started_at,
+        ended_at, recording_file, metadata, transcript, stored_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`).run(
+        sessionId,
+        platformCallId ?? null,
+        tenantId ?? null,
+        metadata.profile ?? null,
+        metadata.startedAt ?? null,
+        metadata.endedAt ?? null,
+        recordingFile ?? null,
+        JSON.stringify(metadata),
+        JSON.stringify(transcript),
+        new Date().toISOString()
+      );
+
+      const insertParticipant = this.db.prepare(`INSERT INTO participants
+        (session_id, key, role_name, identity, details) VALUES (?, ?, ?, ?, ?)`);
+      for (const { key, ...participant } of transcript.participants) {
+        insertParticipant.run(sessionId, key, participant.roleName ?? null, participant.identity ?? null,
+          JSON.stringify(participant));
+      }
+
+      const insertSegment = this.db.prepare(`INSERT INTO segments
+        (session_id, speaker, language_code, text, confidence, start_ms, end_ms, timestamp)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`);
+      const indexSegment = this.db.prepare('INSERT INTO segment_search (rowid, text) VALUES (?, ?)');
+      for (const segment of transcript.segments) {
+        const { lastInsertRowid } = insertSegment.run(sessionId, segment.speaker, segment.languageCode ?? null,
+          segment.text, segment.confidence ?? null, segment.startMs ?? null, segment.endMs ?? null,
+          segment.timestamp ?? null);
+        indexSegment.run(lastInsertRowid, toSearchText(segment.text));
+      }
+    })();
+  }
+
+  // Newest first. filters: { tenantId, from, to, language, participant }
+  listCalls(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildFilters(filters);
+    return this.db.prepare(`SELECT ${CALL_SUMMARY_COLUMNS} FROM calls c WHERE 1 = 1 ${where}
+      ORDER BY c.started_at DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(toCallSummary);
+  }
+
+  getCall(sessionId, { tenantId } = {}) {
+    const { where, params } = buildFilters({ tenantId });
+    const row = this.db.prepare(`SELECT ${CALL_SUMMARY_COLUMNS} FROM calls c
+      WHERE c.session_id = @sessionId ${where}`).get({ ...params, sessionId });
+    if (!row) {
+      return null;
+    }
+    return {
+      ...toCallSummary(row),
+      recordingFile: row.recording_file,
+      metadata: JSON.parse(row.metadata),
+      transcript: JSON.parse(row.transcript)
+    };
+  }
+
+  // Segments matching every word of `query`, best match first
+  search(query, filters = {}, { limit = 50, offset = 0 } = {}) {
+    const match = toMatchQuery(query);
+    if (!match) {
+      return [];
+    }
+    const { where, params } = buildFilters(filters, 'seg');
+    return this.db.prepare(`SELECT seg.*, c.platform_call_id, c.started_at, p.details AS participant
+      FROM segment_search
+      JOIN segments seg ON seg.id = segment_search.rowid
+      JOIN calls c ON c.session_id = seg.session_id
+      LEFT JOIN participants p ON p.session_id = seg.session_id AND p.key = seg.speaker
+      WHERE segment_search MATCH @match ${where}
+      ORDER BY bm25(segment_search), seg.id LIMIT @limit OFFSET @offset`)
+      .all({ ...params, match, limit, offset })
+      .map((row) => ({
+        sessionId: row.session_id,
+        platformCallId: row.platform_call_id,
+        callStartedAt: row.started_at,
+        speaker: row.speaker,
+        participant: row.participant ? JSON.parse(row.participant) : null,
+        languageCode: row.language_code,
+        text: row.text,
+        confidence: row.confidence,
+        startMs: row.start_ms,
+        endMs: row.end_ms,
+        timestamp: row.timestamp
+      }));
+  }
+
+  // The latest final segments across calls, in the shape of the
+  // transcriptions.json feed, so the feed survives restarts
+  recentFeed(limit = 100) {
+    return this.db.prepare(`SELECT seg.*, p.details AS participant, c.tenant_id FROM segments seg
+      JOIN calls c ON c.session_id = seg.session_id
+      LEFT JOIN participants p ON p.session_id = seg.session_id AND p.key = seg.speaker
+      ORDER BY seg.id DESC LIMIT ?`)
+      .all(limit)
+      .reverse()
+      .map((row) => ({
+        id: `${row.session_id}_${row.id}`,
+        sessionId: row.session_id,
+        tenantId: row.tenant_id,
+        speaker: row.speaker,
+        participant: row.participant ? JSON.parse(row.participant) : null,
+        text: row.text,
+        timestamp: row.timestamp,
+        isFinal: true,
+        languageCode: row.language_code,
+        isArabic: isArabic(row.text)
+      }));
+  }
+
+  close() {
+    this.db.close();
+  }
+}
@@ -0,0 +1,52 @@
+// Subtitle exports of a call transcript. Segments carry `startMs`/`endMs`
+// relative to the start of the call, so the captions line up with the
+// combined recording.
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, '0');
+}
+
+function formatTimestamp(ms, fractionSeparator) {
+  const totalMs = Math.max(0, Math.round(ms));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor(totalMs / 60000) % 60;
+  const seconds = Math.floor(totalMs / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fractionSeparator}${pad(totalMs % 1000, 3)}`;
+}
+
+function captionText(segment) {
+  return `Speaker ${segment.speaker}: ${segment.text}`;
+}
+
+function timedSegments(segments) {
+  return segments
+    .filter((segment) => segment.text && Number.isFinite(segment.startMs) && Number.isFinite(segment.endMs))
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+export function toSrt(segments) {
+  return timedSegments(segments)
+    .map((segment, index) => [
+      index + 1,
+      `${formatTimestamp(segment.startMs, ',')} --> ${formatTimestamp(segment.endMs, ',')}`,
+      captionText(segment)
+    ].join('\n'))
+    .join('\n\n') + '\n';
+}
+
+export function toWebVtt(segments) {
+  const cues = timedSegments(segments)
+    .map((segment) => [
+      `${formatTimestamp(segment.startMs, '.')} --> ${formatTimestamp(segment.endMs, '.')}`,
+      `<v Speaker ${segment.speaker}>${escapeVtt(segment.text)}`
+    ].join('\n'));
+
+  return ['WEBVTT', ...cues].join('\n\n') + '\n';
+}
+
+function escapeVtt(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
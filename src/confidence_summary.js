@@ -0,0 +1,80 @@
+// Words below this confidence are highlighted in the viewer and counted as
+// doubtful (public/transcription-viewer.html uses the same value)
+export const LOW_WORD_CONFIDENCE = 0.5;
+
+// Segments below this overall confidence need a reviewer's attention
+const REVIEW_CONFIDENCE = 0.7;
+
+// ...as do segments where at least this share of the words is doubtful
+const REVIEW_LOW_WORD_SHARE = 0.25;
+
+// Recognizers report 0 when they have no confidence for a word or result
+function hasConfidence(confidence) {
+  return typeof confidence === 'number' && confidence > 0;
+}
+
+export function isLowConfidence(confidence) {
+  return hasConfidence(confidence) && confidence < LOW_WORD_CONFIDENCE;
+}
+
+function lowConfidenceWords(segment) {
+  return (segment.words || []).filter((word) => isLowConfidence(word.confidence));
+}
+
+// Why a final segment should be double-checked, or null when it looks fine
+export function reviewReason(segment) {
+  if (hasConfidence(segment.confidence) && segment.confidence < REVIEW_CONFIDENCE) {
+    return 'low confidence';
+  }
+  const words = segment.words || [];
+  if (words.length > 0 && lowConfidenceWords(segment).length / words.length >= REVIEW_LOW_WORD_SHARE) {
+    return 'doubtful words';
+  }
+  return null;
+}
+
+function average(values) {
+  return values.length > 0 ?
+    Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 1000) / 1000 :
+    null;
+}
+
+function summarize(segments) {
+  const words = segments.flatMap((segment) => segment.words || []);
+  const doubtful = words.filter((word) => isLowConfidence(word.confidence));
+  return {
+    segments: segments.length,
+    averageConfidence: average(segments.map((segment) => segment.confidence).filter(hasConfidence)),
+    words: words.length,
+    lowConfidenceWords: doubtful.length,
+    lowConfidenceWordPercent: words.length > 0 ? Math.round(doubtful.length / words.length * 1000) / 10 : 0
+  };
+}
+
+// Per-call and per-speaker confidence, and the segments reviewers should
+// listen to first, worst first
+export function summarizeConfidence(segments) {
+  const speakers = [...new Set(segments.map((segment) => segment.speaker))];
+  const review = segments
+    .map((segment) => ({ segment, reason: reviewReason(segment) }))
+    .filter(({ reason }) => reason)
+    .sort((a, b) => (a.segment.confidence ?? 0) - (b.segment.confidence ?? 0))
+    .map(({ segment, reason }) => ({
+      speaker: segment.speaker,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      confidence: segment.confidence,
+      reason,
+      text: segment.text,
+      lowConfidenceWords: lowConfidenceWords(segment).map((word) => word.word)
+    }));
+
+  return {
+    lowWordConfidence: LOW_WORD_CONFIDENCE,
+    ...summarize(segments),
+    speakers: Object.fromEntries(speakers.map((speaker) =>
+      [speaker, summarize(segments.filter((segment) => segment.speaker === speaker))]
+    )),
+    review
+  };
+}
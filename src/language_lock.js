@@ -0,0 +1,103 @@
+import { isArabic } from './text_utils.js';
+
+// Settings used for anything a profile's `languageLock` section leaves out
+export const LANGUAGE_LOCK_DEFAULTS = {
+  enabled: true,
+  // Consecutive confident final results in one language before the speaker's
+  // recognizer is locked to it
+  lockAfter: 3,
+  minConfidence: 0.75,
+  // Consecutive doubtful final results while locked before language
+  // identification is switched back on
+  unlockAfter: 2,
+  doubtfulConfidence: 0.5
+};
+
+// Text in the other script than the locked language's is a sure sign the
+// speaker has switched; the recognizer transliterates or garbles it
+function scriptMismatch(languageCode, text) {
+  const hasLatin = /[A-Za-z]/.test(text);
+  return languageCode.toLowerCase().startsWith('ar') ?
+    hasLatin && !isArabic(text) :
+    isArabic(text);
+}
+
+// Decides per speaker when to stop paying for language identification.
+//
+// While unlocked, the recognizer runs with the profile's primary and
+// alternative languages. Once enough consecutive final results agree on one
+// of them with good confidence, the speaker is locked to it, which gives the
+// recognizer a single, better-fitting model. A locked speaker whose results
+// turn doubtful (low confidence, or text in another script) is unlocked again
+// so a sustained code switch is picked up by language identification.
+export class LanguageLock {
+  constructor({ languageCodes, ...settings }) {
+    this.settings = { ...LANGUAGE_LOCK_DEFAULTS, ...settings };
+    // Results report codes in varying case; lock to the configured spelling
+    this.languageCodes = new Map(languageCodes.map((code) => [code.toLowerCase(), code]));
+    this.lockedLanguage = null;
+    this.candidate = null;
+    this.streak = 0;
+    this.doubts = 0;
+  }
+
+  get isEnabled() {
+    return this.settings.enabled && this.languageCodes.size > 1;
+  }
+
+  // Feed a final result. Returns { change: 'locked', languageCode } or
+  // { change: 'unlocked', from, reason } when the lock changes, otherwise null.
+  observe({ languageCode, confidence, languageConfidence, text }) {
+    if (!this.isEnabled || !text) {
+      return null;
+    }
+    return this.lockedLanguage ?
+      this.checkLocked(confidence, text) :
+      this.checkUnlocked(languageCode, confidence, languageConfidence);
+  }
+
+  checkUnlocked(languageCode, confidence, languageConfidence) {
+    const { minConfidence, lockAfter } = this.settings;
+    const code = languageCode && this.languageCodes.get(languageCode.toLowerCase());
+    const isConfident = (confidence ?? 0) >= minConfidence &&
+      (languageConfidence === undefined || languageConfidence >= minConfidence);
+
+    if (!code || !isConfident) {
+      this.candidate = null;
+      this.streak = 0;
+      return null;
+    }
+
+    this.streak = code === this.candidate ? this.streak + 1 : 1;
+    this.candidate = code;
+    if (this.streak < lockAfter) {
+      return null;
+    }
+
+    this.lockedLanguage = code;
+    this.doubts = 0;
+    return { change: 'locked', languageCode: code };
+  }
+
+  checkLocked(confidence, text) {
+    const { doubtfulConfidence, unlockAfter } = this.settings;
+    let reason = null;
+    if (scriptMismatch(this.lockedLanguage, text)) {
+      reason = 'script mismatch';
+    } else if ((confidence ?? 0) < doubtfulConfidence) {
+      reason = 'low confidence';
+    }
+
+    this.doubts = reason ? this.doubts + 1 : 0;
+    if (this.doubts < unlockAfter) {
+      return null;
+    }
+
+    const from = this.lockedLanguage;
+    this.lockedLanguage = null;
+    this.candidate = null;
+    this.streak = 0;
+    this.doubts = 0;
+    return { change: 'unlocked', from, reason };
+  }
+}
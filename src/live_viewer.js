@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import { AuthError } from './auth.js';
+
+// Comment lines keep idle SSE connections open through proxies
+const KEEPALIVE_INTERVAL_MS = 15000;
+
+// Serves the transcription viewer and pushes live updates to it with
+// Server-Sent Events. Each viewer either follows every call or one call,
+// chosen with `/events?session=<sessionId>`.
+//
+// With authentication enabled, every route needs a tenant token like
+// WebSocket clients do (the page passes its own `?token=` on), and a viewer
+// only sees that tenant's calls, transcripts and alerts.
+export class LiveViewer {
+  constructor({ sessions, viewerFile, jsonOutput, keyStore = null }) {
+    this.sessions = sessions;
+    this.viewerFile = viewerFile;
+    this.jsonOutput = jsonOutput;
+    this.keyStore = keyStore;
+    this.clients = new Set();
+
+    this.keepAliveTimer = setInterval(() => {
+      for (const client of this.clients) {
+        client.res.write(': keepalive\n\n');
+      }
+    }, KEEPALIVE_INTERVAL_MS);
+    this.keepAliveTimer.unref();
+  }
+
+  // Returns true when the request was for the viewer
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (!['/', '/transcription-viewer.html', '/transcriptions.json', '/events'].includes(url.pathname)) {
+      return false;
+    }
+
+    // undefined when authentication is off: every tenant's calls are visible
+    let tenantId;
+    try {
+      tenantId = this.keyStore ? this.keyStore.authenticate(req).tenantId : undefined;
+    } catch (error) {
+      if (!(error instanceof AuthError)) {
+        throw error;
+      }
+      res.writeHead(error.statusCode, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(error.message);
+      return true;
+    }
+
+    switch (url.pathname) {
+      case '/transcriptions.json':
+        await this.sendFeed(res, tenantId);
+        return true;
+      case '/events':
+        this.openEventStream(req, res, url.searchParams.get('session') || null, tenantId);
+        return true;
+      default:
+        await this.sendFile(res, this.viewerFile, 'text/html; charset=utf-8');
+        return true;
+    }
+  }
+
+  // The body is ready before the headers go out, so a failure can still
+  // be answered with a 500
+  async sendFile(res, file, contentType, transform = null) {
+    let body;
+    try {
+      const content = await fs.readFile(file);
+      body = transform ? transform(content) : content;
+    } catch (error) {
+      console.error(`Error serving ${file}:`, error);
+      res.writeHead(500);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': contentType, 'Cache-Control': 'no-cache' });
+    res.end(body);
+  }
+
+  // The shared feed, narrowed to the viewer's tenant
+  async sendFeed(res, tenantId) {
+    const transform = tenantId === undefined ? null : (content) => JSON.stringify(
+      JSON.parse(content).filter((entry) => (entry.tenantId ?? null) === tenantId), null, 2
+    );
+    await this.sendFile(res, this.jsonOutput, 'application/json; charset=utf-8', transform);
+  }
+
+  openEventStream(req, res, sessionId, tenantId) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+
+    const client = { res, sessionId, tenantId };
+    this.clients.add(client);
+    req.on('close', () => this.clients.delete(client));
+
+    this.send(client, 'sessions', this.listSessions(client));
+
+    const session = sessionId && this.findSession(sessionId);
+    if (session && this.isVisible(client, session)) {
+      this.send(client, 'snapshot', session.getSnapshot());
+    }
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  findSession(sessionId) {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  // Whether the client may see this session at all
+  isVisible(client, session) {
+    return client.tenantId === undefined || client.tenantId === session.tenantId;
+  }
+
+  // Whether the client follows this session's updates
+  isFollowing(client, session) {
+    return this.isVisible(client, session) && (!client.sessionId || client.sessionId === session.sessionId);
+  }
+
+  listSessions(client) {
+    return [...this.sessions.values()]
+      .filter((session) => this.isVisible(client, session))
+      .map((session) => ({
+        sessionId: session.sessionId,
+        platformCallId: session.platformCallId,
+        startedAt: session.startedAt,
+        suspended: session.isSuspended
+      }));
+  }
+
+  publishSessions() {
+    for (const client of this.clients) {
+      this.send(client, 'sessions', this.listSessions(client));
+    }
+  }
+
+  publishTranscription(session, transcription) {
+    const data = { sessionId: session.sessionId, ...transcription };
+    for (const client of this.clients) {
+      if (this.isFollowing(client, session)) {
+        this.send(client, 'transcription', data);
+      }
+    }
+  }
+
+  publishAlert(session, alert) {
+    const data = { sessionId: session.sessionId, ...alert };
+    for (const client of this.clients) {
+      if (this.isFollowing(client, session)) {
+        this.send(client, 'alert', data);
+      }
+    }
+  }
+
+  close() {
+    clearInterval(this.keepAliveTimer);
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+}
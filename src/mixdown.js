@@ -0,0 +1,121 @@
+import fs from 'fs/promises';
+import { FileWriter } from 'wav';
+import { finishWriter, readWavHeader, writeWithBackpressure } from './wav_utils.js';
+
+// Two-party calls keep the balanced stereo panning: each speaker is 60% on
+// their own side and 40% on the other
+const STEREO_PAN = [
+  [0.60, 0.40],
+  [0.40, 0.60]
+];
+
+// Samples per channel mixed per read/write cycle (1 second at 16 kHz)
+const BLOCK_SAMPLES = 16000;
+
+function clamp(sample) {
+  return Math.max(-32768, Math.min(32767, sample));
+}
+
+async function openInput({ file, offsetMs, muteRanges = [] }, sampleRate) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const header = await readWavHeader(handle);
+    if (header.audioFormat !== 1 || header.channels !== 1 || header.bitDepth !== 16) {
+      throw new Error(`${file} is not mono 16-bit PCM`);
+    }
+    if (header.sampleRate !== sampleRate) {
+      throw new Error(`${file} is ${header.sampleRate} Hz, expected ${sampleRate} Hz`);
+    }
+
+    return {
+      handle,
+      dataOffset: header.dataOffset,
+      samples: Math.floor(header.dataLength / 2),
+      offsetSamples: Math.round((offsetMs || 0) * sampleRate / 1000),
+      muted: muteRanges.map(({ startMs, endMs }) => ({
+        from: Math.round(startMs * sampleRate / 1000),
+        to: Math.round(endMs * sampleRate / 1000)
+      }))
+    };
+  } catch (error) {
+    await handle.close();
+    throw error;
+  }
+}
+
+// Read `count` samples of an input starting at output sample `start`,
+// with silence wherever the input has no audio (before it joined or after it left)
+async function readAligned(input, start, count) {
+  const block = Buffer.alloc(count * 2);
+  const from = Math.max(start, input.offsetSamples);
+  const to = Math.min(start + count, input.offsetSamples + input.samples);
+
+  if (to > from) {
+    const position = input.dataOffset + (from - input.offsetSamples) * 2;
+    await input.handle.read(block, (from - start) * 2, (to - from) * 2, position);
+  }
+
+  // Muted ranges (redacted words) are on the call timeline, like `start`
+  for (const range of input.muted) {
+    const muteFrom = Math.max(start, range.from);
+    const muteTo = Math.min(start + count, range.to);
+    if (muteTo > muteFrom) {
+      block.fill(0, (muteFrom - start) * 2, (muteTo - start) * 2);
+    }
+  }
+  return block;
+}
+
+// Combine mono per-participant recordings (ordered by channel) into one
+// file, each placed at `offsetMs` on the call timeline and silenced over its
+// `muteRanges` ([{ startMs, endMs }], call timeline). Two inputs produce a
+// panned stereo mix; any other count produces one channel per participant.
+// Works block by block so memory use doesn't grow with call length.
+export async function mixRecordings({ inputs: inputSpecs, outputFile, sampleRate }) {
+  const inputs = [];
+  try {
+    for (const spec of inputSpecs) {
+      inputs.push(await openInput(spec, sampleRate));
+    }
+
+    const channels = inputs.length;
+    const samplesPerChannel = Math.max(...inputs.map((input) => input.offsetSamples + input.samples));
+    const writer = new FileWriter(outputFile, { channels, sampleRate, bitDepth: 16 });
+    // The underlying file stream's errors (unwritable path, full disk) don't
+    // reach the writer; without this they would go unhandled and the mix
+    // would wait forever for a drain
+    const failed = new Promise((resolve, reject) => {
+      writer.on('error', reject);
+      writer.file.on('error', reject);
+    });
+    failed.catch(() => {});
+
+    for (let start = 0; start < samplesPerChannel; start += BLOCK_SAMPLES) {
+      const count = Math.min(BLOCK_SAMPLES, samplesPerChannel - start);
+      const blocks = await Promise.all(inputs.map((input) => readAligned(input, start, count)));
+      const output = Buffer.alloc(count * channels * 2);
+
+      for (let i = 0; i < count; i++) {
+        if (channels === 2) {
+          const sample1 = blocks[0].readInt16LE(i * 2);
+          const sample2 = blocks[1].readInt16LE(i * 2);
+          for (let channel = 0; channel < 2; channel++) {
+            const mixed = Math.floor(sample1 * STEREO_PAN[0][channel] + sample2 * STEREO_PAN[1][channel]);
+            output.writeInt16LE(clamp(mixed), (i * 2 + channel) * 2);
+          }
+        } else {
+          blocks.forEach((block, channel) => {
+            output.writeInt16LE(block.readInt16LE(i * 2), (i * channels + channel) * 2);
+          });
+        }
+      }
+
+      await Promise.race([writeWithBackpressure(writer, output), failed]);
+    }
+
+    await Promise.race([finishWriter(writer), failed]);
+    return { channels, samplesPerChannel };
+  } finally {
+    await Promise.all(inputs.map((input) => input.handle.close()));
+  }
+}
@@ -0,0 +1,81 @@
+// Arrival jitter tolerated before a pause in a participant's audio is
+// treated as a gap and filled with silence
+const GAP_TOLERANCE_MS = 500;
+
+// Everything a session keeps for one participant: identity, recording,
+// audio decoder, recognizer stream, transcripts and where the participant's
+// audio sits on the call timeline. Created lazily when the participant first
+// sends audio.
+export class ParticipantTrack {
+  constructor({ key, participant, channel }) {
+    this.key = key;
+    this.participant = participant;
+    // Position in the mixdown, in order of first audio
+    this.channel = channel;
+    this.recordingFile = null;
+    this.writer = null;
+    this.decoder = null;
+    this.stream = null;
+    this.isStreamActive = false;
+    this.transcriptions = [];
+    this.interimResult = null;
+    // Milliseconds from call start to the participant's first audio
+    this.offsetMs = null;
+    this.lastFinalEndMs = undefined;
+
+    // Audio passed to the recognizer, which is what its offsets count
+    this.forwardedMs = 0;
+    // Length of the recording, including silence inserted for gaps
+    this.recordedMs = 0;
+    // Where forwarded audio resumes after each gap or suppressed stretch:
+    // forwarded position `audioMs` is at `recordedMs` in the recording
+    this.timeline = [{ audioMs: 0, recordedMs: 0 }];
+    // Decides which of the participant's audio reaches the recognizer
+    this.voiceActivity = null;
+    // Decides when the recognizer is locked to one detected language
+    this.languageLock = null;
+    this.languageEvents = [];
+  }
+
+  // Silence needed before a chunk that arrived `arrivalMs` after the
+  // participant joined, so the recording stays in step with the call
+  gapBefore(arrivalMs, chunkMs) {
+    const gapMs = arrivalMs - chunkMs - this.recordedMs;
+    return gapMs > GAP_TOLERANCE_MS ? gapMs : 0;
+  }
+
+  // Inserted silence and received audio both lengthen the recording
+  extendRecording(ms) {
+    this.recordedMs += ms;
+  }
+
+  // Note that `ms` of audio recorded at `atMs` was passed to the recognizer
+  addForwarded(atMs, ms) {
+    const anchor = this.timeline[this.timeline.length - 1];
+    const expectedAtMs = anchor.recordedMs + (this.forwardedMs - anchor.audioMs);
+    if (Math.abs(expectedAtMs - atMs) >= 1) {
+      if (anchor.audioMs === this.forwardedMs) {
+        anchor.recordedMs = atMs;
+      } else {
+        this.timeline.push({ audioMs: this.forwardedMs, recordedMs: atMs });
+      }
+    }
+    this.forwardedMs += ms;
+  }
+
+  // Map a recognizer offset (ms of forwarded audio) onto the call timeline
+  toCallTime(ms) {
+    if (ms === undefined) {
+      return undefined;
+    }
+
+    let anchor = this.timeline[0];
+    for (const point of this.timeline) {
+      if (point.audioMs > ms) {
+        break;
+      }
+      anchor = point;
+    }
+    return (this.offsetMs || 0) + anchor.recordedMs + (ms - anchor.audioMs);
+  }
+}
@@ -0,0 +1,184 @@
+// Enum values and helpers for the messages defined in audio.proto
+
+export const ParticipantRole = {
+  ROLE_UNSPECIFIED: 0,
+  AGENT: 1,
+  VISITOR: 2
+};
+
+export const SessionEventType = {
+  EVENT_TYPE_UNSPECIFIED: 0,
+  CALL_STARTED: 1,
+  CALL_ENDED: 2
+};
+
+const ROLE_NAMES = Object.fromEntries(
+  Object.entries(ParticipantRole).map(([name, value]) => [value, name])
+);
+
+// Fields of the Participant.participant_id oneof, in proto field order
+const IDENTITY_FIELDS = ['user', 'platformAgentId', 'externalUserId'];
+
+// Flatten a decoded Participant into { role, roleName, identityType, identity }
+export function describeParticipant(participant) {
+  if (!participant) {
+    return null;
+  }
+
+  const identityType = IDENTITY_FIELDS.find((field) => participant[field]);
+  return {
+    role: participant.role || ParticipantRole.ROLE_UNSPECIFIED,
+    roleName: ROLE_NAMES[participant.role] || 'ROLE_UNSPECIFIED',
+    identityType: identityType || null,
+    identity: identityType ? participant[identityType] : null
+  };
+}
+
+// Inverse of describeParticipant, for StreamCallSessionResponse messages
+export function toParticipantMessage(participant) {
+  const message = { role: participant.role };
+  if (participant.identityType) {
+    message[participant.identityType] = participant.identity;
+  }
+  return message;
+}
+
+// Platform call ids end up in file names
+export function toSafeFileId(id) {
+  return String(id).replace(/[^A-Za-z0-9._@+-]/g, '_').slice(0, 100);
+}
+
+export const ErrorCode = {
+  CODE_UNSPECIFIED: 0,
+  MALFORMED_MESSAGE: 1,
+  INVALID_MESSAGE: 2,
+  CONFIG_REQUIRED: 3,
+  DUPLICATE_CONFIG: 4,
+  SEQUENCE_GAP: 5,
+  DUPLICATE_SEQUENCE: 6,
+  OUT_OF_ORDER_SEQUENCE: 7,
+  INTERNAL_ERROR: 8,
+  RESUME_FAILED: 9
+};
+
+// WebSocket close codes (RFC 6455) used after a fatal ErrorResponse
+export const CloseCode = {
+  NORMAL: 1000,
+  GOING_AWAY: 1001,
+  INVALID_PAYLOAD: 1007,
+  POLICY_VIOLATION: 1008,
+  INTERNAL_ERROR: 1011
+};
+
+const ERROR_CODE_NAMES = Object.fromEntries(
+  Object.entries(ErrorCode).map(([name, value]) => [value, name])
+);
+
+// A violation reported back to the client as an ErrorResponse
+export class ProtocolError extends Error {
+  constructor(code, message, { fatal = false, sequenceId = '' } = {}) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.fatal = fatal;
+    this.sequenceId = sequenceId;
+  }
+
+  get codeName() {
+    return ERROR_CODE_NAMES[this.code] || 'CODE_UNSPECIFIED';
+  }
+
+  get closeCode() {
+    switch (this.code) {
+      case ErrorCode.MALFORMED_MESSAGE:
+        return CloseCode.INVALID_PAYLOAD;
+      case ErrorCode.INTERNAL_ERROR:
+        return CloseCode.INTERNAL_ERROR;
+      default:
+        return CloseCode.POLICY_VIOLATION;
+    }
+  }
+
+  toResponse() {
+    return {
+      code: this.code,
+      message: this.message,
+      fatal: this.fatal,
+      sequenceId: this.sequenceId
+    };
+  }
+}
+
+const SEQUENCE_ID_PATTERN = /^\d{1,20}$/;
+const MAX_SAMPLE_RATE_HERTZ = 192000;
+const KNOWN_ENCODINGS = new Set([0, 1, 2]);
+const KNOWN_ROLES = new Set(Object.values(ParticipantRole));
+
+function invalid(message, sequenceId) {
+  return new ProtocolError(ErrorCode.INVALID_MESSAGE, message, { fatal: true, sequenceId });
+}
+
+// An empty sequence_id is proto3's unset value: such requests are still
+// validated and processed, just not sequence-tracked
+export function validateSequenceId(request) {
+  if (request.sequenceId !== '' && !SEQUENCE_ID_PATTERN.test(request.sequenceId)) {
+    throw invalid('sequence_id must be a decimal integer', request.sequenceId);
+  }
+}
+
+function validateParticipant(participant, field, sequenceId) {
+  if (!participant) {
+    throw invalid(`${field} is required`, sequenceId);
+  }
+  if (!KNOWN_ROLES.has(participant.role ?? ParticipantRole.ROLE_UNSPECIFIED)) {
+    throw invalid(`${field}.role ${participant.role} is not a known role`, sequenceId);
+  }
+  const described = describeParticipant(participant);
+  if (described.role === ParticipantRole.ROLE_UNSPECIFIED && !described.identity) {
+    throw invalid(`${field} needs a role or an identity`, sequenceId);
+  }
+}
+
+// Check a decoded StreamCallSessionRequest and return its content as
+// { type: 'config' | 'audio' | 'event', data }. Throws ProtocolError for
+// anything the session must not act on.
+export function validateRequest(request) {
+  const { sequenceId } = request;
+
+  if (Object.hasOwn(request, 'streamingConfig')) {
+    const metadata = request.streamingConfig.audioMetadata;
+    if (metadata) {
+      if (!KNOWN_ENCODINGS.has(metadata.encoding)) {
+        throw invalid(`audio_metadata.encoding ${metadata.encoding} is not supported`, sequenceId);
+      }
+      if (metadata.sampleRateHertz < 0 || metadata.sampleRateHertz > MAX_SAMPLE_RATE_HERTZ) {
+        throw invalid(`audio_metadata.sample_rate_hertz ${metadata.sampleRateHertz} is out of range`, sequenceId);
+      }
+    }
+    return { type: 'config', data: request.streamingConfig };
+  }
+
+  if (Object.hasOwn(request, 'audioContent')) {
+    validateParticipant(request.audioContent.participant, 'audio_content.participant', sequenceId);
+    return { type: 'audio', data: request.audioContent };
+  }
+
+  if (Object.hasOwn(request, 'sessionEvent')) {
+    const event = request.sessionEvent;
+    (event.participants || []).forEach((participant, index) =>
+      validateParticipant(participant, `session_event.participants[${index}]`, sequenceId)
+    );
+    if (event.eventType !== SessionEventType.CALL_STARTED &&
+        event.eventType !== SessionEventType.CALL_ENDED) {
+      // Newer clients may send event types this server doesn't know yet
+      throw new ProtocolError(
+        ErrorCode.INVALID_MESSAGE,
+        `session_event.event_type ${event.eventType} is not supported`,
+        { sequenceId }
+      );
+    }
+    return { type: 'event', data: event };
+  }
+
+  throw invalid('Request has no streaming_config, audio_content or session_event', sequenceId);
+}
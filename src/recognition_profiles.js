@@ -0,0 +1,104 @@
+import fs from 'fs/promises';
+import { LANGUAGE_LOCK_DEFAULTS } from './language_lock.js';
+import { REDACTION_DEFAULTS } from './redaction.js';
+import { VAD_DEFAULTS } from './voice_activity.js';
+
+// Settings used for anything a profile leaves out
+const PROFILE_DEFAULTS = {
+  languageCode: 'ar-SA',
+  alternativeLanguageCodes: [],
+  model: 'latest_long',
+  enableAutomaticPunctuation: true,
+  maxAlternatives: 1,
+  enableWordConfidence: true,
+  phraseHints: [],
+  // Names of phrase/class files in the vocabulary directory
+  vocabularies: [],
+  output: {
+    interimResults: true,
+    captions: true
+  },
+  // Silence suppression before recognition; see voice_activity.js
+  vad: VAD_DEFAULTS,
+  // Per-speaker locking to a detected language; see language_lock.js
+  languageLock: LANGUAGE_LOCK_DEFAULTS,
+  // Masking of card numbers, IBANs, national IDs and phone numbers; see redaction.js
+  redaction: REDACTION_DEFAULTS
+};
+
+const REDACTION_ENTITIES = ['card', 'iban', 'national_id', 'phone'];
+
+function validateProfile(name, profile) {
+  if (typeof profile.languageCode !== 'string' || !profile.languageCode) {
+    throw new Error(`Recognition profile "${name}" must set a languageCode`);
+  }
+  if (!Array.isArray(profile.alternativeLanguageCodes)) {
+    throw new Error(`Recognition profile "${name}" alternativeLanguageCodes must be an array`);
+  }
+  if (!Array.isArray(profile.phraseHints)) {
+    throw new Error(`Recognition profile "${name}" phraseHints must be an array`);
+  }
+  if (!Array.isArray(profile.vocabularies)) {
+    throw new Error(`Recognition profile "${name}" vocabularies must be an array`);
+  }
+  for (const setting of ['thresholdDb', 'marginDb', 'paddingBeforeMs', 'paddingAfterMs']) {
+    if (!Number.isFinite(profile.vad[setting])) {
+      throw new Error(`Recognition profile "${name}" vad.${setting} must be a number`);
+    }
+  }
+  const unknown = (profile.redaction.entities || [null]).filter((entity) => !REDACTION_ENTITIES.includes(entity));
+  if (!Array.isArray(profile.redaction.entities) || unknown.length > 0) {
+    throw new Error(
+      `Recognition profile "${name}" redaction.entities must list only ${REDACTION_ENTITIES.join(', ')}`
+    );
+  }
+  if (!Number.isFinite(profile.redaction.paddingMs)) {
+    throw new Error(`Recognition profile "${name}" redaction.paddingMs must be a number`);
+  }
+}
+
+// Named recognizer settings, selected per call by StreamingConfig.profile so
+// queues with different languages and vocabularies need no code changes
+export class RecognitionProfiles {
+  constructor({ defaultProfile = 'default', profiles = {} } = {}) {
+    this.profiles = new Map();
+    for (const [name, profile] of Object.entries(profiles)) {
+      const merged = {
+        ...PROFILE_DEFAULTS,
+        ...profile,
+        output: { ...PROFILE_DEFAULTS.output, ...profile.output },
+        vad: { ...PROFILE_DEFAULTS.vad, ...profile.vad },
+        languageLock: { ...PROFILE_DEFAULTS.languageLock, ...profile.languageLock },
+        redaction: { ...PROFILE_DEFAULTS.redaction, ...profile.redaction },
+        name
+      };
+      validateProfile(name, merged);
+      this.profiles.set(name, merged);
+    }
+
+    if (!this.profiles.has(defaultProfile)) {
+      this.profiles.set(defaultProfile, { ...PROFILE_DEFAULTS, name: defaultProfile });
+    }
+    this.defaultProfile = defaultProfile;
+  }
+
+  static async load(file) {
+    const content = await fs.readFile(file, 'utf8');
+    return new RecognitionProfiles(JSON.parse(content));
+  }
+
+  get names() {
+    return [...this.profiles.keys()];
+  }
+
+  // Unknown or empty names fall back to the default profile
+  resolve(name) {
+    if (name && this.profiles.has(name)) {
+      return this.profiles.get(name);
+    }
+    if (name) {
+      console.warn(`Unknown recognition profile "${name}", using "${this.defaultProfile}"`);
+    }
+    return this.profiles.get(this.defaultProfile);
+  }
+}
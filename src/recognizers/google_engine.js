@@ -0,0 +1,118 @@
+import speech from '@google-cloud/speech';
+import { RecognitionEngine, RecognitionStream } from './recognition_engine.js';
+
+// google.protobuf.Duration arrives as { seconds, nanos } with seconds as a string or Long
+function durationToMs(duration) {
+  if (!duration) {
+    return undefined;
+  }
+  return Number(duration.seconds || 0) * 1000 + Math.round((duration.nanos || 0) / 1e6);
+}
+
+function normalizeResult(result) {
+  return {
+    isFinal: result.isFinal,
+    // Get language from either direct languageCode or languageIdentification
+    languageCode: result.languageCode ||
+      (result.languageIdentification && result.languageIdentification.languageCode),
+    languageConfidence: result.languageIdentification?.confidence,
+    resultEndTimeMs: durationToMs(result.resultEndTime),
+    alternatives: result.alternatives.map((alternative) => ({
+      transcript: alternative.transcript,
+      confidence: alternative.confidence,
+      words: (alternative.words || []).map((word) => ({
+        word: word.word,
+        startMs: durationToMs(word.startTime),
+        endMs: durationToMs(word.endTime),
+        confidence: word.confidence
+      }))
+    }))
+  };
+}
+
+// Boosted phrases and custom classes as inline speech adaptation. Phrases refer
+// to classes as `${name}`, which Google resolves against customClassId.
+function buildAdaptation({ phrases = [], customClasses = [] }) {
+  if (phrases.length === 0 && customClasses.length === 0) {
+    return undefined;
+  }
+  return {
+    phraseSets: phrases.length > 0 ? [{ phrases }] : [],
+    customClasses: customClasses.map(({ name, items }) => ({
+      customClassId: name,
+      items: items.map((value) => ({ value }))
+    }))
+  };
+}
+
+class GoogleRecognitionStream extends RecognitionStream {
+  constructor(speechClient, request) {
+    super();
+    this.stream = speechClient
+      .streamingRecognize(request)
+      .on('error', (error) => this.emit('error', error))
+      .on('data', (data) => {
+        if (data.results[0] && data.results[0].alternatives[0]) {
+          this.emit('result', normalizeResult(data.results[0]));
+        }
+      })
+      .on('end', () => this.emit('end'));
+  }
+
+  write(pcm) {
+    this.stream.write(pcm);
+  }
+
+  end() {
+    this.stream.end();
+  }
+}
+
+export class GoogleSpeechEngine extends RecognitionEngine {
+  constructor({ keyFilename } = {}) {
+    super('google');
+    // Google ends streaming recognition at ~305 seconds; rotate comfortably before that
+    this.maxStreamDurationMs = 290000;
+    // Google fails a stream with "Audio Timeout" after ~10 seconds without
+    // audio, e.g. while silence is suppressed; close it before that
+    this.maxIdleMs = 5000;
+    this.speechClient = new speech.SpeechClient(keyFilename ? { keyFilename } : {});
+  }
+
+  buildRequest(options) {
+    return {
+      config: {
+        encoding: 'LINEAR16',
+        sampleRateHertz: options.sampleRate,
+        enableAutomaticPunctuation: options.enableAutomaticPunctuation,
+        model: options.model,
+
+        // Enable language detection while keeping a valid primary language
+        enableSpeakerDiarization: false,
+        enableLanguageIdentification: options.alternativeLanguageCodes.length > 0,
+        languageCode: options.languageCode,
+        alternativeLanguageCodes: options.alternativeLanguageCodes,
+        speechContexts: options.phraseHints.length > 0 ?
+          [{ phrases: options.phraseHints }] :
+          [],
+        adaptation: buildAdaptation(options),
+
+        maxAlternatives: options.maxAlternatives,
+        enableWordConfidence: options.enableWordConfidence,
+        enableWordTimeOffsets: options.enableWordTimeOffsets,
+        useEnhanced: true,
+        metadata: {
+          interactionType: 'PHONE_CALL',
+          microphoneDistance: 'NEARFIELD',
+          originalMediaType: 'AUDIO',
+          recordingDeviceType: 'PHONE_LINE'
+        }
+      },
+      interimResults: options.interimResults
+    };
+  }
+
+  createStream(options) {
+    return new GoogleRecognitionStream(this.speechClient, this.buildRequest(options));
+  }
+}
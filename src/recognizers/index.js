@@ -0,0 +1,16 @@
+import { GoogleSpeechEngine } from './google_engine.js';
+import { ScriptedEngine } from './scripted_engine.js';
+
+export { RecognitionEngine, RecognitionStream } from './recognition_engine.js';
+export { GoogleSpeechEngine, ScriptedEngine };
+
+export async function createRecognitionEngine(name, options = {}) {
+  switch (name) {
+    case 'google':
+      return new GoogleSpeechEngine({ keyFilename: options.keyFilename });
+    case 'scripted':
+      return ScriptedEngine.fromFile(options.scriptFile);
+    default:
+      throw new Error(`Unknown recognition engine: ${name}`);
+  }
+}
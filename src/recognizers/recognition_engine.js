@@ -0,0 +1,52 @@
+import { EventEmitter } from 'events';
+
+// Contract every speech-recognition backend implements.
+//
+// An engine opens one RecognitionStream per participant:
+//
+//   const stream = engine.createStream({ speaker, sampleRate, languageCode, ... });
+//   stream.on('result', (result) => ...);   // interim and final results
+//   stream.on('error', (error) => ...);
+//   stream.on('end', () => ...);
+//   stream.write(pcm);                      // 16-bit mono PCM at `sampleRate`
+//   stream.end();
+//
+// `options.audioOffsetMs` is where the stream's first byte falls in the
+// participant's audio; non-zero when a stream replaces one that hit the
+// engine's `maxStreamDurationMs`. Engines that drop a stream left without
+// audio set `maxIdleMs` below that timeout.
+//
+// Results are normalized so the session never sees engine-specific payloads:
+//
+//   {
+//     isFinal: boolean,
+//     languageCode: string | undefined,
+//     languageConfidence: number | undefined,
+//     resultEndTimeMs: number | undefined,   // relative to the start of the stream
+//     alternatives: [{
+//       transcript: string,
+//       confidence: number,
+//       words: [{ word, startMs, endMs, confidence }]   // same time base as resultEndTimeMs
+//     }]
+//   }
+export class RecognitionEngine {
+  constructor(name) {
+    this.name = name;
+    this.maxStreamDurationMs = Infinity;
+    this.maxIdleMs = Infinity;
+  }
+
+  createStream(options) {
+    throw new Error(`${this.name} recognition engine does not implement createStream()`);
+  }
+}
+
+export class RecognitionStream extends EventEmitter {
+  write(pcm) {
+    throw new Error('RecognitionStream does not implement write()');
+  }
+
+  end() {
+    throw new Error('RecognitionStream does not implement end()');
+  }
+}
@@ -0,0 +1,254 @@
+import { RecognitionStream } from './recognition_engine.js';
+
+// gRPC status codes after which a fresh stream is opened instead of failing the speaker
+const RETRYABLE_CODES = new Set([
+  4,   // DEADLINE_EXCEEDED
+  11,  // OUT_OF_RANGE: maximum stream duration reached
+  14   // UNAVAILABLE
+]);
+
+// Give up when new streams keep failing before producing a single result
+const MAX_CONSECUTIVE_FAILURES = 3;
+
+// Upper bound on audio held for replay, so long silences can't grow it without limit
+const MAX_REPLAY_MS = 30000;
+
+// Presents one continuous recognition stream per participant on top of engines
+// whose streams have a limited lifetime (Google stops after ~5 minutes).
+//
+// Audio written since the last final result is kept. When the underlying
+// stream nears the engine's limit, or drops with a retryable error, a new one
+// is opened and that unfinalized audio is replayed into it. Interim results
+// from the retired stream are discarded, so nothing is transcribed twice, and
+// result offsets are shifted to be relative to the participant's first byte of
+// audio rather than to the current stream. `options.audioOffsetMs` places
+// the first byte when the participant already sent audio to an earlier
+// stream, e.g. one that failed for good.
+//
+// Engines also give up on a stream that receives no audio for a while, which
+// is normal while silence is being suppressed. After the engine's
+// `maxIdleMs` without a write the stream is closed cleanly, and the next
+// write continues on a fresh one.
+export class RotatingRecognitionStream extends RecognitionStream {
+  constructor(engine, options, logger = console) {
+    super();
+    this.engine = engine;
+    this.options = options;
+    this.logger = logger;
+    this.bytesPerMs = options.sampleRate * 2 / 1000;
+    this.maxStreamDurationMs = engine.maxStreamDurationMs ?? Infinity;
+    // Leave the replacement stream most of its lifetime for new audio
+    this.maxReplayMs = Math.min(MAX_REPLAY_MS, this.maxStreamDurationMs / 2);
+    this.maxIdleMs = engine.maxIdleMs ?? Infinity;
+    this.idleTimer = null;
+
+    this.totalMs = options.audioOffsetMs || 0;
+    this.finalizedMs = this.totalMs;
+    this.replayChunks = [];
+    this.stream = null;
+    this.streamOffsetMs = 0;
+    this.streamStartedAt = 0;
+    this.needsRotation = false;
+    this.isPaused = false;
+    this.needsReconfigure = false;
+    this.consecutiveFailures = 0;
+    this.rotations = 0;
+    this.ended = false;
+
+    this.openStream(this.totalMs);
+  }
+
+  openStream(offsetMs) {
+    const stream = this.engine.createStream({ ...this.options, audioOffsetMs: offsetMs });
+    this.stream = stream;
+    this.streamOffsetMs = offsetMs;
+    this.streamStartedAt = Date.now();
+    this.needsRotation = false;
+    this.isPaused = false;
+    this.needsReconfigure = false;
+
+    stream
+      .on('result', (result) => {
+        if (stream === this.stream) {
+          this.handleResult(result);
+        }
+      })
+      .on('error', (error) => {
+        if (stream === this.stream) {
+          this.handleStreamError(error);
+        }
+      })
+      .on('end', () => {
+        if (stream !== this.stream) {
+          return;
+        }
+        if (this.ended) {
+          this.emit('end');
+        } else {
+          // The engine closed the stream on its own; continue on a new one
+          this.needsRotation = true;
+        }
+      });
+  }
+
+  handleResult(result) {
+    this.consecutiveFailures = 0;
+
+    const resultEndTimeMs = result.resultEndTimeMs === undefined ?
+      this.totalMs :
+      this.streamOffsetMs + result.resultEndTimeMs;
+
+    if (result.isFinal) {
+      this.finalizedMs = Math.max(this.finalizedMs, resultEndTimeMs);
+      this.trimReplayBuffer();
+    }
+
+    this.emit('result', {
+      ...result,
+      resultEndTimeMs,
+      alternatives: result.alternatives.map((alternative) => ({
+        ...alternative,
+        words: (alternative.words || []).map((word) => ({
+          ...word,
+          startMs: word.startMs === undefined ? undefined : this.streamOffsetMs + word.startMs,
+          endMs: word.endMs === undefined ? undefined : this.streamOffsetMs + word.endMs
+        }))
+      }))
+    });
+  }
+
+  handleStreamError(error) {
+    if (this.ended) {
+      // Already shutting down; don't leave the session waiting for a flush
+      this.emit('end');
+      return;
+    }
+
+    this.consecutiveFailures++;
+    if (RETRYABLE_CODES.has(error.code) && this.consecutiveFailures <= MAX_CONSECUTIVE_FAILURES) {
+      this.logger.warn(`Recognition stream for speaker ${this.options.speaker} dropped (${error.message}), rotating`);
+      this.needsRotation = true;
+      return;
+    }
+    this.emit('error', error);
+  }
+
+  shouldRotate() {
+    if (this.needsRotation || this.isPaused || this.needsReconfigure) {
+      return true;
+    }
+    const streamAudioMs = this.totalMs - this.streamOffsetMs;
+    const streamAgeMs = Date.now() - this.streamStartedAt;
+    return Math.max(streamAudioMs, streamAgeMs) >= this.maxStreamDurationMs;
+  }
+
+  rotate() {
+    const retired = this.stream;
+    const offsetMs = this.replayChunks.length > 0 ? this.replayChunks[0].startMs : this.totalMs;
+    this.rotations++;
+    this.logger.log(
+      `Rotating recognition stream for speaker ${this.options.speaker} ` +
+      `(#${this.rotations}, replaying ${Math.round(this.totalMs - offsetMs)} ms)`
+    );
+
+    // Detach before ending so late results from the retired stream are ignored
+    this.openStream(offsetMs);
+    try {
+      retired.end();
+    } catch (error) {
+      // The retired stream may already be closed after an error
+    }
+
+    for (const chunk of this.replayChunks) {
+      this.stream.write(chunk.pcm);
+    }
+  }
+
+  // Continue on a new stream with different recognizer settings, such as a
+  // language locked after detection. Takes effect with the next write, so
+  // unfinalized audio is replayed into the new stream.
+  reconfigure(options) {
+    this.options = { ...this.options, ...options };
+    this.needsReconfigure = true;
+  }
+
+  scheduleIdlePause() {
+    if (!Number.isFinite(this.maxIdleMs)) {
+      return;
+    }
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.pause(), this.maxIdleMs);
+    this.idleTimer.unref();
+  }
+
+  // End the underlying stream while no audio is coming; it still delivers
+  // its final results before closing
+  pause() {
+    if (this.ended || this.needsRotation || this.isPaused) {
+      return;
+    }
+    this.isPaused = true;
+    this.logger.log(`Pausing idle recognition stream for speaker ${this.options.speaker}`);
+    try {
+      this.stream.end();
+    } catch (error) {
+      this.needsRotation = true;
+    }
+  }
+
+  trimReplayBuffer() {
+    const keepFromMs = Math.max(this.finalizedMs, this.totalMs - this.maxReplayMs);
+
+    while (this.replayChunks.length > 0) {
+      const chunk = this.replayChunks[0];
+      const chunkEndMs = chunk.startMs + chunk.pcm.length / this.bytesPerMs;
+      if (chunkEndMs <= keepFromMs) {
+        this.replayChunks.shift();
+      } else if (chunk.startMs < keepFromMs) {
+        const skipBytes = Math.floor((keepFromMs - chunk.startMs) * this.bytesPerMs / 2) * 2;
+        chunk.pcm = chunk.pcm.subarray(skipBytes);
+        chunk.startMs += skipBytes / this.bytesPerMs;
+        break;
+      } else {
+        break;
+      }
+    }
+  }
+
+  write(pcm) {
+    if (this.ended) {
+      throw new Error('write after end');
+    }
+
+    if (this.shouldRotate()) {
+      this.rotate();
+    }
+
+    this.replayChunks.push({ startMs: this.totalMs, pcm });
+    this.totalMs += pcm.length / this.bytesPerMs;
+    this.trimReplayBuffer();
+
+    this.stream.write(pcm);
+    this.scheduleIdlePause();
+  }
+
+  end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+    this.replayChunks = [];
+    clearTimeout(this.idleTimer);
+
+    if (this.needsRotation) {
+      // Underlying stream is already gone; nothing left to flush
+      setImmediate(() => this.emit('end'));
+      return;
+    }
+    if (this.isPaused) {
+      // Already ending; its 'end' finishes this stream too
+      return;
+    }
+    this.stream.end();
+  }
+}
@@ -0,0 +1,145 @@
+import fs from 'fs/promises';
+import { RecognitionEngine, RecognitionStream } from './recognition_engine.js';
+
+// Offline, deterministic engine. Instead of listening to the audio it replays
+// a script of utterances, releasing each one once the participant has sent
+// enough audio to reach its timestamps. Useful for air-gapped deployments
+// and for tests that must not depend on cloud credentials.
+//
+// Script format, keyed by participant key or role number (times in seconds
+// of that participant's audio as the recognizer receives it, i.e. with
+// suppressed silence left out):
+//
+//   {
+//     "1": [{ "text": "Hello, how can I help?", "start": 0.5, "end": 2.1, "languageCode": "en-US" }],
+//     "2": [{ "text": "...", "start": 2.5, "end": 4.0, "confidence": 0.8,
+//            "wordConfidences": [0.9, 0.3, ...],              // per word, optional
+//            "alternatives": [{ "text": "...", "confidence": 0.4 }] }],   // n-best after the first
+//     "agent-42": [...],
+//     "default": [...]   // used for participants without their own entry
+//   }
+class ScriptedRecognitionStream extends RecognitionStream {
+  constructor(utterances, options) {
+    super();
+    this.utterances = utterances;
+    this.sampleRate = options.sampleRate;
+    this.languageCode = options.languageCode;
+    // Track absolute positions so a replacement stream picks up mid-script
+    this.offsetMs = options.audioOffsetMs || 0;
+    this.receivedMs = this.offsetMs;
+    this.nextIndex = utterances.findIndex((utterance) => utterance.end * 1000 > this.offsetMs);
+    if (this.nextIndex === -1) {
+      this.nextIndex = utterances.length;
+    }
+    this.interimSent = false;
+    this.ended = false;
+  }
+
+  write(pcm) {
+    if (this.ended) {
+      throw new Error('write after end');
+    }
+    this.receivedMs += (pcm.length / 2) / this.sampleRate * 1000;
+    this.release();
+  }
+
+  end() {
+    if (this.ended) {
+      return;
+    }
+    this.ended = true;
+
+    // Flush whatever the participant had started saying before hanging up
+    while (this.nextIndex < this.utterances.length &&
+           this.utterances[this.nextIndex].start * 1000 < this.receivedMs) {
+      this.emitResult(this.utterances[this.nextIndex], true);
+      this.nextIndex++;
+    }
+    setImmediate(() => this.emit('end'));
+  }
+
+  release() {
+    while (this.nextIndex < this.utterances.length) {
+      const utterance = this.utterances[this.nextIndex];
+      const midpointMs = (utterance.start + utterance.end) / 2 * 1000;
+
+      if (this.receivedMs >= utterance.end * 1000) {
+        this.emitResult(utterance, true);
+        this.nextIndex++;
+        this.interimSent = false;
+      } else {
+        if (!this.interimSent && this.receivedMs >= midpointMs) {
+          this.emitResult(utterance, false);
+          this.interimSent = true;
+        }
+        return;
+      }
+    }
+  }
+
+  emitResult(utterance, isFinal) {
+    const allWords = utterance.text.split(/\s+/);
+    const words = isFinal ?
+      allWords :
+      allWords.slice(0, Math.max(1, Math.ceil(allWords.length / 2)));
+
+    // Spread words evenly across the utterance
+    const startMs = utterance.start * 1000 - this.offsetMs;
+    const wordMs = (utterance.end - utterance.start) * 1000 / allWords.length;
+
+    const confidence = utterance.confidence ?? 0.9;
+    const result = {
+      isFinal,
+      languageCode: utterance.languageCode || this.languageCode,
+      languageConfidence: 1.0,
+      resultEndTimeMs: Math.round((isFinal ? utterance.end : (utterance.start + utterance.end) / 2) * 1000) -
+        this.offsetMs,
+      alternatives: [{
+        transcript: isFinal ? utterance.text : words.join(' '),
+        confidence,
+        words: words.map((word, index) => ({
+          word,
+          startMs: Math.round(startMs + index * wordMs),
+          endMs: Math.round(startMs + (index + 1) * wordMs),
+          confidence: utterance.wordConfidences?.[index] ?? confidence
+        }))
+      }]
+    };
+    // Only final results carry the n-best list
+    if (isFinal) {
+      for (const alternative of utterance.alternatives || []) {
+        result.alternatives.push({ transcript: alternative.text, confidence: alternative.confidence ?? 0, words: [] });
+      }
+    }
+    setImmediate(() => this.emit('result', result));
+  }
+}
+
+export class ScriptedEngine extends RecognitionEngine {
+  constructor(script = {}, { maxStreamDurationMs = Infinity, maxIdleMs = Infinity } = {}) {
+    super('scripted');
+    this.script = script;
+    this.maxStreamDurationMs = maxStreamDurationMs;
+    this.maxIdleMs = maxIdleMs;
+  }
+
+  static async fromFile(scriptFile) {
+    if (!scriptFile) {
+      console.warn('Scripted recognizer started without a script; no transcripts will be produced');
+      return new ScriptedEngine();
+    }
+    const content = await fs.readFile(scriptFile, 'utf8');
+    return new ScriptedEngine(JSON.parse(content));
+  }
+
+  createStream(options) {
+    const utterances = this.script[String(options.speaker)] ||
+      this.script[String(options.role)] ||
+      this.script.default ||
+      [];
+    return new ScriptedRecognitionStream(
+      [...utterances].sort((a, b) => a.start - b.start),
+      options
+    );
+  }
+}
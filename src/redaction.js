@@ -0,0 +1,324 @@
+import { normalizeArabic, toAsciiDigits } from './text_utils.js';
+
+// Settings used for anything a profile's `redaction` section leaves out
+export const REDACTION_DEFAULTS = {
+  enabled: true,
+  // Which entities to mask: card, iban, national_id, phone
+  entities: ['card', 'iban', 'national_id', 'phone'],
+  // Silence redacted words in the combined recording when timings are known
+  muteAudio: true,
+  // Word timings are approximate; mute this much extra on either side
+  paddingMs: 250
+};
+
+const LABELS = {
+  card: '[CARD]',
+  iban: '[IBAN]',
+  national_id: '[NATIONAL_ID]',
+  phone: '[PHONE]',
+  number: '[NUMBER]'
+};
+
+// Interim results can end halfway through a number; mask shorter digit runs
+// there too rather than let a partial card number through
+const PARTIAL_MIN_DIGITS = 4;
+
+const SPOKEN_DIGITS = new Map([
+  ['zero', '0'], ['oh', '0'], ['one', '1'], ['two', '2'], ['three', '3'], ['four', '4'],
+  ['five', '5'], ['six', '6'], ['seven', '7'], ['eight', '8'], ['nine', '9'],
+  // Arabic, after normalizeArabic(): MSA and common dialect spellings
+  ['صفر', '0'], ['واحد', '1'], ['اثنين', '2'], ['اثنان', '2'], ['اتنين', '2'],
+  ['ثلاثه', '3'], ['ثلاث', '3'], ['تلاته', '3'], ['اربعه', '4'], ['اربع', '4'],
+  ['خمسه', '5'], ['خمس', '5'], ['سته', '6'], ['ست', '6'], ['سبعه', '7'], ['سبع', '7'],
+  ['ثمانيه', '8'], ['ثماني', '8'], ['ثمان', '8'], ['تمانيه', '8'], ['تسعه', '9'], ['تسع', '9']
+]);
+
+const REPEATS = new Map([['double', 2], ['triple', 3]]);
+
+// The digits a token contributes to a spoken or written number, or null.
+// Grouped amounts like 1,500,000 are not identifiers and break a run.
+function tokenDigits(token) {
+  const text = toAsciiDigits(token).toLowerCase().replace(/^[^\w+؀-ۿ]+|[^\w؀-ۿ]+$/g, '');
+  if (/^\+?\d[\d\-./()]*$/.test(text)) {
+    return text.replace(/\D/g, '');
+  }
+  if (/^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+  const word = normalizeArabic(text);
+  if (SPOKEN_DIGITS.has(word)) {
+    return SPOKEN_DIGITS.get(word);
+  }
+  // "وخمسة": "and five"
+  if (word.startsWith('و') && SPOKEN_DIGITS.has(word.slice(1))) {
+    return SPOKEN_DIGITS.get(word.slice(1));
+  }
+  return null;
+}
+
+function luhnValid(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// ISO 13616: move the first four characters to the end, letters to numbers, mod 97
+function ibanValid(iban) {
+  const rearranged = (iban.slice(4) + iban.slice(0, 4))
+    .replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of rearranged) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+// Classify a run of digits. Returns { entity, reason } or null. Order matters:
+// Emirates IDs pass the Luhn check, and card numbers are phone-length too.
+function classifyNumber(digits) {
+  if (digits.length === 15 && digits.startsWith('784')) {
+    return { entity: 'national_id', reason: 'Emirates ID: 15 digits starting 784' };
+  }
+  if (digits.length >= 12 && digits.length <= 19 && luhnValid(digits)) {
+    return { entity: 'card', reason: `${digits.length}-digit number passing the Luhn check` };
+  }
+  if (digits.length >= 13 && digits.length <= 19) {
+    return { entity: 'card', reason: `card-length ${digits.length}-digit number (fails the Luhn check)` };
+  }
+  if (digits.length === 10 && /^[12]/.test(digits)) {
+    return { entity: 'national_id', reason: 'Saudi national ID or Iqama: 10 digits starting 1 or 2' };
+  }
+  if (digits.length >= 7 && digits.length <= 15) {
+    return { entity: 'phone', reason: `${digits.length}-digit phone number` };
+  }
+  return null;
+}
+
+// Finds entities in a list of tokens (whitespace-separated words). Returns
+// [{ from, to, entity, reason, length }] with token indexes, `to` exclusive.
+function findEntities(tokens, entities, partial) {
+  const digits = [];
+  for (let i = 0; i < tokens.length; i++) {
+    const repeat = REPEATS.get(tokens[i].toLowerCase());
+    const next = repeat && i + 1 < tokens.length ? tokenDigits(tokens[i + 1]) : null;
+    // "double five" reads as "55"; the count word carries the repeat
+    digits.push(next && next.length === 1 ? next.repeat(repeat - 1) : tokenDigits(tokens[i]));
+  }
+
+  const found = [];
+  let i = 0;
+  while (i < tokens.length) {
+    const match = findIban(tokens, i) || findNumber(digits, i, entities, partial);
+    if (match && (match.entity === 'number' || entities.includes(match.entity))) {
+      found.push(match);
+      i = match.to;
+    } else {
+      i++;
+    }
+  }
+  return found;
+}
+
+function findIban(tokens, from) {
+  const first = toAsciiDigits(tokens[from]).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (!/^[A-Z]{2}\d{2}/.test(first)) {
+    return null;
+  }
+
+  let iban = '';
+  let best = null;
+  for (let to = from; to < tokens.length && iban.length < 34; to++) {
+    const part = toAsciiDigits(tokens[to]).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    if (!part || (to > from && !/\d/.test(part))) {
+      break;
+    }
+    iban += part;
+    if (iban.length >= 15 && iban.length <= 34 && ibanValid(iban)) {
+      best = { from, to: to + 1, entity: 'iban', reason: `${iban.slice(0, 2)} IBAN passing the mod-97 check`, length: iban.length };
+    }
+  }
+  return best;
+}
+
+// Longest run of numeric tokens starting at `from` that classifies as an entity
+function findNumber(digits, from, entities, partial) {
+  if (digits[from] === null) {
+    return null;
+  }
+  let end = from;
+  while (end < digits.length && digits[end] !== null) {
+    end++;
+  }
+
+  for (let to = end; to > from; to--) {
+    const run = digits.slice(from, to).join('');
+    const match = classifyNumber(run);
+    if (match && entities.includes(match.entity)) {
+      return { from, to, ...match, length: run.length };
+    }
+  }
+
+  const run = digits.slice(from, end).join('');
+  if (partial && run.length >= PARTIAL_MIN_DIGITS) {
+    return { from, to: end, entity: 'number', reason: 'digits in an unfinished interim result', length: run.length };
+  }
+  return null;
+}
+
+// Replace each matched token run with its entity label, keeping the
+// punctuation that followed the last token
+function maskTokens(tokens, matches) {
+  const masked = [...tokens];
+  for (const { from, to, entity } of matches) {
+    const trailing = tokens[to - 1].match(/[.,;:!?،؛؟]*$/)[0];
+    masked[from] = LABELS[entity] + trailing;
+    for (let i = from + 1; i < to; i++) {
+      masked[i] = null;
+    }
+  }
+  return masked.filter((token) => token !== null);
+}
+
+function groupByEntity(matches) {
+  const groups = new Map();
+  for (const match of matches) {
+    if (!groups.has(match.entity)) {
+      groups.set(match.entity, []);
+    }
+    groups.get(match.entity).push(match);
+  }
+  return groups;
+}
+
+// Masks card numbers, IBANs, national IDs and phone numbers in recognizer
+// output, in English and Arabic, written with Western or Arabic-Indic digits
+// or spoken digit by digit.
+export class Redactor {
+  constructor(settings = {}) {
+    this.settings = { ...REDACTION_DEFAULTS, ...settings };
+  }
+
+  get isEnabled() {
+    return this.settings.enabled && this.settings.entities.length > 0;
+  }
+
+  redactText(text, { partial = false } = {}) {
+    if (!this.isEnabled || !text) {
+      return { text, matches: [] };
+    }
+    const tokens = text.split(/\s+/).filter(Boolean);
+    const matches = findEntities(tokens, this.settings.entities, partial);
+    return {
+      text: matches.length > 0 ? maskTokens(tokens, matches).join(' ') : text,
+      matches
+    };
+  }
+
+  // Redact a segment's text, n-best alternatives and words. Redactions carry
+  // the redacted words' call-timeline range when word timings are available:
+  // [{ entity, reason, length, startMs, endMs }]
+  redactSegment({ text, words = [], alternatives = [] }, { partial = false } = {}) {
+    const redactedText = this.redactText(text, { partial });
+    if (!this.isEnabled) {
+      return { text, words, alternatives, redactions: [] };
+    }
+
+    // Words usually line up with the transcript's tokens; when they don't,
+    // find the entities in the word list itself for their timings
+    const tokens = text ? text.split(/\s+/).filter(Boolean) : [];
+    const wordMatches = words.length === tokens.length ?
+      redactedText.matches :
+      findEntities(words.map((word) => word.word), this.settings.entities, partial);
+
+    const redactedWords = words.map((word) => ({ ...word }));
+    for (const { from, to, entity } of wordMatches) {
+      for (let i = from; i < to; i++) {
+        redactedWords[i].word = LABELS[entity];
+      }
+    }
+
+    // A redaction takes the timings of the word match with the same entity
+    // and rank; an entity found a different number of times in the words
+    // can't be paired reliably and gets none
+    const textMatchesByEntity = groupByEntity(redactedText.matches);
+    const wordMatchesByEntity = groupByEntity(wordMatches);
+    const ranks = new Map();
+    const redactions = redactedText.matches.map(({ entity, reason, length }) => {
+      const rank = ranks.get(entity) || 0;
+      ranks.set(entity, rank + 1);
+      const timings = wordMatchesByEntity.get(entity) || [];
+      const timed = timings.length === textMatchesByEntity.get(entity).length ? timings[rank] : undefined;
+      return {
+        entity,
+        reason,
+        length,
+        startMs: timed ? words[timed.from].startMs : undefined,
+        endMs: timed ? words[timed.to - 1].endMs : undefined
+      };
+    });
+
+    return {
+      text: redactedText.text,
+      words: redactedWords,
+      alternatives: alternatives.map((alternative) => ({
+        ...alternative,
+        transcript: this.redactText(alternative.transcript, { partial }).text
+      })),
+      redactions
+    };
+  }
+}
+
+// Call-timeline ranges to silence, per speaker, from final segments' redactions
+export function muteRangesBySpeaker(segments, paddingMs = REDACTION_DEFAULTS.paddingMs) {
+  const ranges = new Map();
+  for (const segment of segments) {
+    for (const redaction of segment.redactions || []) {
+      if (redaction.startMs === undefined || redaction.endMs === undefined) {
+        continue;
+      }
+      if (!ranges.has(segment.speaker)) {
+        ranges.set(segment.speaker, []);
+      }
+      ranges.get(segment.speaker).push({
+        startMs: Math.max(0, redaction.startMs - paddingMs),
+        endMs: redaction.endMs + paddingMs
+      });
+    }
+  }
+  return ranges;
+}
+
+// What was redacted in a call and why. Never contains the redacted values.
+export function buildRedactionAudit({ sessionId, platformCallId, settings, segments, audioMuted }) {
+  const redactions = segments.flatMap((segment) => (segment.redactions || []).map((redaction) => ({
+    speaker: segment.speaker,
+    segmentStartMs: segment.startMs,
+    segmentTimestamp: segment.timestamp,
+    ...redaction,
+    audioMuted: audioMuted && redaction.startMs !== undefined
+  })));
+
+  const counts = {};
+  for (const { entity } of redactions) {
+    counts[entity] = (counts[entity] || 0) + 1;
+  }
+
+  return {
+    sessionId,
+    platformCallId,
+    generatedAt: new Date().toISOString(),
+    settings,
+    counts,
+    redactions
+  };
+}
@@ -0,0 +1,251 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import protobuf from 'protobufjs';
+import { AudioEncoding, encodeMulaw } from './audio_codec.js';
+import { CloseCode, ParticipantRole, SessionEventType } from './protocol.js';
+import { readWavHeader } from './wav_utils.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const PROTO_FILE = path.join(__dirname, '..', 'audio.proto');
+
+// How long to wait after CALL_ENDED for the server to close the connection,
+// which it does once transcripts and the combined recording have been written
+const DEFAULT_FINISH_TIMEOUT_MS = 30000;
+
+// Which Participant.participant_id field carries an identity for each role
+const IDENTITY_FIELDS = {
+  [ParticipantRole.AGENT]: 'platformAgentId',
+  [ParticipantRole.VISITOR]: 'externalUserId',
+  [ParticipantRole.ROLE_UNSPECIFIED]: 'user'
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Load the 16-bit PCM samples of a mono WAV file
+export async function readWavFile(file) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const header = await readWavHeader(handle);
+    if (header.audioFormat !== 1 || header.bitDepth !== 16 || header.channels !== 1) {
+      throw new Error(`${file} must be mono 16-bit PCM (got format ${header.audioFormat}, ` +
+        `${header.bitDepth}-bit, ${header.channels} channels)`);
+    }
+    const pcm = Buffer.alloc(header.dataLength - (header.dataLength % 2));
+    await handle.read(pcm, 0, pcm.length, header.dataOffset);
+    return { sampleRate: header.sampleRate, pcm };
+  } finally {
+    await handle.close();
+  }
+}
+
+function toParticipantMessage({ role, identity }) {
+  const message = { role };
+  if (identity) {
+    message[IDENTITY_FIELDS[role]] = identity;
+  }
+  return message;
+}
+
+// Streams one WAV file per participant to the server the way the call
+// platform would: StreamingConfig, CALL_STARTED, interleaved AudioContent at
+// real-time or accelerated pace, then CALL_ENDED.
+//
+// participants: [{ file, role, identity, offsetMs }], where offsetMs delays a
+// participant's first audio to simulate joining mid-call.
+//
+// Emits 'result' for each TranscriptionResult and 'serverError' for each
+// ErrorResponse.
+export class CallReplay extends EventEmitter {
+  constructor({
+    url,
+    token,
+    participants,
+    platformCallId = `replay-${Date.now()}`,
+    profile = '',
+    payload = {},
+    speed = 1,
+    chunkMs = 100,
+    encoding = AudioEncoding.LINEAR16,
+    rejectUnauthorized = true,
+    finishTimeoutMs = DEFAULT_FINISH_TIMEOUT_MS
+  }) {
+    super();
+    this.url = url;
+    this.token = token;
+    this.participants = participants;
+    this.platformCallId = platformCallId;
+    this.profile = profile;
+    this.payload = payload;
+    // 1 is real time, 4 is four times faster, 0 sends as fast as possible
+    this.speed = speed;
+    this.chunkMs = chunkMs;
+    this.encoding = encoding;
+    this.rejectUnauthorized = rejectUnauthorized;
+    this.finishTimeoutMs = finishTimeoutMs;
+
+    this.ws = null;
+    this.sequenceId = 0;
+    this.acknowledgedSequenceId = 0;
+    this.results = [];
+    this.errors = [];
+    this.alerts = [];
+    this.closeCode = null;
+  }
+
+  async loadAudio() {
+    const loaded = await Promise.all(this.participants.map(async (participant) => ({
+      ...participant,
+      offsetMs: participant.offsetMs || 0,
+      ...(await readWavFile(participant.file))
+    })));
+
+    const sampleRates = new Set(loaded.map((participant) => participant.sampleRate));
+    if (sampleRates.size !== 1) {
+      throw new Error(`All participant WAV files must share one sample rate (got ${[...sampleRates].join(', ')})`);
+    }
+    return { tracks: loaded, sampleRate: loaded[0].sampleRate };
+  }
+
+  async connect(messageType, responseType) {
+    const headers = this.token ? { Authorization: `Bearer ${this.token}` } : {};
+    this.ws = new WebSocket(this.url, { headers, rejectUnauthorized: this.rejectUnauthorized });
+    this.encodeRequest = (request) => messageType.encode(messageType.fromObject(request)).finish();
+
+    this.ws.on('message', (data) => this.handleResponse(responseType.toObject(
+      responseType.decode(data),
+      { longs: Number, enums: Number, defaults: true }
+    )));
+    this.ws.on('error', (error) => this.emit('connectionError', error));
+    this.ws.on('close', (code) => {
+      this.closeCode = code;
+      this.emit('closed', code);
+    });
+
+    await new Promise((resolve, reject) => {
+      this.ws.once('open', resolve);
+      this.ws.once('error', reject);
+      this.ws.once('unexpected-response', (req, res) =>
+        reject(new Error(`Server rejected the connection: ${res.statusCode} ${res.statusMessage}`))
+      );
+    });
+  }
+
+  handleResponse(response) {
+    if (response.acknowledgedSequenceId) {
+      this.acknowledgedSequenceId = Math.max(this.acknowledgedSequenceId, Number(response.acknowledgedSequenceId));
+      this.emit('acknowledged', this.acknowledgedSequenceId);
+    }
+    if (response.transcriptionResult) {
+      this.results.push(response.transcriptionResult);
+      this.emit('result', response.transcriptionResult);
+    }
+    if (response.alert) {
+      this.alerts.push(response.alert);
+      this.emit('alert', response.alert);
+    }
+    if (response.error) {
+      this.errors.push(response.error);
+      this.emit('serverError', response.error);
+    }
+  }
+
+  send(request) {
+    this.sequenceId++;
+    this.ws.send(this.encodeRequest({ ...request, sequenceId: String(this.sequenceId) }));
+    return this.sequenceId;
+  }
+
+  async streamAudio(tracks, sampleRate) {
+    const bytesPerChunk = Math.round(sampleRate * this.chunkMs / 1000) * 2;
+    const endMs = Math.max(...tracks.map((track) =>
+      track.offsetMs + track.pcm.length / 2 / sampleRate * 1000
+    ));
+    const startedAt = Date.now();
+
+    for (let callMs = 0; callMs < endMs; callMs += this.chunkMs) {
+      for (const track of tracks) {
+        const start = Math.round((callMs - track.offsetMs) * sampleRate / 1000) * 2;
+        if (start < 0 || start >= track.pcm.length) {
+          continue;
+        }
+        const pcm = track.pcm.subarray(start, start + bytesPerChunk);
+        this.send({
+          audioContent: {
+            audioContent: this.encoding === AudioEncoding.MULAW ? encodeMulaw(pcm) : pcm,
+            participant: toParticipantMessage(track)
+          }
+        });
+      }
+
+      if (this.speed > 0) {
+        const dueAt = startedAt + (callMs + this.chunkMs) / this.speed;
+        await sleep(Math.max(0, dueAt - Date.now()));
+      }
+      if (this.closeCode !== null) {
+        throw new Error(`Server closed the connection (${this.closeCode}) during replay`);
+      }
+    }
+  }
+
+  // Resolves true when the server closes normally after finishing the call
+  waitForServerClose() {
+    if (this.closeCode !== null) {
+      return Promise.resolve(this.closeCode === CloseCode.NORMAL);
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(false), this.finishTimeoutMs);
+      this.once('closed', (code) => {
+        clearTimeout(timer);
+        resolve(code === CloseCode.NORMAL);
+      });
+    });
+  }
+
+  // Returns { results, errors, alerts, completed, closeCode } once the server has
+  // finished the call, or the finish timeout expires
+  async run() {
+    const root = await protobuf.load(PROTO_FILE);
+    const { tracks, sampleRate } = await this.loadAudio();
+    await this.connect(
+      root.lookupType('StreamCallSessionRequest'),
+      root.lookupType('StreamCallSessionResponse')
+    );
+
+    try {
+      this.send({
+        streamingConfig: {
+          profile: this.profile,
+          audioMetadata: { sampleRateHertz: sampleRate, encoding: this.encoding }
+        }
+      });
+      this.send({
+        sessionEvent: {
+          eventType: SessionEventType.CALL_STARTED,
+          platformCallId: this.platformCallId,
+          participants: tracks.map(toParticipantMessage),
+          payload: this.payload
+        }
+      });
+
+      await this.streamAudio(tracks, sampleRate);
+
+      this.send({ sessionEvent: { eventType: SessionEventType.CALL_ENDED } });
+      const completed = await this.waitForServerClose();
+      return {
+        results: this.results,
+        errors: this.errors,
+        alerts: this.alerts,
+        completed,
+        closeCode: this.closeCode,
+        acknowledgedSequenceId: this.acknowledgedSequenceId
+      };
+    } finally {
+      if (this.ws.readyState === WebSocket.OPEN) {
+        this.ws.close();
+      }
+    }
+  }
+}
@@ -0,0 +1,63 @@
+// Skipped ids remembered so a late arrival can be told apart from a duplicate.
+// A larger jump is still reported as a gap, but its ids aren't tracked.
+const MAX_TRACKED_MISSING = 1000;
+
+export const SequenceStatus = {
+  NEXT: 'next',
+  GAP: 'gap',
+  DUPLICATE: 'duplicate',
+  OUT_OF_ORDER: 'out_of_order'
+};
+
+// Classifies each request's sequence_id against the ones already seen on the
+// connection. Ids are validated decimal strings and compared as BigInt, since
+// clients may use timestamps or other values beyond Number precision.
+export class SequenceTracker {
+  constructor() {
+    this.last = null;
+    this.missing = new Set();
+    this.stats = {
+      received: 0,
+      gaps: 0,
+      missing: 0,
+      duplicates: 0,
+      outOfOrder: 0
+    };
+  }
+
+  // Returns { status, skipped } where skipped counts ids jumped over by a gap
+  check(sequenceId) {
+    const id = BigInt(sequenceId);
+    this.stats.received++;
+
+    if (this.last === null || id === this.last + 1n) {
+      this.last = id;
+      return { status: SequenceStatus.NEXT, skipped: 0 };
+    }
+
+    if (id > this.last) {
+      const skipped = id - this.last - 1n;
+      if (skipped <= BigInt(MAX_TRACKED_MISSING)) {
+        for (let missing = this.last + 1n; missing < id; missing++) {
+          this.missing.add(missing);
+        }
+        while (this.missing.size > MAX_TRACKED_MISSING) {
+          this.missing.delete(this.missing.values().next().value);
+        }
+      }
+      this.last = id;
+      this.stats.gaps++;
+      this.stats.missing += Number(skipped);
+      return { status: SequenceStatus.GAP, skipped: Number(skipped) };
+    }
+
+    if (this.missing.delete(id)) {
+      this.stats.outOfOrder++;
+      this.stats.missing--;
+      return { status: SequenceStatus.OUT_OF_ORDER, skipped: 0 };
+    }
+
+    this.stats.duplicates++;
+    return { status: SequenceStatus.DUPLICATE, skipped: 0 };
+  }
+}
@@ -0,0 +1,62 @@
+import { createWriteStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+
+export const JOURNAL_PREFIX = 'journal_';
+
+// Append-only record of a call in progress, one JSON object per line:
+//
+//   { type: 'session', sessionId, platformCallId, tenantId, profile, startedAt, audioFormat }
+//   { type: 'participants', participants: [[key, participant], ...] }
+//   { type: 'track', key, participant, channel, offsetMs, recordingFile }
+//   { type: 'call', platformCallId, payload }
+//   { type: 'transcription', speaker, ...entry }     (final results only)
+//   { type: 'language', speaker, participant, change, languageCode | from, reason, atMs }
+//
+// It is removed once the call's outputs are written. A journal still on disk
+// at startup belongs to a call the process never finished, and holds enough
+// to rebuild its transcript and combined recording.
+export class SessionJournal {
+  constructor(file) {
+    this.file = file;
+    this.stream = createWriteStream(file, { flags: 'a' });
+    this.stream.on('error', (error) => console.error(`Error writing journal ${file}:`, error));
+  }
+
+  static fileFor(outputDir, sessionId) {
+    return path.join(outputDir, `${JOURNAL_PREFIX}${sessionId}.jsonl`);
+  }
+
+  append(record) {
+    if (this.stream.writableEnded) {
+      return;
+    }
+    this.stream.write(JSON.stringify({ ...record, at: new Date().toISOString() }) + '\n');
+  }
+
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+
+  async remove() {
+    await this.close();
+    await fs.rm(this.file, { force: true });
+  }
+
+  // A crash can leave the last line half written; skip anything unparseable
+  static async read(file) {
+    const content = await fs.readFile(file, 'utf8');
+    const records = [];
+    for (const line of content.split('\n')) {
+      if (!line.trim()) {
+        continue;
+      }
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`Skipping damaged journal line in ${file}`);
+      }
+    }
+    return records;
+  }
+}
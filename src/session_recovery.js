@@ -0,0 +1,204 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { analyzeCall } from './call_analytics.js';
+import { toSrt, toWebVtt } from './caption_export.js';
+import { mixRecordings } from './mixdown.js';
+import { buildRedactionAudit, muteRangesBySpeaker } from './redaction.js';
+import { JOURNAL_PREFIX, SessionJournal } from './session_journal.js';
+import { summarizeConfidence } from './confidence_summary.js';
+import { toTranscriptJson, toTranscriptText } from './transcript_export.js';
+import { repairWavHeader } from './wav_utils.js';
+
+const RECORDING_PATTERN = /^participant_.+\.wav$/;
+
+// Rebuild what finalize() would have written for a call the process never
+// finished, from its journal and the recordings it left behind
+async function recoverSession(outputDir, journalFile) {
+  const records = await SessionJournal.read(journalFile);
+  const session = records.find((record) => record.type === 'session');
+  if (!session) {
+    throw new Error('journal has no session record');
+  }
+
+  const { sessionId } = session;
+  let platformCallId = session.platformCallId;
+  let payload = session.payload || {};
+  const participants = new Map();
+  const tracks = new Map();
+  const segments = [];
+  const languageEvents = [];
+  const alerts = [];
+
+  for (const record of records) {
+    switch (record.type) {
+      case 'participants':
+        record.participants.forEach(([key, participant]) => participants.set(key, participant));
+        break;
+      case 'track':
+        tracks.set(record.key, record);
+        if (!participants.has(record.key)) {
+          participants.set(record.key, record.participant);
+        }
+        break;
+      case 'call':
+        platformCallId = record.platformCallId || platformCallId;
+        payload = record.payload || payload;
+        break;
+      case 'transcription': {
+        const { type, at, ...segment } = record;
+        segments.push({ isFinal: true, ...segment });
+        break;
+      }
+      case 'language': {
+        const { type, at, ...event } = record;
+        languageEvents.push(event);
+        break;
+      }
+      case 'alert': {
+        const { type, at, ...alert } = record;
+        alerts.push(alert);
+        break;
+      }
+    }
+  }
+  segments.sort((a, b) =>
+    (a.startMs ?? 0) - (b.startMs ?? 0) || new Date(a.timestamp) - new Date(b.timestamp)
+  );
+
+  // Recordings whose file never got created (no audio written) are skipped
+  const recordings = [];
+  for (const track of [...tracks.values()].sort((a, b) => a.channel - b.channel)) {
+    const file = path.join(outputDir, track.recordingFile);
+    try {
+      await repairWavHeader(file);
+      recordings.push({ file, offsetMs: track.offsetMs, key: track.key });
+    } catch (error) {
+      console.warn(`[${sessionId}] Recording ${track.recordingFile} is unusable: ${error.message}`);
+    }
+  }
+
+  languageEvents.sort((a, b) => (a.atMs ?? 0) - (b.atMs ?? 0));
+  const transcript = {
+    sessionId,
+    platformCallId,
+    participants: [...participants.entries()],
+    segments,
+    events: languageEvents
+  };
+  await fs.writeFile(path.join(outputDir, `transcription_${sessionId}.txt`), toTranscriptText(transcript), 'utf8');
+  await fs.writeFile(path.join(outputDir, `transcription_${sessionId}.json`),
+    JSON.stringify(toTranscriptJson(transcript), null, 2), 'utf8');
+  if (session.captions !== false) {
+    await fs.writeFile(path.join(outputDir, `transcription_${sessionId}.srt`), toSrt(segments), 'utf8');
+    await fs.writeFile(path.join(outputDir, `transcription_${sessionId}.vtt`), toWebVtt(segments), 'utf8');
+  }
+
+  // Segments were redacted as they arrived; journals from before redaction
+  // existed carry no settings and nothing to mute
+  const redaction = session.redaction;
+  const muteRanges = redaction?.enabled && redaction.muteAudio ?
+    muteRangesBySpeaker(segments, redaction.paddingMs) :
+    new Map();
+  if (redaction?.enabled) {
+    const audit = buildRedactionAudit({
+      sessionId,
+      platformCallId,
+      settings: redaction,
+      segments,
+      audioMuted: redaction.muteAudio
+    });
+    await fs.writeFile(path.join(outputDir, `redactions_${sessionId}.json`), JSON.stringify(audit, null, 2), 'utf8');
+  }
+
+  if (recordings.length > 0) {
+    await mixRecordings({
+      inputs: recordings.map((recording) => ({ ...recording, muteRanges: muteRanges.get(recording.key) || [] })),
+      outputFile: path.join(outputDir, `combined_${sessionId}.wav`),
+      sampleRate: session.audioFormat.sampleRate
+    });
+  }
+
+  try {
+    const report = await analyzeCall({
+      sessionId,
+      platformCallId,
+      tracks: recordings.map(({ file, offsetMs, key }) => ({
+        key,
+        participant: participants.get(key),
+        recordingFile: file,
+        offsetMs
+      })),
+      segments
+    });
+    await fs.writeFile(path.join(outputDir, `analytics_${sessionId}.json`), JSON.stringify(report, null, 2), 'utf8');
+  } catch (error) {
+    console.warn(`[${sessionId}] Could not compute call analytics: ${error.message}`);
+  }
+
+  const metadata = {
+    sessionId,
+    platformCallId,
+    tenantId: session.tenantId,
+    startedAt: session.startedAt,
+    // Last sign of life before the process stopped
+    endedAt: records[records.length - 1].at,
+    profile: session.profile,
+    audioFormat: session.audioFormat,
+    confidence: summarizeConfidence(segments),
+    // Required phrases can't be judged missing without knowing how the call ended
+    alerts,
+    participants: [...participants.entries()].map(([key, participant]) => {
+      const track = tracks.get(key);
+      return {
+        key,
+        ...participant,
+        channel: track ? track.channel : null,
+        joinedAtMs: track ? track.offsetMs : null
+      };
+    }),
+    payload,
+    recoveredAt: new Date().toISOString()
+  };
+  await fs.writeFile(path.join(outputDir, `metadata_${sessionId}.json`), JSON.stringify(metadata, null, 2), 'utf8');
+
+  for (const recording of recordings) {
+    await fs.rm(recording.file, { force: true });
+  }
+  await fs.rm(journalFile, { force: true });
+
+  return { sessionId, segments: segments.length, recordings: recordings.length };
+}
+
+// Finish every call left behind in outputDir by a previous run. Must run
+// before any new session starts writing there.
+export async function recoverOrphanedSessions(outputDir) {
+  const journals = (await fs.readdir(outputDir))
+    .filter((file) => file.startsWith(JOURNAL_PREFIX) && file.endsWith('.jsonl'));
+
+  const recovered = [];
+  for (const file of journals) {
+    try {
+      const result = await recoverSession(outputDir, path.join(outputDir, file));
+      console.log(
+        `Recovered interrupted session ${result.sessionId} ` +
+        `(${result.segments} segments, ${result.recordings} recordings)`
+      );
+      recovered.push(result);
+    } catch (error) {
+      console.error(`Could not recover session from ${file}:`, error);
+    }
+  }
+
+  // Recordings without a journal (or whose recovery failed) are at least made playable
+  const leftovers = (await fs.readdir(outputDir)).filter((file) => RECORDING_PATTERN.test(file));
+  for (const file of leftovers) {
+    try {
+      await repairWavHeader(path.join(outputDir, file));
+      console.warn(`Repaired orphaned recording ${file}; it was not part of a recoverable session`);
+    } catch (error) {
+      console.error(`Could not repair orphaned recording ${file}:`, error.message);
+    }
+  }
+
+  return recovered;
+}
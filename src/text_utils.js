@@ -0,0 +1,47 @@
+export function isArabic(text) {
+  return /[\u0600-\u06FF]/.test(text);
+}
+
+// Wrap Arabic text in RTL embedding marks so consoles and text files render it correctly
+export function toDisplayText(text) {
+  return isArabic(text) ?
+    `\u202B${text}\u202C` :
+    text;
+}
+
+// Spelling variants that don't change an Arabic word: short vowel marks and
+// tatweel are dropped; alef forms, alef maqsura and taa marbuta are folded
+export function normalizeArabic(text) {
+  return text
+    .replace(/[\u064B-\u0652\u0640]/g, '')
+    .replace(/[\u0622\u0623\u0625]/g, '\u0627')
+    .replace(/\u0649/g, '\u064A')
+    .replace(/\u0629/g, '\u0647');
+}
+
+// Arabic-Indic (U+0660) and Eastern Arabic-Indic (U+06F0) digits as ASCII
+export function toAsciiDigits(text) {
+  return text.replace(/[\u0660-\u0669\u06F0-\u06F9]/g, (digit) => String(digit.charCodeAt(0) & 0xf));
+}
+
+// The definite article and the prepositions and conjunctions that attach to
+// it, so "الحساب", "بالحساب" and "حساب" find each other
+const ARABIC_PREFIXES = ['\u0648\u0627\u0644', '\u0628\u0627\u0644', '\u0643\u0627\u0644', '\u0641\u0627\u0644', '\u0644\u0644', '\u0627\u0644'];
+
+function stripArabicPrefix(word) {
+  const prefix = ARABIC_PREFIXES.find((candidate) =>
+    word.startsWith(candidate) && word.length - candidate.length >= 2
+  );
+  return prefix ? word.slice(prefix.length) : word;
+}
+
+// Text reduced to what search and alert phrases compare: folded Arabic spelling
+// variants, ASCII digits, lower case and bare word stems. Queries go through
+// the same steps, so "إلغاء" typed as "الغاء" still matches.
+export function toSearchText(text) {
+  return normalizeArabic(toAsciiDigits(text.toLowerCase()))
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean)
+    .map(stripArabicPrefix)
+    .join(' ');
+}
@@ -0,0 +1,104 @@
+import { reviewReason } from './confidence_summary.js';
+import { toDisplayText } from './text_utils.js';
+
+// Plain-text export of a call transcript, written with a BOM so Windows
+// editors pick up the Arabic text as UTF-8
+
+function speakerLabel(segment) {
+  const participant = segment.participant;
+  return participant?.identity ?
+    `Speaker ${segment.speaker} (${participant.roleName})` :
+    `Speaker ${segment.speaker}`;
+}
+
+// mm:ss.mmm position in the call
+export function formatCallTime(ms) {
+  if (ms === undefined) {
+    return '--:--.---';
+  }
+  const minutes = Math.floor(ms / 60000);
+  const seconds = (ms % 60000) / 1000;
+  return `${String(minutes).padStart(2, '0')}:${seconds.toFixed(3).padStart(6, '0')}`;
+}
+
+function describeLanguageEvent(event) {
+  return event.change === 'locked' ?
+    `language locked to ${event.languageCode}` :
+    `language unlocked from ${event.from} (${event.reason}); detecting language again`;
+}
+
+// Segments and language events in one list, ordered by call time
+function mergeByTime(segments, events) {
+  const lines = [];
+  let next = 0;
+  for (const segment of segments) {
+    while (next < events.length && (events[next].atMs ?? 0) < (segment.startMs ?? 0)) {
+      lines.push(events[next++]);
+    }
+    lines.push(segment);
+  }
+  return lines.concat(events.slice(next));
+}
+
+// participants: [[key, { roleName, identityType, identity }]], segments in call order,
+// events: per-speaker language changes [{ speaker, participant, change, atMs, ... }]
+export function toTranscriptText({ platformCallId, participants, segments, events = [] }) {
+  let content = '\ufeff' + 'Call Transcription\n==================\n\n';
+  if (platformCallId) {
+    content += `Platform call: ${platformCallId}\n`;
+  }
+  for (const [key, participant] of participants) {
+    content += `Speaker ${key}: ${participant.roleName}` +
+      (participant.identity ? ` (${participant.identityType}: ${participant.identity})` : '') + '\n';
+  }
+  if (platformCallId || participants.length > 0) {
+    content += '\n';
+  }
+
+  mergeByTime(segments, events).forEach((t) => {
+    if (t.change) {
+      content += `[${t.timestamp}] [${formatCallTime(t.atMs)}] * ${speakerLabel(t)} ${describeLanguageEvent(t)}\n\n`;
+      return;
+    }
+    content += `[${t.timestamp}] [${formatCallTime(t.startMs)} - ${formatCallTime(t.endMs)}] `;
+    content += `${speakerLabel(t)} (${(t.confidence * 100).toFixed(1)}% confidence`;
+    if (t.languageCode) {
+      content += `, Language: ${t.languageCode}`;
+    }
+    const reason = reviewReason(t);
+    content += `)${reason ? ` [review: ${reason}]` : ''}:\n${toDisplayText(t.text)}\n`;
+    // The first alternative is the text above; list the rest of the n-best
+    (t.alternatives || []).slice(1).forEach((alternative, index) => {
+      content += `  alt ${index + 2} (${(alternative.confidence * 100).toFixed(1)}%): ` +
+        `${toDisplayText(alternative.transcript)}\n`;
+    });
+    content += '\n';
+  });
+
+  return content;
+}
+
+// Structured transcript keeping everything the recognizer returned for each
+// final segment: the n-best alternatives and per-word timing and confidence
+export function toTranscriptJson({ sessionId, platformCallId, participants, segments, events = [] }) {
+  return {
+    sessionId,
+    platformCallId,
+    participants: participants.map(([key, participant]) => ({ key, ...participant })),
+    segments: segments.map((segment) => ({
+      speaker: segment.speaker,
+      startMs: segment.startMs,
+      endMs: segment.endMs,
+      timestamp: segment.timestamp,
+      languageCode: segment.languageCode,
+      languageConfidence: segment.languageConfidence,
+      text: segment.text,
+      confidence: segment.confidence,
+      review: reviewReason(segment),
+      alternatives: segment.alternatives || [{ transcript: segment.text, confidence: segment.confidence }],
+      words: segment.words || []
+    })),
+    languageEvents: events.map(({ speaker, change, languageCode, from, reason, atMs, timestamp }) =>
+      ({ speaker, change, languageCode, from, reason, atMs, timestamp }))
+  };
+}
@@ -0,0 +1,222 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+
+// Boost applied to phrases that don't set their own
+const DEFAULT_BOOST = 10;
+
+// Editors often write a file in several steps; reload once they settle
+const RELOAD_DEBOUNCE_MS = 250;
+
+// `$name` or `${name}` inside a phrase refers to a custom class
+const CLASS_REFERENCE = /\$\{?([A-Za-z0-9_-]+)\}?/g;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizePhrase(phrase, defaultBoost, source) {
+  const entry = typeof phrase === 'string' ? { value: phrase } : phrase;
+  if (!entry || typeof entry.value !== 'string' || !entry.value.trim()) {
+    throw new Error(`Vocabulary "${source}" has a phrase without a value`);
+  }
+  return {
+    value: entry.value.trim(),
+    boost: typeof entry.boost === 'number' ? entry.boost : defaultBoost,
+    vocabulary: source
+  };
+}
+
+function parseVocabulary(name, content) {
+  const data = JSON.parse(content);
+  const defaultBoost = typeof data.boost === 'number' ? data.boost : DEFAULT_BOOST;
+  if (data.phrases !== undefined && !Array.isArray(data.phrases)) {
+    throw new Error(`Vocabulary "${name}" phrases must be an array`);
+  }
+
+  const customClasses = {};
+  for (const [className, items] of Object.entries(data.customClasses || {})) {
+    if (!Array.isArray(items)) {
+      throw new Error(`Vocabulary "${name}" custom class "${className}" must be an array`);
+    }
+    customClasses[className] = items.map(String);
+  }
+
+  return {
+    name,
+    description: data.description || '',
+    phrases: (data.phrases || []).map((phrase) => normalizePhrase(phrase, defaultBoost, name)),
+    customClasses
+  };
+}
+
+// Matches a phrase in transcript text, expanding class references to their items.
+// Boundaries are letters and digits in any script, so Arabic matches like Latin.
+function phrasePattern(value, customClasses) {
+  let source = '';
+  let lastIndex = 0;
+  for (const match of value.matchAll(CLASS_REFERENCE)) {
+    source += escapeRegExp(value.slice(lastIndex, match.index));
+    const items = customClasses.get(match[1]);
+    source += items && items.length > 0 ?
+      `(?:${items.map(escapeRegExp).join('|')})` :
+      escapeRegExp(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  source += escapeRegExp(value.slice(lastIndex));
+  source = source.replace(/\s+/g, '\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+// The phrases and classes one call recognizes with. Taken as a snapshot when
+// the call is configured, so a reload mid-call can't change what the match
+// report is measured against.
+export class Vocabulary {
+  constructor(vocabularies = []) {
+    this.names = vocabularies.map((vocabulary) => vocabulary.name);
+    this.phrases = vocabularies.flatMap((vocabulary) => vocabulary.phrases);
+    this.customClasses = new Map();
+    for (const vocabulary of vocabularies) {
+      for (const [className, items] of Object.entries(vocabulary.customClasses)) {
+        if (this.customClasses.has(className)) {
+          console.warn(`Custom class "${className}" from vocabulary "${vocabulary.name}" overrides an earlier definition`);
+        }
+        this.customClasses.set(className, items);
+      }
+    }
+  }
+
+  get isEmpty() {
+    return this.phrases.length === 0 && this.customClasses.size === 0;
+  }
+
+  // Recognizer-neutral shape passed through recognition options
+  toRecognitionOptions() {
+    return {
+      phrases: this.phrases.map(({ value, boost }) => ({ value, boost })),
+      customClasses: [...this.customClasses.entries()].map(([name, items]) => ({ name, items }))
+    };
+  }
+
+  // Which boosted phrases turned up in the final transcript segments
+  findMatches(segments) {
+    const matched = [];
+    const unmatched = [];
+
+    for (const phrase of this.phrases) {
+      const pattern = phrasePattern(phrase.value, this.customClasses);
+      const occurrences = [];
+      for (const segment of segments) {
+        for (const match of segment.text.matchAll(pattern)) {
+          occurrences.push({
+            speaker: segment.speaker,
+            startMs: segment.startMs,
+            text: match[0]
+          });
+        }
+      }
+
+      if (occurrences.length > 0) {
+        matched.push({ ...phrase, count: occurrences.length, occurrences });
+      } else {
+        unmatched.push(phrase);
+      }
+    }
+
+    return { matched, unmatched };
+  }
+}
+
+// Loads every `<name>.json` in a directory and reloads the set when any of
+// them changes, so phrase lists can be edited without restarting the server.
+// A file that fails to parse keeps its previous version.
+export class VocabularyStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.vocabularies = new Map();
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  static async load(directory) {
+    const store = new VocabularyStore(directory);
+    await store.reload();
+    store.watch();
+    return store;
+  }
+
+  get names() {
+    return [...this.vocabularies.keys()];
+  }
+
+  async reload() {
+    let files;
+    try {
+      files = (await fsp.readdir(this.directory)).filter((file) => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.vocabularies.clear();
+        return;
+      }
+      throw error;
+    }
+
+    const loaded = new Map();
+    for (const file of files) {
+      const name = path.basename(file, '.json');
+      try {
+        const content = await fsp.readFile(path.join(this.directory, file), 'utf8');
+        loaded.set(name, parseVocabulary(name, content));
+      } catch (error) {
+        console.error(`Error loading vocabulary ${file}:`, error.message);
+        if (this.vocabularies.has(name)) {
+          loaded.set(name, this.vocabularies.get(name));
+        }
+      }
+    }
+    this.vocabularies = loaded;
+  }
+
+  watch() {
+    try {
+      this.watcher = fs.watch(this.directory, () => this.scheduleReload());
+      this.watcher.on('error', (error) => console.error('Vocabulary watcher error:', error));
+      this.watcher.unref();
+    } catch (error) {
+      console.warn(`Not watching ${this.directory} for vocabulary changes: ${error.message}`);
+    }
+  }
+
+  scheduleReload() {
+    clearTimeout(this.reloadTimer);
+    this.reloadTimer = setTimeout(async () => {
+      try {
+        await this.reload();
+        console.log(`Reloaded vocabularies: ${this.names.join(', ') || '(none)'}`);
+      } catch (error) {
+        console.error('Error reloading vocabularies:', error);
+      }
+    }, RELOAD_DEBOUNCE_MS);
+    this.reloadTimer.unref();
+  }
+
+  resolve(names = []) {
+    const vocabularies = [];
+    for (const name of names) {
+      const vocabulary = this.vocabularies.get(name);
+      if (vocabulary) {
+        vocabularies.push(vocabulary);
+      } else {
+        console.warn(`Unknown vocabulary "${name}", skipping`);
+      }
+    }
+    return new Vocabulary(vocabularies);
+  }
+
+  close() {
+    clearTimeout(this.reloadTimer);
+    if (this.watcher) {
+      this.watcher.close();
+    }
+  }
+}
@@ -0,0 +1,166 @@
+// Length of the frames audio is classified in
+const FRAME_MS = 20;
+
+// Background level assumed before any audio has been heard (dBFS)
+const INITIAL_NOISE_FLOOR_DB = -70;
+
+// How fast the noise floor may climb towards louder audio. Slow enough that
+// speech never becomes background, fast enough that a constant hum on the
+// line stops counting as speech after several seconds.
+const NOISE_FLOOR_RISE_DB_PER_S = 3;
+
+// Level given to digital silence, which has none
+const SILENCE_DB = -100;
+
+// Settings used for anything a profile's `vad` section leaves out
+export const VAD_DEFAULTS = {
+  enabled: true,
+  // Audio quieter than this is never speech (dBFS)
+  thresholdDb: -45,
+  // How far above the background noise a frame must be to count as speech
+  marginDb: 10,
+  // Audio passed on before speech starts and after it stops, so word onsets
+  // and trailing syllables still reach the recognizer
+  paddingBeforeMs: 300,
+  paddingAfterMs: 500
+};
+
+// RMS level of 16-bit PCM in dB relative to full scale. A trailing odd
+// byte is not a sample and is left out.
+export function levelDb(pcm) {
+  const samples = Math.floor(pcm.length / 2);
+  if (samples === 0) {
+    return SILENCE_DB;
+  }
+  let sumOfSquares = 0;
+  for (let offset = 0; offset + 1 < pcm.length; offset += 2) {
+    const sample = pcm.readInt16LE(offset);
+    sumOfSquares += sample * sample;
+  }
+  const rms = Math.sqrt(sumOfSquares / samples);
+  return rms === 0 ? SILENCE_DB : Math.max(SILENCE_DB, 20 * Math.log10(rms / 32768));
+}
+
+// Energy-based voice activity detection for one participant.
+//
+// Each frame is compared with an absolute threshold and with an adaptive
+// estimate of the line's background noise. Only speech, plus padding on
+// either side, is passed on; the rest is suppressed. Suppressed frames are
+// held briefly so the lead-in before a word can still be sent once speech
+// is detected.
+//
+// Positions are opaque milliseconds supplied by the caller (the session uses
+// the participant's recording position), so pieces sent after a suppressed
+// stretch can be mapped back to where they were recorded.
+export class VoiceActivityDetector {
+  constructor({ sampleRate, ...settings }) {
+    this.settings = { ...VAD_DEFAULTS, ...settings };
+    this.bytesPerMs = sampleRate * 2 / 1000;
+    this.frameBytes = Math.round(sampleRate * FRAME_MS / 1000) * 2;
+
+    this.noiseFloorDb = INITIAL_NOISE_FLOOR_DB;
+    this.isActive = false;
+    this.sinceSpeechMs = Infinity;
+    // Suppressed frames kept as lead-in for the next speech
+    this.leadIn = [];
+    this.leadInMs = 0;
+
+    this.stats = {
+      totalMs: 0,
+      speechMs: 0,
+      forwardedMs: 0,
+      segments: 0
+    };
+  }
+
+  get suppressedMs() {
+    return this.stats.totalMs - this.stats.forwardedMs;
+  }
+
+  toJSON() {
+    return {
+      enabled: this.settings.enabled,
+      ...this.stats,
+      suppressedMs: this.suppressedMs
+    };
+  }
+
+  // Classify a chunk that starts at position `atMs`. Returns the audio to
+  // pass on as [{ pcm, atMs }], in order; empty while nobody is speaking.
+  process(pcm, atMs) {
+    const chunkMs = pcm.length / this.bytesPerMs;
+    if (!this.settings.enabled) {
+      this.stats.totalMs += chunkMs;
+      this.stats.forwardedMs += chunkMs;
+      return [{ pcm, atMs }];
+    }
+
+    const forwarded = [];
+    for (let offset = 0; offset < pcm.length; offset += this.frameBytes) {
+      this.classify({
+        pcm: pcm.subarray(offset, offset + this.frameBytes),
+        atMs: atMs + offset / this.bytesPerMs
+      }, forwarded);
+    }
+    return this.joinContiguous(forwarded);
+  }
+
+  classify(frame, forwarded) {
+    frame.ms = frame.pcm.length / this.bytesPerMs;
+    this.stats.totalMs += frame.ms;
+
+    if (this.isSpeech(levelDb(frame.pcm), frame.ms)) {
+      this.stats.speechMs += frame.ms;
+      this.sinceSpeechMs = 0;
+      if (!this.isActive) {
+        this.isActive = true;
+        this.stats.segments++;
+        forwarded.push(...this.leadIn);
+        this.stats.forwardedMs += this.leadInMs;
+        this.leadIn = [];
+        this.leadInMs = 0;
+      }
+    } else {
+      this.sinceSpeechMs += frame.ms;
+      if (this.isActive && this.sinceSpeechMs > this.settings.paddingAfterMs) {
+        this.isActive = false;
+      }
+    }
+
+    if (this.isActive) {
+      forwarded.push(frame);
+      this.stats.forwardedMs += frame.ms;
+      return;
+    }
+
+    this.leadIn.push(frame);
+    this.leadInMs += frame.ms;
+    while (this.leadIn.length > 0 && this.leadInMs - this.leadIn[0].ms >= this.settings.paddingBeforeMs) {
+      this.leadInMs -= this.leadIn.shift().ms;
+    }
+  }
+
+  isSpeech(level, frameMs) {
+    const { thresholdDb, marginDb } = this.settings;
+    const isSpeech = level >= thresholdDb && level >= this.noiseFloorDb + marginDb;
+
+    // Follow quieter audio down at once, louder audio up only slowly
+    this.noiseFloorDb = Math.min(level, this.noiseFloorDb + NOISE_FLOOR_RISE_DB_PER_S * frameMs / 1000);
+    return isSpeech;
+  }
+
+  // Merge frames that follow each other into one piece per stretch of audio
+  joinContiguous(frames) {
+    const pieces = [];
+    for (const frame of frames) {
+      const last = pieces[pieces.length - 1];
+      if (last && Math.abs(last.atMs + last.ms - frame.atMs) < 1) {
+        last.frames.push(frame.pcm);
+        last.ms += frame.ms;
+      } else {
+        pieces.push({ atMs: frame.atMs, ms: frame.ms, frames: [frame.pcm] });
+      }
+    }
+    return pieces.map((piece) => ({ pcm: Buffer.concat(piece.frames), atMs: piece.atMs }));
+  }
+}
@@ -0,0 +1,89 @@
+import fs from 'fs/promises';
+
+// Wait until a FileWriter has flushed its data and rewritten the WAV header
+export function finishWriter(writer) {
+  return new Promise((resolve, reject) => {
+    writer.once('done', resolve);
+    writer.once('error', reject);
+    writer.end();
+  });
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full
+export function writeWithBackpressure(stream, chunk) {
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => stream.once('drain', resolve));
+}
+
+// Walk the RIFF chunks of a WAV file instead of assuming a 44-byte header.
+// Data sizes that were never finalized (placeholder or zero) are taken from
+// the file size, so recordings from interrupted calls are still readable.
+export async function readWavHeader(fileHandle) {
+  const { size: fileSize } = await fileHandle.stat();
+  const riff = Buffer.alloc(12);
+  await fileHandle.read(riff, 0, 12, 0);
+  if (riff.toString('ascii', 0, 4) !== 'RIFF' || riff.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let position = 12;
+  const chunkHeader = Buffer.alloc(8);
+
+  while (position + 8 <= fileSize) {
+    await fileHandle.read(chunkHeader, 0, 8, position);
+    const chunkId = chunkHeader.toString('ascii', 0, 4);
+    const chunkSize = chunkHeader.readUInt32LE(4);
+    const bodyOffset = position + 8;
+
+    if (chunkId === 'fmt ') {
+      const body = Buffer.alloc(16);
+      await fileHandle.read(body, 0, 16, bodyOffset);
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitDepth: body.readUInt16LE(14)
+      };
+    } else if (chunkId === 'data') {
+      if (!format) {
+        throw new Error('WAV data chunk appears before fmt chunk');
+      }
+      const available = fileSize - bodyOffset;
+      const dataLength = chunkSize === 0 || chunkSize > available ? available : chunkSize;
+      return { ...format, dataOffset: bodyOffset, dataLength };
+    }
+
+    // Chunks are padded to an even number of bytes
+    position = bodyOffset + chunkSize + (chunkSize % 2);
+  }
+
+  throw new Error('WAV file has no data chunk');
+}
+
+// Rewrite the RIFF and data sizes of a WAV file whose writer never finished,
+// e.g. after a crash, so ordinary players and readWavHeader agree on its length
+export async function repairWavHeader(file) {
+  const fileHandle = await fs.open(file, 'r+');
+  try {
+    const header = await readWavHeader(fileHandle);
+    const blockAlign = header.channels * header.bitDepth / 8;
+    const dataLength = header.dataLength - (header.dataLength % blockAlign);
+
+    const size = Buffer.alloc(4);
+    size.writeUInt32LE(dataLength, 0);
+    await fileHandle.write(size, 0, 4, header.dataOffset - 4);
+    size.writeUInt32LE(header.dataOffset + dataLength - 8, 0);
+    await fileHandle.write(size, 0, 4, 4);
+    if (dataLength !== header.dataLength) {
+      // Drop a partially written sample frame
+      await fileHandle.truncate(header.dataOffset + dataLength);
+    }
+
+    return { ...header, dataLength };
+  } finally {
+    await fileHandle.close();
+  }
+}
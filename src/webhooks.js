@@ -0,0 +1,310 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { createHmac, randomUUID } from 'crypto';
+
+export const WebhookEvent = {
+  // A final transcript segment, as it arrives
+  SEGMENT_FINAL: 'segment.final',
+  // The call's outputs are written: transcript, metadata and recording path
+  CALL_COMPLETED: 'call.completed'
+};
+
+// Transient failures are retried until they succeed, at most retryMaxMs
+// apart; only a receiver refusing the request ends the retries
+const RETRY_DEFAULTS = {
+  retryBaseMs: 1000,
+  retryMaxMs: 5 * 60 * 1000,
+  timeoutMs: 10000
+};
+
+// Receivers answering with these are asked again later; any other 4xx means
+// the request itself is unacceptable and retrying cannot help
+const RETRYABLE_CLIENT_STATUSES = new Set([408, 409, 425, 429]);
+
+// Hex HMAC-SHA256 of `<timestamp>.<body>`, sent as
+// `X-Webhook-Signature: sha256=<hex>` next to `X-Webhook-Timestamp`
+export function signPayload(secret, timestamp, body) {
+  return createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Exponential backoff with +/-20% jitter so receivers coming back up are
+// not hit by every queued delivery at once
+export function retryDelayMs(attempts, { retryBaseMs, retryMaxMs } = RETRY_DEFAULTS, random = Math.random) {
+  const delay = Math.min(retryMaxMs, retryBaseMs * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + random() * 0.4));
+}
+
+function validateEndpoint(endpoint) {
+  if (!endpoint.name) {
+    throw new Error('Every webhook endpoint needs a name');
+  }
+  try {
+    const { protocol } = new URL(endpoint.url);
+    if (protocol !== 'http:' && protocol !== 'https:') {
+      throw new Error(`unsupported protocol ${protocol}`);
+    }
+  } catch (error) {
+    throw new Error(`Webhook endpoint "${endpoint.name}" has an invalid url (${error.message})`);
+  }
+  if (!endpoint.secret) {
+    throw new Error(`Webhook endpoint "${endpoint.name}" needs a signing secret`);
+  }
+  const unknown = (endpoint.events || []).filter((event) => !Object.values(WebhookEvent).includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Webhook endpoint "${endpoint.name}" subscribes to unknown events: ${unknown.join(', ')}`);
+  }
+}
+
+// Deliveries waiting to be sent, one JSON file each, so they survive a
+// restart or a receiver that is down for hours. Deliveries that can never
+// succeed are moved to failed/ for someone to look at, never dropped.
+class Outbox {
+  constructor(dir) {
+    this.pendingDir = path.join(dir, 'pending');
+    this.failedDir = path.join(dir, 'failed');
+  }
+
+  async init() {
+    await fs.mkdir(this.pendingDir, { recursive: true });
+    await fs.mkdir(this.failedDir, { recursive: true });
+  }
+
+  fileFor(delivery, dir = this.pendingDir) {
+    return path.join(dir, `${delivery.id}.json`);
+  }
+
+  // Written aside and renamed so a crash never leaves half a delivery
+  async save(delivery) {
+    const file = this.fileFor(delivery);
+    await fs.writeFile(`${file}.tmp`, JSON.stringify(delivery), 'utf8');
+    await fs.rename(`${file}.tmp`, file);
+  }
+
+  async remove(delivery) {
+    await fs.rm(this.fileFor(delivery), { force: true });
+  }
+
+  async moveToFailed(delivery) {
+    await fs.writeFile(this.fileFor(delivery, this.failedDir), JSON.stringify(delivery, null, 2), 'utf8');
+    await this.remove(delivery);
+  }
+
+  async list() {
+    const deliveries = [];
+    for (const file of await fs.readdir(this.pendingDir)) {
+      if (!file.endsWith('.json')) {
+        continue;
+      }
+      try {
+        deliveries.push(JSON.parse(await fs.readFile(path.join(this.pendingDir, file), 'utf8')));
+      } catch (error) {
+        console.warn(`Skipping unreadable webhook delivery ${file}: ${error.message}`);
+      }
+    }
+    return deliveries.sort((a, b) => a.seq - b.seq);
+  }
+}
+
+// Signed HTTP POSTs of call events to the endpoints in a local JSON file:
+//
+//   { "endpoints": [{ "name": "crm", "url": "https://...", "secret": "...",
+//                     "events": ["segment.final", "call.completed"],
+//                     "tenantIds": ["example-tenant"] }] }
+//
+// `events` and `tenantIds` are optional filters. Each endpoint gets its
+// deliveries one at a time and in order; a delivery failing with a network
+// error, timeout, 408/429 or 5xx is retried with backoff for as long as it
+// takes and holds back the ones behind it.
+export class WebhookDispatcher {
+  constructor({ endpoints = [], outboxDir, ...settings }) {
+    endpoints.forEach(validateEndpoint);
+    this.endpoints = new Map(endpoints.map((endpoint) => [endpoint.name, endpoint]));
+    this.settings = { ...RETRY_DEFAULTS, ...settings };
+    this.outbox = new Outbox(outboxDir);
+    this.queues = new Map([...this.endpoints.keys()].map((name) => [name, []]));
+    this.busy = new Set();
+    this.timers = new Map();
+    this.inFlight = new Set();
+    this.saveQueue = Promise.resolve();
+    this.nextSeq = 1;
+    this.isClosed = false;
+  }
+
+  static async load(file, options) {
+    const content = await fs.readFile(file, 'utf8');
+    return new WebhookDispatcher({ ...JSON.parse(content), ...options });
+  }
+
+  get isEnabled() {
+    return this.endpoints.size > 0;
+  }
+
+  // Pick up deliveries a previous run could not finish
+  async start() {
+    await this.outbox.init();
+    const pending = await this.outbox.list();
+    this.nextSeq = Math.max(0, ...pending.map((delivery) => delivery.seq)) + 1;
+
+    let orphaned = 0;
+    for (const delivery of pending) {
+      if (this.queues.has(delivery.endpoint)) {
+        this.queues.get(delivery.endpoint).push(delivery);
+      } else {
+        orphaned++;
+      }
+    }
+    if (pending.length > 0) {
+      console.log(`Resuming ${pending.length - orphaned} pending webhook deliveries`);
+    }
+    if (orphaned > 0) {
+      console.warn(`${orphaned} pending webhook deliveries are for endpoints no longer configured; left in the outbox`);
+    }
+    for (const name of this.queues.keys()) {
+      this.pump(name);
+    }
+  }
+
+  subscribers(event, tenantId) {
+    return [...this.endpoints.values()].filter((endpoint) =>
+      (!endpoint.events || endpoint.events.includes(event)) &&
+      (!endpoint.tenantIds || endpoint.tenantIds.includes(tenantId))
+    );
+  }
+
+  // Queue an event for every subscribed endpoint. Resolves once the
+  // deliveries are safely in the outbox, not when they are delivered.
+  // Saves are serialized so deliveries queue in the order events happened.
+  publish(event, data) {
+    this.saveQueue = this.saveQueue.then(() => this.enqueue(event, data));
+    return this.saveQueue;
+  }
+
+  async enqueue(event, data) {
+    const createdAt = new Date().toISOString();
+    for (const endpoint of this.subscribers(event, data.tenantId ?? null)) {
+      const id = randomUUID();
+      const delivery = {
+        id,
+        seq: this.nextSeq++,
+        endpoint: endpoint.name,
+        attempts: 0,
+        nextAttemptAt: 0,
+        payload: { id, event, createdAt, data }
+      };
+      try {
+        await this.outbox.save(delivery);
+      } catch (error) {
+        console.error(`Could not queue ${event} webhook for ${endpoint.name}:`, error);
+        continue;
+      }
+      this.queues.get(endpoint.name).push(delivery);
+      this.pump(endpoint.name);
+    }
+  }
+
+  pump(name) {
+    if (this.isClosed || this.busy.has(name) || this.timers.has(name)) {
+      return;
+    }
+    const [delivery] = this.queues.get(name);
+    if (!delivery) {
+      return;
+    }
+
+    const waitMs = delivery.nextAttemptAt - Date.now();
+    if (waitMs > 0) {
+      const timer = setTimeout(() => {
+        this.timers.delete(name);
+        this.pump(name);
+      }, waitMs);
+      timer.unref();
+      this.timers.set(name, timer);
+      return;
+    }
+
+    this.busy.add(name);
+    const attempt = this.attempt(this.endpoints.get(name), delivery)
+      .catch((error) => console.error(`Webhook delivery ${delivery.id} to ${name} failed:`, error))
+      .finally(() => {
+        this.busy.delete(name);
+        this.inFlight.delete(attempt);
+        this.pump(name);
+      });
+    this.inFlight.add(attempt);
+  }
+
+  async attempt(endpoint, delivery) {
+    delivery.attempts++;
+    const outcome = await this.send(endpoint, delivery);
+    const queue = this.queues.get(endpoint.name);
+
+    if (outcome.delivered) {
+      queue.shift();
+      await this.outbox.remove(delivery);
+      return;
+    }
+
+    if (outcome.permanent) {
+      queue.shift();
+      delivery.lastError = outcome.error;
+      await this.outbox.moveToFailed(delivery);
+      console.error(
+        `Giving up on ${delivery.payload.event} webhook ${delivery.id} to ${endpoint.name} ` +
+        `after ${delivery.attempts} attempt(s): ${outcome.error}`
+      );
+      return;
+    }
+
+    const delayMs = retryDelayMs(delivery.attempts, this.settings);
+    delivery.nextAttemptAt = Date.now() + delayMs;
+    delivery.lastError = outcome.error;
+    await this.outbox.save(delivery);
+    console.warn(
+      `Webhook ${delivery.id} to ${endpoint.name} failed (${outcome.error}); ` +
+      `attempt ${delivery.attempts + 1} in ${Math.round(delayMs / 1000)} s`
+    );
+  }
+
+  // Returns { delivered } or { error, permanent }
+  async send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.payload.event,
+          'X-Webhook-Attempt': String(delivery.attempts),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(endpoint.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(this.settings.timeoutMs)
+      });
+      // The receiver's answer is not used; read it so the connection is reusable
+      await response.arrayBuffer().catch(() => {});
+      if (response.ok) {
+        return { delivered: true };
+      }
+      return {
+        error: `HTTP ${response.status}`,
+        permanent: response.status >= 400 && response.status < 500 && !RETRYABLE_CLIENT_STATUSES.has(response.status)
+      };
+    } catch (error) {
+      return { error: error.cause?.code || error.message, permanent: false };
+    }
+  }
+
+  // Stop sending; undelivered events stay in the outbox for the next start
+  async close() {
+    await this.saveQueue;
+    this.isClosed = true;
+    for (const timer of this.timers.values()) {
+      clearTimeout(timer);
+    }
+    this.timers.clear();
+    await Promise.all(this.inFlight);
+  }
+}
@@ -0,0 +1,220 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { AlertRules } from '../src/alert_rules.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const agent = { role: 1, roleName: 'AGENT', identityType: 'platformAgentId', identity: 'agent-1' };
+const visitor = { role: 2, roleName: 'VISITOR', identityType: 'externalUserId', identity: 'customer-1' };
+
+const RULES = [
+  {
+    id: 'recording-disclosure',
+    type: 'required',
+    severity: 'high',
+    role: 'AGENT',
+    phrases: ['this call is recorded', 'هذه المكالمة مسجلة'],
+    window: { toMs: 60000 }
+  },
+  {
+    id: 'legal-threat',
+    severity: 'high',
+    role: 'VISITOR',
+    phrases: ['lawyer', 'محامي'],
+    patterns: ['\\bsu(e|ing)\\b']
+  },
+  {
+    id: 'early-cancellation',
+    role: 'VISITOR',
+    phrases: ['cancel my account', 'إلغاء حسابي'],
+    window: { toMs: 30000 }
+  }
+];
+
+const segment = (participant, text, startMs, endMs = startMs + 2000) =>
+  ({ speaker: participant.identity, participant, text, startMs, endMs });
+
+test('matches phrases as whole words across Arabic spelling variants', () => {
+  const monitor = new AlertRules(RULES).forCall();
+
+  assert.deepEqual(monitor.observe(segment(visitor, 'this is an issue with my bill', 1000)), []);
+  const [alert] = monitor.observe(segment(visitor, 'سأتصل بالمحامي الخاص بي', 5000));
+  assert.equal(alert.ruleId, 'legal-threat');
+  assert.equal(alert.matched, 'محامي');
+  assert.equal(alert.speaker, 'customer-1');
+  assert.equal(alert.missing, false);
+
+  // Once per speaker; other rules still apply
+  assert.deepEqual(monitor.observe(segment(visitor, 'my lawyer will call', 8000)), []);
+  assert.deepEqual(monitor.observe(segment(visitor, 'أريد الغاء حسابي', 9000)).map((item) => item.ruleId),
+    ['early-cancellation']);
+});
+
+test('only matches the rule role and within the window', () => {
+  const monitor = new AlertRules(RULES).forCall();
+  assert.deepEqual(monitor.observe(segment(agent, 'no need for a lawyer', 1000)), []);
+  assert.deepEqual(monitor.observe(segment(visitor, 'please cancel my account', 31000)), []);
+  assert.deepEqual(monitor.observe(segment(visitor, 'I will sue you', 32000)).map((item) => item.matched), ['sue']);
+});
+
+test('raises a missing required phrase once its deadline passes', () => {
+  const said = new AlertRules(RULES).forCall();
+  said.observe(segment(agent, 'Hello, this call is recorded for quality', 58000, 61000));
+  assert.deepEqual(said.observe(segment(agent, 'how can I help', 62000)), []);
+  assert.deepEqual(said.finish(90000), []);
+
+  const missed = new AlertRules(RULES).forCall();
+  // The customer's results say nothing about what the agent has said yet
+  assert.deepEqual(missed.observe(segment(visitor, 'hi', 59000, 65000)), []);
+  const [alert] = missed.observe(segment(agent, 'how can I help', 60000, 63000));
+  assert.equal(alert.ruleId, 'recording-disclosure');
+  assert.equal(alert.missing, true);
+  assert.equal(alert.atMs, 63000);
+  assert.deepEqual(missed.finish(90000), []);
+
+  // A call that ends before the deadline without the phrase missed it too
+  assert.deepEqual(new AlertRules(RULES).forCall().finish(20000).map((item) => item.ruleId), ['recording-disclosure']);
+});
+
+test('raises a missing required phrase from other speakers and at its deadline', () => {
+  const quiet = new AlertRules(RULES).forCall();
+  // Until results are due, the agent's could still be on their way
+  assert.deepEqual(quiet.observe(segment(visitor, 'hello?', 61000, 64000)), []);
+  const [alert] = quiet.observe(segment(visitor, 'anyone there?', 64000, 66000));
+  assert.equal(alert.ruleId, 'recording-disclosure');
+  assert.equal(alert.atMs, 66000);
+
+  const timed = new AlertRules(RULES, { resultLatencyMs: 2000 }).forCall();
+  assert.deepEqual(timed.deadlines, [62000]);
+  assert.deepEqual(timed.checkDeadlines(61999), []);
+  assert.deepEqual(timed.checkDeadlines(62000).map((item) => [item.ruleId, item.missing]),
+    [['recording-disclosure', true]]);
+  assert.deepEqual(timed.checkDeadlines(70000), []);
+  assert.deepEqual(timed.finish(90000), []);
+});
+
+test('applies rules to their tenants and profiles only', () => {
+  const rules = new AlertRules([{ id: 'a', phrases: ['refund'], tenantIds: ['tenant-a'], profiles: ['default'] }]);
+  const refund = segment(visitor, 'I want a refund', 0);
+  assert.equal(rules.forCall({ tenantId: 'tenant-a', profile: 'default' }).observe(refund).length, 1);
+  assert.equal(rules.forCall({ tenantId: 'tenant-b', profile: 'default' }).observe(refund).length, 0);
+  assert.equal(rules.forCall({ tenantId: 'tenant-a', profile: 'arabic' }).observe(refund).length, 0);
+});
+
+test('rejects invalid rules', () => {
+  assert.throws(() => new AlertRules([{ id: 'a' }]), /needs phrases or patterns/);
+  assert.throws(() => new AlertRules([{ id: 'a', patterns: ['('] }]), /invalid pattern/);
+  assert.throws(() => new AlertRules([{ id: 'a', type: 'required', phrases: ['x'] }]), /needs a window.toMs/);
+  assert.throws(() => new AlertRules([{ id: 'a', role: 'CUSTOMER', phrases: ['x'] }]), /role must be/);
+  assert.throws(() => new AlertRules([{ id: 'a', phrases: ['x'] }, { id: 'a', phrases: ['y'] }]), /defined twice/);
+  assert.throws(() => new AlertRules([], { resultLatencyMs: 'soon' }), /resultLatencyMs must be/);
+});
+
+describe('alerts end to end', () => {
+  const SCRIPT = {
+    'agent-1': [{ text: 'thank you for calling', start: 0.2, end: 0.6 }],
+    'customer-1': [{ text: 'I am calling my lawyer', start: 0.8, end: 1.2 }]
+  };
+
+  let workDir;
+  let harness;
+  let replay;
+  let viewerEvents;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-alerts-'));
+    const alertRulesFile = path.join(workDir, 'alert_rules.json');
+    await fs.writeFile(alertRulesFile, JSON.stringify({ rules: RULES }));
+    harness = await startTestServer(SCRIPT, { alertRulesFile });
+
+    const agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1.5 });
+    const visitorWav = await writeToneWav(path.join(harness.workDir, 'visitor.wav'), { seconds: 1.5 });
+    replay = new CallReplay({
+      url: harness.url,
+      participants: [
+        { file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' },
+        { file: visitorWav, role: ParticipantRole.VISITOR, identity: 'customer-1' }
+      ],
+      platformCallId: 'alerts',
+      speed: 0
+    });
+
+    // A viewer following every call while this one runs
+    const viewer = new AbortController();
+    const events = await fetch(`http://localhost:${harness.server.port}/events`, { signal: viewer.signal });
+    viewerEvents = '';
+    const reading = (async () => {
+      for await (const chunk of events.body.pipeThrough(new TextDecoderStream())) {
+        viewerEvents += chunk;
+      }
+    })().catch(() => {});
+    await replay.run();
+    viewer.abort();
+    await reading;
+  });
+
+  after(async () => {
+    await harness.stop();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('sends alerts to the client, the viewer and the alert log', async () => {
+    assert.deepEqual(replay.alerts.map((alert) => [alert.ruleId, alert.missing]),
+      [['legal-threat', false], ['recording-disclosure', true]]);
+    const [legal] = replay.alerts;
+    assert.equal(legal.matched, 'lawyer');
+    assert.equal(legal.transcript, 'I am calling my lawyer');
+    assert.equal(legal.participant.externalUserId, 'customer-1');
+    assert.equal(legal.severity, 3);
+
+    const viewerAlerts = [...viewerEvents.matchAll(/event: alert\ndata: (.*)\n/g)].map((match) => JSON.parse(match[1]));
+    assert.deepEqual(viewerAlerts.map((alert) => [alert.sessionId, alert.ruleId]),
+      [['alerts', 'legal-threat'], ['alerts', 'recording-disclosure']]);
+
+    const log = (await fs.readFile(path.join(harness.outputDir, 'alerts.jsonl'), 'utf8')).trim().split('\n');
+    assert.deepEqual(log.map((line) => JSON.parse(line).platformCallId), ['alerts', 'alerts']);
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_alerts.json'), 'utf8'));
+    assert.deepEqual(metadata.alerts.map((alert) => alert.ruleId), ['legal-threat', 'recording-disclosure']);
+  });
+});
+
+describe('required phrase deadline end to end', () => {
+  let workDir;
+  let harness;
+
+  before(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-deadline-'));
+    const alertRulesFile = path.join(workDir, 'alert_rules.json');
+    await fs.writeFile(alertRulesFile, JSON.stringify({
+      resultLatencyMs: 100,
+      rules: [{ id: 'greeting', type: 'required', role: 'AGENT', phrases: ['welcome'], window: { toMs: 200 } }]
+    }));
+    // Nobody is recognized saying anything, so only the timer can tell
+    harness = await startTestServer({}, { alertRulesFile });
+  });
+
+  after(async () => {
+    await harness.stop();
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  test('raises the alert at the deadline while the call goes on', async () => {
+    const agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1.5 });
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'deadline',
+      speed: 1
+    });
+    await replay.run();
+
+    assert.deepEqual(replay.alerts.map((alert) => [alert.ruleId, alert.missing]), [['greeting', true]]);
+    const { callTimeMs } = replay.alerts[0];
+    assert.ok(callTimeMs >= 300 && callTimeMs < 1000, `raised at ${callTimeMs} ms`);
+  });
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AudioDecoder, AudioEncoding, PcmResampler, decodeMulaw, encodeMulaw, resolveAudioFormat } from '../src/audio_codec.js';
+
+test('mu-law encoding round-trips every code', () => {
+  for (let code = 0; code < 256; code++) {
+    const decoded = decodeMulaw(Buffer.from([code]));
+    const reencoded = encodeMulaw(decoded)[0];
+    // 0x7f and 0xff both decode to zero
+    assert.equal(decodeMulaw(Buffer.from([reencoded])).readInt16LE(0), decoded.readInt16LE(0));
+  }
+});
+
+test('keeps supported sample rates and encodings as sent', () => {
+  assert.deepEqual(resolveAudioFormat({ sampleRateHertz: 8000, encoding: AudioEncoding.MULAW }), {
+    encoding: AudioEncoding.MULAW,
+    encodingName: 'MULAW',
+    inputSampleRate: 8000,
+    sampleRate: 8000
+  });
+});
+
+test('resolves unsupported sample rates to 16 kHz', () => {
+  const resolved = resolveAudioFormat({ sampleRateHertz: 96000 });
+  assert.equal(resolved.inputSampleRate, 96000);
+  assert.equal(resolved.sampleRate, 16000);
+});
+
+test('defaults to 16 kHz LINEAR16 without audio metadata', () => {
+  assert.deepEqual(resolveAudioFormat(), {
+    encoding: AudioEncoding.LINEAR16,
+    encodingName: 'LINEAR16',
+    inputSampleRate: 16000,
+    sampleRate: 16000
+  });
+});
+
+test('resampling in chunks yields the same samples as in one piece', () => {
+  const input = Buffer.alloc(2000);
+  for (let i = 0; i < 1000; i++) {
+    input.writeInt16LE(Math.round(1000 * Math.sin(i / 10)), i * 2);
+  }
+
+  const whole = new PcmResampler(96000, 16000).process(input);
+  const chunked = new PcmResampler(96000, 16000);
+  const pieces = Buffer.concat([input.subarray(0, 602), input.subarray(602, 1400), input.subarray(1400)]
+    .map((chunk) => chunked.process(chunk)));
+
+  assert.deepEqual(pieces, whole);
+  assert.ok(Math.abs(whole.length / 2 - 1000 / 6) <= 1);
+});
+
+test('carries a LINEAR16 sample split across chunks into the next one', () => {
+  const input = Buffer.alloc(200);
+  for (let i = 0; i < 100; i++) {
+    input.writeInt16LE(i * 100 - 5000, i * 2);
+  }
+  const decoder = new AudioDecoder(resolveAudioFormat({ sampleRateHertz: 8000, encoding: AudioEncoding.LINEAR16 }));
+  const chunks = [input.subarray(0, 33), input.subarray(33, 34), input.subarray(34, 101), input.subarray(101)];
+  const decoded = chunks.map((chunk) => decoder.decode(chunk));
+
+  assert.ok(decoded.every((pcm) => pcm.length % 2 === 0));
+  assert.deepEqual(Buffer.concat(decoded), input);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import { AuthError, KeyStore } from '../src/auth.js';
+import { hmacToken } from './helpers.js';
+
+const keyStore = new KeyStore({
+  tenants: {
+    acme: { keys: { k1: 'secret-1' }, allowedAddresses: ['10.0.0.0/8'] },
+    open: { keys: { k1: 'secret-2' } }
+  }
+});
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function jwt(claims, secret, kid = 'k1') {
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid })).toString('base64url');
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${header}.${payload}.${createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url')}`;
+}
+
+function request(token, remoteAddress = '::ffff:10.1.2.3') {
+  return { url: `/?token=${encodeURIComponent(token)}`, headers: {}, socket: { remoteAddress } };
+}
+
+test('accepts JWTs and HMAC tokens signed with a tenant key', () => {
+  assert.equal(keyStore.authenticate(request(jwt({ sub: 'acme', exp: now() + 60 }, 'secret-1'))).tenantId, 'acme');
+  assert.equal(keyStore.authenticate({
+    url: '/',
+    headers: { authorization: `Bearer ${hmacToken('open', 'secret-2', now() + 60)}` },
+    socket: { remoteAddress: '203.0.113.9' }
+  }).tenantId, 'open');
+});
+
+test('rejects bad signatures, expired tokens and unknown keys', () => {
+  const rejects = (req, statusCode = 401) => assert.throws(() => keyStore.authenticate(req),
+    (error) => error instanceof AuthError && error.statusCode === statusCode);
+
+  rejects({ url: '/', headers: {}, socket: { remoteAddress: '10.0.0.1' } });
+  rejects(request(jwt({ sub: 'acme', exp: now() + 60 }, 'wrong')));
+  rejects(request(jwt({ sub: 'acme', exp: now() - 3600 }, 'secret-1')));
+  rejects(request(jwt({ sub: 'acme', exp: now() + 60 }, 'secret-1', 'k2')));
+  rejects(request(hmacToken('open', 'secret-2', now() - 3600)));
+  rejects(request('not-a-token'));
+  // Well-formed JSON that is not a claims object
+  for (const claims of [null, 42, ['acme']]) {
+    rejects(request(jwt(claims, 'secret-1')));
+  }
+});
+
+test('enforces tenant address allowlists', () => {
+  const token = jwt({ sub: 'acme', exp: now() + 60 }, 'secret-1');
+  assert.throws(() => keyStore.authenticate(request(token, '192.168.1.5')),
+    (error) => error instanceof AuthError && error.statusCode === 403);
+});
@@ -0,0 +1,86 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { analyzeCall } from '../src/call_analytics.js';
+import { writeToneWav } from './helpers.js';
+
+let workDir;
+let report;
+
+// Call timeline (seconds):
+//   agent    0-2, 5-8, 14-15
+//   visitor  1.5-4 (joins at 1 s), 6-7 (talks over the agent)
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'analytics-test-'));
+  const agentFile = await writeToneWav(path.join(workDir, 'agent.wav'), {
+    seconds: 15,
+    silences: [[2, 5], [8, 14]]
+  });
+  const visitorFile = await writeToneWav(path.join(workDir, 'visitor.wav'), {
+    seconds: 6,
+    frequency: 660,
+    silences: [[0, 0.5], [3, 5]]
+  });
+
+  report = await analyzeCall({
+    sessionId: 'analytics',
+    platformCallId: 'analytics',
+    tracks: [
+      { key: 'agent-1', participant: { roleName: 'AGENT', identity: 'agent-1' }, recordingFile: agentFile, offsetMs: 0 },
+      { key: 'visitor-1', participant: { roleName: 'VISITOR', identity: 'visitor-1' }, recordingFile: visitorFile, offsetMs: 1000 }
+    ],
+    segments: [
+      { speaker: 'agent-1', text: 'one two three four', startMs: 0, endMs: 2000, languageCode: 'en-US' },
+      { speaker: 'agent-1', text: 'five six', startMs: 5000, endMs: 6000, languageCode: 'en-US' },
+      { speaker: 'visitor-1', text: 'مرحبا أريد', startMs: 1500, endMs: 2500, languageCode: 'ar-SA' },
+      { speaker: 'visitor-1', text: 'okay', startMs: 6000, endMs: 7000, languageCode: 'en-US' }
+    ]
+  });
+});
+
+after(() => fs.rm(workDir, { recursive: true, force: true }));
+
+const near = (actual, expected, tolerance = 60) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ~${expected}, got ${actual}`);
+
+test('measures talk time and ratio per participant', () => {
+  const [agent, visitor] = report.participants;
+  near(report.durationMs, 15000, 1);
+  near(agent.talkTimeMs, 6000);
+  near(visitor.talkTimeMs, 3500);
+  near(agent.talkRatio, 0.632, 0.01);
+  assert.equal(agent.speechSegments, 3);
+  assert.equal(visitor.joinedAtMs, 1000);
+});
+
+test('counts overlaps and attributes interruptions', () => {
+  const [agent, visitor] = report.participants;
+  assert.equal(report.overlap.count, 2);
+  near(report.overlap.totalMs, 1500);
+  // Only talking over the agent for a full second counts as interrupting
+  assert.equal(report.interruptions, 1);
+  assert.equal(visitor.interruptions, 1);
+  assert.equal(agent.interrupted, 1);
+});
+
+test('finds the longest silence and dead air', () => {
+  near(report.silence.longestMs, 6000);
+  near(report.silence.longestStartMs, 8000);
+  assert.equal(report.silence.deadAirCount, 1);
+  near(report.silence.deadAirMs, 6000);
+});
+
+test('reports levels, speaking rate and languages', () => {
+  const [agent, visitor] = report.participants;
+  near(agent.levels.averageRmsDb, -15.2, 0.3);
+  assert.equal(agent.levels.clippedSamples, 0);
+  assert.equal(agent.words, 6);
+  assert.equal(agent.wordsPerMinute, 120);
+  assert.deepEqual(visitor.languages.map(({ languageCode, words }) => [languageCode, words]), [
+    ['ar-SA', 2],
+    ['en-US', 1]
+  ]);
+  assert.equal(visitor.languages[0].share, 0.667);
+});
@@ -0,0 +1,167 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { CallStore } from '../src/call_store.js';
+import { toSearchText } from '../src/text_utils.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const agent = { role: 1, roleName: 'AGENT', identityType: 'platformAgentId', identity: 'agent-7' };
+const visitor = { role: 2, roleName: 'VISITOR', identityType: 'externalUserId', identity: '+966500000009' };
+
+function call(sessionId, { startedAt, tenantId = null, segments }) {
+  return {
+    sessionId,
+    platformCallId: `call-${sessionId}`,
+    tenantId,
+    recordingFile: null,
+    metadata: { sessionId, startedAt, endedAt: startedAt, profile: 'default' },
+    transcript: {
+      sessionId,
+      participants: [{ key: 'agent-7', ...agent }, { key: '+966500000009', ...visitor }],
+      segments: segments.map(([speaker, text, languageCode], index) =>
+        ({ speaker, text, languageCode, startMs: index * 1000, endMs: index * 1000 + 800, confidence: 0.9 })),
+      languageEvents: []
+    }
+  };
+}
+
+describe('call store', () => {
+  let store;
+
+  before(() => {
+    store = new CallStore(':memory:');
+    store.saveCall(call('one', {
+      startedAt: '2026-03-01T09:00:00.000Z',
+      segments: [
+        ['agent-7', 'مرحباً، كيف أستطيع مساعدتك؟', 'ar-SA'],
+        ['+966500000009', 'أريد إلغاء الاشتراك في الباقة', 'ar-SA']
+      ]
+    }));
+    store.saveCall(call('two', {
+      startedAt: '2026-03-02T09:00:00.000Z',
+      tenantId: 'tenant-b',
+      segments: [
+        ['agent-7', 'Thank you for calling', 'en-US'],
+        ['+966500000009', 'I want to cancel my subscription', 'en-US']
+      ]
+    }));
+  });
+
+  after(() => store.close());
+
+  test('folds Arabic spelling variants and attached articles for search', () => {
+    assert.equal(toSearchText('أريد الاشتراك بالباقة'), 'اريد اشتراك باقه');
+    assert.equal(toSearchText('رقم ١٢٣، Thanks!'), 'رقم 123 thanks');
+  });
+
+  test('finds Arabic text regardless of hamza, article and diacritics', () => {
+    assert.deepEqual(store.search('الغاء اشتراك').map((hit) => hit.sessionId), ['one']);
+    assert.deepEqual(store.search('الباقة').map((hit) => hit.text), ['أريد إلغاء الاشتراك في الباقة']);
+    assert.equal(store.search('مُساعدتك')[0].speaker, 'agent-7');
+    assert.deepEqual(store.search('cancel subscr').map((hit) => hit.sessionId), ['two']);
+  });
+
+  test('filters by date, language, participant and tenant', () => {
+    assert.deepEqual(store.listCalls().map((summary) => summary.sessionId), ['two', 'one']);
+    assert.deepEqual(store.listCalls({ from: '2026-03-02T00:00:00.000Z' }).map((summary) => summary.sessionId), ['two']);
+    assert.deepEqual(store.listCalls({ language: 'ar' }).map((summary) => summary.sessionId), ['one']);
+    assert.deepEqual(store.listCalls({ tenantId: 'tenant-b' }).map((summary) => summary.sessionId), ['two']);
+    assert.deepEqual(store.listCalls({ tenantId: null }).map((summary) => summary.sessionId), ['one']);
+
+    assert.deepEqual(store.search('you', { participant: 'agent-7' }).map((hit) => hit.text), ['Thank you for calling']);
+    assert.deepEqual(store.search('cancel', { participant: 'agent-7' }), []);
+    assert.deepEqual(store.search('cancel', { tenantId: null }), []);
+  });
+
+  test('replaces a call stored again', () => {
+    store.saveCall(call('one', { startedAt: '2026-03-01T09:00:00.000Z', segments: [['agent-7', 'replaced', 'en-US']] }));
+    assert.equal(store.getCall('one').segments, 1);
+    assert.deepEqual(store.search('الباقة'), []);
+    assert.equal(store.search('replaced')[0].sessionId, 'one');
+  });
+});
+
+describe('call API end to end', () => {
+  const SCRIPT = {
+    'agent-1': [
+      { text: 'مرحبا بك في خدمة العملاء', start: 0.2, end: 0.8, languageCode: 'ar-SA' },
+      { text: 'your balance is ready', start: 1.0, end: 1.4, languageCode: 'en-US' }
+    ]
+  };
+
+  let harness;
+  let agentWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT);
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1.5 });
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'stored',
+      speed: 0
+    });
+    await replay.run();
+  });
+
+  after(() => harness.stop());
+
+  const api = (pathname, headers) => fetch(`http://localhost:${harness.server.port}${pathname}`, { headers });
+
+  test('lists, searches and serves stored calls', async () => {
+    const { calls } = await (await api('/api/calls?language=ar&participant=agent-1')).json();
+    assert.deepEqual(calls.map((summary) => [summary.sessionId, summary.segments]), [['stored', 2]]);
+    assert.deepEqual(calls[0].languages.sort(), ['ar-SA', 'en-US']);
+
+    const { results } = await (await api(`/api/search?q=${encodeURIComponent('الخدمة')}`)).json();
+    assert.deepEqual(results.map((hit) => hit.text), ['مرحبا بك في خدمة العملاء']);
+    assert.equal(results[0].participant.roleName, 'AGENT');
+
+    const transcript = await (await api('/api/calls/stored/transcript?format=txt')).text();
+    assert.match(transcript, /Speaker agent-1 \(AGENT\) .*:\n.*your balance is ready/s);
+
+    const recording = await api('/api/calls/stored/recording', { Range: 'bytes=0-43' });
+    assert.equal(recording.status, 206);
+    assert.equal((await recording.arrayBuffer()).byteLength, 44);
+    const size = (await (await api('/api/calls/stored/recording')).arrayBuffer()).byteLength;
+    const suffix = await api('/api/calls/stored/recording', { Range: `bytes=-${size + 1000}` });
+    assert.equal(suffix.status, 206);
+    assert.equal(suffix.headers.get('content-range'), `bytes 0-${size - 1}/${size}`);
+    assert.equal((await suffix.arrayBuffer()).byteLength, size);
+    const last = await api('/api/calls/stored/recording', { Range: 'bytes=-10' });
+    assert.equal(last.headers.get('content-range'), `bytes ${size - 10}-${size - 1}/${size}`);
+    await last.arrayBuffer();
+    const empty = await api('/api/calls/stored/recording', { Range: 'bytes=-' });
+    assert.equal(empty.status, 200);
+    assert.equal(empty.headers.get('content-range'), null);
+    assert.equal((await empty.arrayBuffer()).byteLength, size);
+    const beyond = await api('/api/calls/stored/recording', { Range: `bytes=${size}-` });
+    assert.equal(beyond.status, 416);
+    assert.equal(beyond.headers.get('content-range'), `bytes */${size}`);
+    await beyond.arrayBuffer();
+    assert.equal((await api('/api/calls/stored/recording', { Range: 'bytes=-0' })).status, 416);
+
+    assert.equal((await api('/api/calls/unknown')).status, 404);
+    assert.equal((await api('/api/search')).status, 400);
+    assert.equal((await api('/api/calls/%E0')).status, 400);
+  });
+
+  test('keeps calls across restarts and imports ones the store has not seen', async () => {
+    await harness.server.close();
+    // A call finished before the store existed, from the files it left
+    for (const file of ['transcription', 'metadata']) {
+      const content = await fs.readFile(path.join(harness.outputDir, `${file}_stored.json`), 'utf8');
+      await fs.writeFile(path.join(harness.outputDir, `${file}_older.json`), content.replaceAll('stored', 'older'));
+    }
+
+    await harness.server.initialize();
+    const { calls } = await (await api('/api/calls')).json();
+    assert.deepEqual(calls.map((summary) => summary.sessionId).sort(), ['older', 'stored']);
+
+    const feed = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'transcriptions.json'), 'utf8'));
+    assert.equal(feed.length, 4);
+  });
+});
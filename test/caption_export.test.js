@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSrt, toWebVtt } from '../src/caption_export.js';
+
+const segments = [
+  { speaker: 'visitor', text: 'Second <line>', startMs: 61500, endMs: 63000 },
+  { speaker: 'agent', text: 'First line', startMs: 250, endMs: 1900 },
+  { speaker: 'agent', text: 'Untimed', startMs: undefined, endMs: undefined }
+];
+
+test('writes SRT cues in call order', () => {
+  assert.equal(toSrt(segments),
+    '1\n00:00:00,250 --> 00:00:01,900\nSpeaker agent: First line\n\n' +
+    '2\n00:01:01,500 --> 00:01:03,000\nSpeaker visitor: Second <line>\n');
+});
+
+test('writes WebVTT with voice tags and escaped text', () => {
+  assert.equal(toWebVtt(segments),
+    'WEBVTT\n\n00:00:00.250 --> 00:00:01.900\n<v Speaker agent>First line\n\n' +
+    '00:01:01.500 --> 00:01:03.000\n<v Speaker visitor>Second &lt;line&gt;\n');
+});
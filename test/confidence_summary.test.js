@@ -0,0 +1,89 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { reviewReason, summarizeConfidence } from '../src/confidence_summary.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const words = (...confidences) => confidences.map((confidence, index) => ({ word: `w${index}`, confidence }));
+
+test('flags segments with low confidence or many doubtful words', () => {
+  assert.equal(reviewReason({ confidence: 0.9, words: words(0.9, 0.8, 0.9, 0.95) }), null);
+  assert.equal(reviewReason({ confidence: 0.6, words: words(0.9) }), 'low confidence');
+  assert.equal(reviewReason({ confidence: 0.9, words: words(0.9, 0.3, 0.9, 0.9) }), 'doubtful words');
+  // Recognizers report 0 when they have no confidence at all
+  assert.equal(reviewReason({ confidence: 0, words: words(0, 0) }), null);
+});
+
+test('summarizes per speaker and lists segments to review, worst first', () => {
+  const summary = summarizeConfidence([
+    { speaker: 'a', text: 'fine', confidence: 0.9, words: words(0.9, 0.9) },
+    { speaker: 'a', text: 'unsure', confidence: 0.65, words: words(0.4, 0.9) },
+    { speaker: 'b', text: 'worse', confidence: 0.5, words: words(0.2) }
+  ]);
+
+  assert.equal(summary.segments, 3);
+  assert.equal(summary.averageConfidence, 0.683);
+  assert.equal(summary.lowConfidenceWords, 2);
+  assert.equal(summary.lowConfidenceWordPercent, 40);
+  assert.equal(summary.speakers.a.averageConfidence, 0.775);
+  assert.deepEqual(summary.review.map((segment) => segment.text), ['worse', 'unsure']);
+  assert.deepEqual(summary.review[1].lowConfidenceWords, ['w0']);
+});
+
+describe('n-best and word confidences end to end', () => {
+  const SCRIPT = {
+    'agent-1': [
+      {
+        text: 'your account number is ready',
+        start: 0.1,
+        end: 0.9,
+        confidence: 0.82,
+        wordConfidences: [0.9, 0.35, 0.4, 0.9, 0.95],
+        alternatives: [
+          { text: 'your account number is steady', confidence: 0.61 },
+          { text: 'you are count number is ready', confidence: 0.4 }
+        ]
+      },
+      { text: 'thank you', start: 1.0, end: 1.4, confidence: 0.95 }
+    ]
+  };
+
+  let harness;
+  let agentWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT);
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1.5 });
+  });
+
+  after(() => harness.stop());
+
+  test('keeps alternatives and word confidences in the transcripts and summarizes them', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'n-best',
+      speed: 0
+    });
+    const { completed } = await replay.run();
+    assert.equal(completed, true);
+
+    const transcriptJson = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'transcription_n-best.json'), 'utf8'));
+    const [first, second] = transcriptJson.segments;
+    assert.deepEqual(first.alternatives.map((alternative) => alternative.confidence), [0.82, 0.61, 0.4]);
+    assert.deepEqual(first.words.map((word) => word.confidence), [0.9, 0.35, 0.4, 0.9, 0.95]);
+    assert.equal(first.review, 'doubtful words');
+    assert.equal(second.review, null);
+
+    const transcript = await fs.readFile(path.join(harness.outputDir, 'transcription_n-best.txt'), 'utf8');
+    assert.match(transcript, /\(82\.0% confidence, Language: ar-SA\) \[review: doubtful words\]:\nyour account number is ready\n/);
+    assert.match(transcript, /  alt 2 \(61\.0%\): your account number is steady\n  alt 3 \(40\.0%\): you are count number is ready\n/);
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_n-best.json'), 'utf8'));
+    assert.equal(metadata.confidence.lowConfidenceWords, 2);
+    assert.deepEqual(metadata.confidence.review.map((segment) => segment.lowConfidenceWords), [['account', 'number']]);
+  });
+});
@@ -0,0 +1,101 @@
+import { createHmac } from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { mock } from 'node:test';
+import { setTimeout as sleep } from 'timers/promises';
+import { AudioWebSocketServer } from '../google_transcribe.js';
+import { ScriptedEngine } from '../src/recognizers/index.js';
+import { readWavHeader } from '../src/wav_utils.js';
+
+// Mono 16-bit PCM sine tone, silent during each [fromSeconds, toSeconds] in `silences`
+export async function writeToneWav(file, {
+  seconds,
+  frequency = 440,
+  sampleRate = 8000,
+  amplitude = 8000,
+  silences = []
+}) {
+  const samples = Math.round(seconds * sampleRate);
+  const data = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    if (silences.some(([from, to]) => i >= from * sampleRate && i < to * sampleRate)) {
+      continue;
+    }
+    data.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate)), i * 2);
+  }
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  await fs.writeFile(file, Buffer.concat([header, data]));
+  return file;
+}
+
+export async function readWav(file) {
+  const handle = await fs.open(file, 'r');
+  try {
+    const header = await readWavHeader(handle);
+    const data = Buffer.alloc(header.dataLength);
+    await handle.read(data, 0, data.length, header.dataOffset);
+    return { ...header, data, durationMs: data.length / header.channels / 2 / header.sampleRate * 1000 };
+  } finally {
+    await handle.close();
+  }
+}
+
+// Start a server on a free port with the scripted recognizer and a scratch
+// output directory. Server logging is silenced for the test's duration.
+export async function startTestServer(script, options = {}) {
+  mock.method(console, 'log', () => {});
+  mock.method(console, 'warn', () => {});
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-test-'));
+  const server = new AudioWebSocketServer(0, {
+    outputDir: path.join(workDir, 'output'),
+    recognitionEngine: new ScriptedEngine(script),
+    authDisabled: true,
+    ...options
+  });
+  await server.initialize();
+
+  return {
+    server,
+    workDir,
+    outputDir: server.outputDir,
+    url: `ws://localhost:${server.port}`,
+    async stop() {
+      await server.close();
+      await fs.rm(workDir, { recursive: true, force: true });
+      mock.restoreAll();
+    }
+  };
+}
+
+// HMAC tenant token signed with key k1, valid for ten minutes unless
+// `expiresAt` (Unix seconds) says otherwise
+export function hmacToken(tenant, secret, expiresAt = Math.floor(Date.now() / 1000) + 600) {
+  const data = `${tenant}.k1.${expiresAt}`;
+  return `${data}.${createHmac('sha256', secret).update(data).digest('hex')}`;
+}
+
+// Poll until `condition()` holds
+export async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await sleep(10);
+  }
+}
@@ -0,0 +1,127 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { LanguageLock } from '../src/language_lock.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { ScriptedEngine } from '../src/recognizers/index.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const LANGUAGES = ['ar-SA', 'ar-EG', 'en-US'];
+
+const result = (languageCode, text = 'some words here', confidence = 0.9) =>
+  ({ languageCode, confidence, text });
+
+test('locks after consecutive confident results in one language', () => {
+  const lock = new LanguageLock({ languageCodes: LANGUAGES });
+  assert.equal(lock.observe(result('ar-eg')), null);
+  assert.equal(lock.observe(result('ar-eg')), null);
+  assert.deepEqual(lock.observe(result('ar-eg')), { change: 'locked', languageCode: 'ar-EG' });
+  assert.equal(lock.lockedLanguage, 'ar-EG');
+});
+
+test('restarts the count on a different language or a doubtful result', () => {
+  const lock = new LanguageLock({ languageCodes: LANGUAGES });
+  lock.observe(result('en-US'));
+  lock.observe(result('en-US'));
+  assert.equal(lock.observe(result('ar-SA')), null);
+  lock.observe(result('ar-SA'));
+  assert.equal(lock.observe(result('ar-SA', 'words', 0.4)), null);
+  assert.equal(lock.observe(result('fr-FR')), null);
+  assert.equal(lock.lockedLanguage, null);
+});
+
+test('unlocks after sustained doubtful results', () => {
+  const lock = new LanguageLock({ languageCodes: LANGUAGES, lockAfter: 1 });
+  lock.observe(result('en-US'));
+
+  assert.equal(lock.observe(result('en-US', 'mumble', 0.3)), null);
+  assert.equal(lock.observe(result('en-US', 'clear again', 0.9)), null);
+  assert.equal(lock.observe(result('en-US', 'mumble', 0.3)), null);
+  assert.deepEqual(lock.observe(result('en-US', 'mumble', 0.2)),
+    { change: 'unlocked', from: 'en-US', reason: 'low confidence' });
+  assert.equal(lock.lockedLanguage, null);
+});
+
+test('treats text in the other script as a switch', () => {
+  const lock = new LanguageLock({ languageCodes: LANGUAGES, lockAfter: 1, unlockAfter: 1 });
+  lock.observe(result('ar-SA', 'مرحبا'));
+  assert.equal(lock.observe(result('ar-SA', 'مرحبا OK')), null);
+  assert.deepEqual(lock.observe(result('ar-SA', 'thank you')),
+    { change: 'unlocked', from: 'ar-SA', reason: 'script mismatch' });
+});
+
+test('never locks without language identification to begin with', () => {
+  const lock = new LanguageLock({ languageCodes: ['en-US'], lockAfter: 1 });
+  assert.equal(lock.observe(result('en-US')), null);
+});
+
+describe('language locking end to end', () => {
+  const SCRIPT = {
+    'agent-1': [
+      { text: 'hello there friend', start: 0.1, end: 0.5, languageCode: 'en-US' },
+      { text: 'how are you today', start: 0.6, end: 1.0, languageCode: 'en-US' },
+      { text: 'this is the third', start: 1.1, end: 1.5, languageCode: 'en-US' },
+      { text: 'still english here', start: 1.6, end: 2.0, languageCode: 'en-US' },
+      { text: 'مرحبا', start: 2.1, end: 2.5, languageCode: 'ar-SA' },
+      { text: 'أريد شحن رصيدي', start: 2.6, end: 3.0, languageCode: 'ar-SA' },
+      { text: 'شكرا', start: 3.1, end: 3.5, languageCode: 'ar-SA' }
+    ]
+  };
+
+  // Remembers the settings each recognizer stream was opened with
+  class RecordingEngine extends ScriptedEngine {
+    constructor(script) {
+      super(script);
+      this.opened = [];
+    }
+
+    createStream(options) {
+      this.opened.push(options);
+      return super.createStream(options);
+    }
+  }
+
+  let harness;
+  let engine;
+  let agentWav;
+
+  before(async () => {
+    engine = new RecordingEngine(SCRIPT);
+    harness = await startTestServer(SCRIPT, { recognitionEngine: engine });
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 4 });
+  });
+
+  after(() => harness.stop());
+
+  test('reopens the stream locked to the detected language and unlocks on a switch', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'language-lock',
+      speed: 4
+    });
+    const { results, completed } = await replay.run();
+    assert.equal(completed, true);
+
+    assert.deepEqual(
+      engine.opened.map((options) => [options.languageCode, options.alternativeLanguageCodes.length > 0]),
+      [['ar-SA', true], ['en-US', false], ['ar-SA', true]]
+    );
+    assert.deepEqual(
+      results.filter((result) => result.isFinal).map((result) => result.transcript),
+      SCRIPT['agent-1'].map((utterance) => utterance.text)
+    );
+
+    const transcript = await fs.readFile(path.join(harness.outputDir, 'transcription_language-lock.txt'), 'utf8');
+    assert.match(transcript, /\[00:01\.5\d\d\] \* Speaker agent-1 \(AGENT\) language locked to en-US/);
+    assert.match(transcript, /language unlocked from en-US \(script mismatch\); detecting language again/);
+    assert.ok(transcript.indexOf('this is the third') < transcript.indexOf('language locked to en-US'));
+    assert.ok(transcript.indexOf('language locked to en-US') < transcript.indexOf('still english here'));
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_language-lock.json'), 'utf8'));
+    assert.deepEqual(metadata.participants[0].language.events.map((event) => event.change), ['locked', 'unlocked']);
+    assert.equal(metadata.participants[0].language.locked, null);
+  });
+});
@@ -0,0 +1,173 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { hmacToken, startTestServer, waitFor, writeToneWav } from './helpers.js';
+
+const SCRIPT = {
+  'agent-1': [{ text: 'hello from the agent', start: 0.2, end: 0.8 }]
+};
+
+// An SSE connection to the viewer that keeps every event it receives
+async function openEvents(baseUrl, query = '') {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/events${query}`, { signal: controller.signal });
+  const viewer = { response, events: [] };
+  let buffer = '';
+  viewer.reading = (async () => {
+    for await (const chunk of response.body.pipeThrough(new TextDecoderStream())) {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf('\n\n')) !== -1) {
+        const block = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = /^event: (.*)$/m.exec(block);
+        const data = /^data: (.*)$/m.exec(block);
+        if (event && data) {
+          viewer.events.push({ event: event[1], data: JSON.parse(data[1]) });
+        }
+      }
+    }
+  })().catch(() => {});
+  viewer.close = async () => {
+    controller.abort();
+    await viewer.reading;
+  };
+  return viewer;
+}
+
+describe('live viewer', () => {
+  let harness;
+  let baseUrl;
+  let agentWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT);
+    baseUrl = `http://localhost:${harness.server.port}`;
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1 });
+  });
+
+  after(() => harness.stop());
+
+  test('serves the page and the transcription feed', async () => {
+    const page = await fetch(`${baseUrl}/`);
+    assert.equal(page.status, 200);
+    assert.match(page.headers.get('content-type'), /text\/html/);
+    assert.match(await page.text(), /Live Transcription Viewer/);
+
+    const feed = await fetch(`${baseUrl}/transcriptions.json`);
+    assert.equal(feed.status, 200);
+    assert.deepEqual(await feed.json(), []);
+  });
+
+  test('pushes sessions and transcriptions, and forgets viewers that leave', async () => {
+    const everything = await openEvents(baseUrl);
+    const otherCall = await openEvents(baseUrl, '?session=someone-else');
+    assert.match(everything.response.headers.get('content-type'), /text\/event-stream/);
+    await waitFor(() => everything.events.length > 0 && otherCall.events.length > 0);
+    assert.deepEqual(everything.events[0], { event: 'sessions', data: [] });
+
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'viewed',
+      speed: 0
+    });
+    await replay.run();
+    await waitFor(() => everything.events.some(({ event, data }) => event === 'transcription' && data.isFinal));
+
+    const finals = everything.events.filter(({ event, data }) => event === 'transcription' && data.isFinal);
+    assert.deepEqual(finals.map(({ data }) => [data.sessionId, data.text]), [['viewed', 'hello from the agent']]);
+    assert.ok(everything.events.some(({ event, data }) =>
+      event === 'sessions' && data.some((session) => session.sessionId === 'viewed')));
+    // Following another call, this viewer sees session lists but no transcripts
+    assert.equal(otherCall.events.some(({ event }) => event === 'transcription'), false);
+
+    await harness.server.jsonWriteQueue;
+    const feed = await (await fetch(`${baseUrl}/transcriptions.json`)).json();
+    assert.deepEqual(feed.map((entry) => entry.text), ['hello from the agent']);
+
+    assert.equal(harness.server.liveViewer.clients.size, 2);
+    await everything.close();
+    await otherCall.close();
+    await waitFor(() => harness.server.liveViewer.clients.size === 0);
+  });
+});
+
+describe('live viewer with authentication', () => {
+  const acme = hmacToken('acme', 'secret-1');
+  const globex = hmacToken('globex', 'secret-2');
+
+  let keysDir;
+  let harness;
+  let baseUrl;
+  let agentWav;
+
+  before(async () => {
+    keysDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-viewer-keys-'));
+    const authKeysFile = path.join(keysDir, 'auth_keys.json');
+    await fs.writeFile(authKeysFile, JSON.stringify({
+      tenants: { acme: { keys: { k1: 'secret-1' } }, globex: { keys: { k1: 'secret-2' } } }
+    }));
+    harness = await startTestServer(SCRIPT, { authDisabled: false, authKeysFile });
+    baseUrl = `http://localhost:${harness.server.port}`;
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1 });
+  });
+
+  after(async () => {
+    await harness.stop();
+    await fs.rm(keysDir, { recursive: true, force: true });
+  });
+
+  test('rejects viewers without a tenant token', async () => {
+    for (const route of ['/', '/transcriptions.json', '/events']) {
+      assert.equal((await fetch(`${baseUrl}${route}`)).status, 401, route);
+    }
+    assert.equal((await fetch(`${baseUrl}/?token=forged`)).status, 401);
+    assert.equal((await fetch(`${baseUrl}/?token=${acme}`)).status, 200);
+  });
+
+  test('shows each tenant only its own calls', async () => {
+    const own = await openEvents(baseUrl, `?token=${acme}`);
+    const other = await openEvents(baseUrl, `?token=${globex}`);
+    const otherFollowing = await openEvents(baseUrl, `?token=${globex}&session=tenant-call`);
+
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'tenant-call',
+      token: acme,
+      speed: 0
+    });
+    await replay.run();
+    await waitFor(() => own.events.some(({ event, data }) => event === 'transcription' && data.isFinal));
+
+    assert.ok(own.events.some(({ event, data }) =>
+      event === 'sessions' && data.some((session) => session.sessionId === 'tenant-call')));
+    for (const viewer of [other, otherFollowing]) {
+      assert.ok(viewer.events.length > 0);
+      assert.deepEqual(viewer.events.filter(({ event, data }) => event !== 'sessions' || data.length > 0), []);
+    }
+
+    await harness.server.jsonWriteQueue;
+    const feed = async (token) => (await fetch(`${baseUrl}/transcriptions.json?token=${token}`)).json();
+    assert.deepEqual((await feed(acme)).map((entry) => [entry.tenantId, entry.text]), [['acme', 'hello from the agent']]);
+    assert.deepEqual(await feed(globex), []);
+
+    await Promise.all([own.close(), other.close(), otherFollowing.close()]);
+  });
+
+  test('answers a feed it cannot read with 500', async () => {
+    await fs.writeFile(path.join(harness.outputDir, 'transcriptions.json'), '[{"text": "half');
+    const error = mock.method(console, 'error', () => {});
+    try {
+      assert.equal((await fetch(`${baseUrl}/transcriptions.json?token=${acme}`)).status, 500);
+    } finally {
+      error.mock.restore();
+    }
+    assert.equal((await fetch(`${baseUrl}/?token=${acme}`)).status, 200);
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CloseCode, ErrorCode, ParticipantRole, ProtocolError, validateRequest, validateSequenceId } from '../src/protocol.js';
+
+function assertProtocolError(fn, code, fatal) {
+  assert.throws(fn, (error) => error instanceof ProtocolError && error.code === code && error.fatal === fatal);
+}
+
+test('accepts each kind of request', () => {
+  assert.equal(validateRequest({ streamingConfig: { audioMetadata: { sampleRateHertz: 8000, encoding: 2 } } }).type, 'config');
+  assert.equal(validateRequest({ audioContent: { participant: { role: ParticipantRole.VISITOR } } }).type, 'audio');
+  assert.equal(validateRequest({ sessionEvent: { eventType: 1, participants: [{ user: 'u1' }] } }).type, 'event');
+});
+
+test('accepts an unset sequence_id', () => {
+  assert.doesNotThrow(() => validateSequenceId({ sequenceId: '' }));
+  assert.doesNotThrow(() => validateSequenceId({ sequenceId: '42' }));
+});
+
+test('rejects requests the session cannot act on', () => {
+  assertProtocolError(() => validateSequenceId({ sequenceId: '-1' }), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateSequenceId({ sequenceId: ' 1' }), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateRequest({}), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateRequest({ audioContent: {} }), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateRequest({ audioContent: { participant: { role: 0 } } }), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateRequest({ audioContent: { participant: { role: 7 } } }), ErrorCode.INVALID_MESSAGE, true);
+  assertProtocolError(() => validateRequest({ streamingConfig: { audioMetadata: { encoding: 9 } } }), ErrorCode.INVALID_MESSAGE, true);
+  // Unknown event types are reported but don't end the call
+  assertProtocolError(() => validateRequest({ sessionEvent: { eventType: 5 } }), ErrorCode.INVALID_MESSAGE, false);
+});
+
+test('maps errors to WebSocket close codes', () => {
+  assert.equal(new ProtocolError(ErrorCode.MALFORMED_MESSAGE, '').closeCode, CloseCode.INVALID_PAYLOAD);
+  assert.equal(new ProtocolError(ErrorCode.CONFIG_REQUIRED, '').closeCode, CloseCode.POLICY_VIOLATION);
+  assert.equal(new ProtocolError(ErrorCode.INTERNAL_ERROR, '').closeCode, CloseCode.INTERNAL_ERROR);
+});
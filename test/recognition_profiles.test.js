@@ -0,0 +1,77 @@
+import { mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { RecognitionProfiles } from '../src/recognition_profiles.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const profiles = new RecognitionProfiles({
+  defaultProfile: 'default',
+  profiles: {
+    default: { languageCode: 'ar-SA', alternativeLanguageCodes: ['en-US'] },
+    english: {
+      languageCode: 'en-US',
+      model: 'phone_call',
+      output: { captions: false },
+      vad: { thresholdDb: -50 },
+      redaction: { entities: ['card'] }
+    }
+  }
+});
+
+test('selects the profile a call names', () => {
+  const english = profiles.resolve('english');
+  assert.equal(english.name, 'english');
+  assert.equal(english.languageCode, 'en-US');
+  assert.equal(english.model, 'phone_call');
+});
+
+test('falls back to the default profile for unknown or missing names', () => {
+  const warn = mock.method(console, 'warn', () => {});
+  try {
+    assert.equal(profiles.resolve('klingon').name, 'default');
+    assert.match(warn.mock.calls[0].arguments[0], /Unknown recognition profile "klingon"/);
+    assert.equal(profiles.resolve('').name, 'default');
+    assert.equal(profiles.resolve(undefined).name, 'default');
+    assert.equal(warn.mock.callCount(), 1);
+  } finally {
+    warn.mock.restore();
+  }
+});
+
+test('merges nested overrides over the defaults', () => {
+  const english = profiles.resolve('english');
+  // Settings the profile leaves out keep their defaults, nested ones per key
+  assert.equal(english.enableAutomaticPunctuation, true);
+  assert.deepEqual(english.alternativeLanguageCodes, []);
+  assert.deepEqual(english.output, { interimResults: true, captions: false });
+  assert.equal(english.vad.thresholdDb, -50);
+  assert.equal(english.vad.paddingAfterMs, profiles.resolve().vad.paddingAfterMs);
+  assert.deepEqual(english.redaction.entities, ['card']);
+  assert.equal(english.redaction.enabled, true);
+});
+
+test('creates a default profile when the file does not define one', () => {
+  const only = new RecognitionProfiles({ defaultProfile: 'main', profiles: { other: { languageCode: 'en-GB' } } });
+  assert.deepEqual(only.names, ['other', 'main']);
+  assert.equal(only.resolve().languageCode, 'ar-SA');
+});
+
+test('rejects invalid profiles', () => {
+  assert.throws(() => new RecognitionProfiles({ profiles: { bad: { languageCode: '' } } }), /must set a languageCode/);
+  assert.throws(() => new RecognitionProfiles({ profiles: { bad: { vocabularies: 'products' } } }),
+    /vocabularies must be an array/);
+  assert.throws(() => new RecognitionProfiles({ profiles: { bad: { vad: { thresholdDb: 'loud' } } } }),
+    /vad.thresholdDb must be a number/);
+  assert.throws(() => new RecognitionProfiles({ profiles: { bad: { redaction: { entities: ['email'] } } } }),
+    /redaction.entities must list only/);
+});
+
+test('loads the shipped profiles', async () => {
+  const shipped = await RecognitionProfiles.load(path.join(__dirname, '..', 'config', 'recognition_profiles.json'));
+  assert.ok(shipped.names.includes('default'));
+  for (const name of shipped.names) {
+    assert.equal(shipped.resolve(name).name, name);
+  }
+});
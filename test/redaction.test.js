@@ -0,0 +1,129 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { Redactor, muteRangesBySpeaker } from '../src/redaction.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { readWav, startTestServer, writeToneWav } from './helpers.js';
+
+const redact = (text, options) => new Redactor(options).redactText(text).text;
+
+test('masks card numbers, IBANs, national IDs and phone numbers', () => {
+  assert.equal(redact('my card is 4111 1111 1111 1111, thanks'), 'my card is [CARD], thanks');
+  assert.equal(redact('my iban is SA03 8000 0000 6080 1016 7519.'), 'my iban is [IBAN].');
+  assert.equal(redact('call me on +966 50 123 4567 please'), 'call me on [PHONE] please');
+  assert.equal(redact('emirates id 784-1990-1234567-1'), 'emirates id [NATIONAL_ID]');
+  assert.equal(redact('national id 1023456789'), 'national id [NATIONAL_ID]');
+});
+
+test('reads Arabic-Indic digits and spoken digits in English and Arabic', () => {
+  assert.equal(redact('رقم الجوال ٠٥٠١٢٣٤٥٦٧ شكرا'), 'رقم الجوال [PHONE] شكرا');
+  assert.equal(redact('هويتي ۱۰۲۳۴۵۶۷۸۹'), 'هويتي [NATIONAL_ID]');
+  assert.equal(redact('رقمي صفر خمسة واحد اثنين ثلاثة اربعة خمسة ستة سبعة ثمانية'), 'رقمي [PHONE]');
+  assert.equal(redact('it is five five double five one two three four'), 'it is [PHONE]');
+});
+
+test('leaves amounts, short numbers and disabled entities alone', () => {
+  assert.equal(redact('it costs 1,500,000 riyals for 3 months'), 'it costs 1,500,000 riyals for 3 months');
+  assert.equal(redact('call 0501234567', { entities: ['card'] }), 'call 0501234567');
+  assert.equal(redact('call 0501234567', { enabled: false }), 'call 0501234567');
+  // A card number cut short in an interim result is still masked there
+  assert.equal(new Redactor().redactText('my card is 4111 11', { partial: true }).text, 'my card is [NUMBER]');
+});
+
+test('redacts words and alternatives and times each redaction', () => {
+  const text = 'card 4111 1111 1111 1111 ok';
+  const words = text.split(' ').map((word, index) => ({ word, startMs: index * 100, endMs: index * 100 + 90 }));
+  const redacted = new Redactor().redactSegment({
+    text,
+    words,
+    alternatives: [{ transcript: text, confidence: 0.9 }, { transcript: 'cards 4111 1111 1111 1111 ok', confidence: 0.5 }]
+  });
+
+  assert.deepEqual(redacted.words.map((word) => word.word), ['card', '[CARD]', '[CARD]', '[CARD]', '[CARD]', 'ok']);
+  assert.deepEqual(redacted.alternatives.map((alternative) => alternative.transcript), ['card [CARD] ok', 'cards [CARD] ok']);
+  assert.deepEqual(redacted.redactions, [
+    { entity: 'card', reason: '16-digit number passing the Luhn check', length: 16, startMs: 100, endMs: 490 }
+  ]);
+  assert.deepEqual(muteRangesBySpeaker([{ speaker: 'a', ...redacted }], 50).get('a'), [{ startMs: 50, endMs: 540 }]);
+});
+
+test('times redactions by entity when the words differ from the transcript', () => {
+  const text = 'card 4111 1111 1111 1111 phone 0501234567';
+  const timings = (...tokens) => new Redactor().redactSegment({
+    text,
+    words: tokens.map((word, index) => ({ word, startMs: index * 100, endMs: index * 100 + 90 }))
+  }).redactions.map(({ entity, startMs, endMs }) => [entity, startMs, endMs]);
+
+  // The recognizer's words lost the card number but kept the phone number
+  assert.deepEqual(timings('card', 'phone', '0501234567'), [['card', undefined, undefined], ['phone', 200, 290]]);
+  // What is left of the card number reads as a second phone number, so
+  // neither phone number in the words can be told apart
+  assert.deepEqual(timings('card', '4111', '1111', 'phone', '0501234567'),
+    [['card', undefined, undefined], ['phone', undefined, undefined]]);
+});
+
+describe('redaction end to end', () => {
+  const CARD = '4111 1111 1111 1111';
+  const SCRIPT = {
+    'visitor-1': [
+      // Eight words of 200 ms each; the card number spans 1.1 s to 1.9 s
+      { text: `my card is ${CARD} thanks`, start: 0.5, end: 2.1 },
+      { text: 'رقم الجوال ٠٥٠١٢٣٤٥٦٧', start: 2.4, end: 3.0 }
+    ]
+  };
+
+  let harness;
+  let visitorWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT);
+    visitorWav = await writeToneWav(path.join(harness.workDir, 'visitor.wav'), { seconds: 3.5 });
+  });
+
+  after(() => harness.stop());
+
+  test('masks every transcript output, mutes the audio and writes an audit log', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: visitorWav, role: ParticipantRole.VISITOR, identity: 'visitor-1' }],
+      platformCallId: 'redaction',
+      speed: 0
+    });
+    const { results, completed } = await replay.run();
+    assert.equal(completed, true);
+
+    assert.deepEqual(results.filter((result) => result.isFinal).map((result) => result.transcript),
+      ['my card is [CARD] thanks', 'رقم الجوال [PHONE]']);
+    assert.ok(results.every((result) => !/\d{4}|٠٥٠/.test(result.transcript)));
+
+    const outputs = ['txt', 'json', 'srt', 'vtt'].map((extension) => `transcription_redaction.${extension}`);
+    for (const file of [...outputs, 'transcriptions.json', 'metadata_redaction.json']) {
+      const content = await fs.readFile(path.join(harness.outputDir, file), 'utf8');
+      assert.ok(!content.includes('4111') && !content.includes('٠٥٠١٢٣٤٥٦٧'), `${file} leaks a number`);
+    }
+
+    const audit = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'redactions_redaction.json'), 'utf8'));
+    assert.deepEqual(audit.counts, { card: 1, phone: 1 });
+    assert.deepEqual(audit.redactions.map(({ entity, reason, audioMuted }) => ({ entity, reason, audioMuted })), [
+      { entity: 'card', reason: '16-digit number passing the Luhn check', audioMuted: true },
+      { entity: 'phone', reason: '10-digit phone number', audioMuted: true }
+    ]);
+    assert.ok(!JSON.stringify(audit).includes('4111'));
+
+    // The card number (1.1-1.9 s) is silent in the recording; speech around it is not
+    const combined = await readWav(path.join(harness.outputDir, 'combined_redaction.wav'));
+    const peak = (fromMs, toMs) => {
+      let max = 0;
+      const perMs = combined.sampleRate / 1000;
+      for (let i = Math.round(fromMs * perMs); i < Math.round(toMs * perMs); i++) {
+        max = Math.max(max, Math.abs(combined.data.readInt16LE(i * 2)));
+      }
+      return max;
+    };
+    const [card] = audit.redactions;
+    assert.equal(peak(card.startMs, card.endMs), 0);
+    assert.ok(peak(200, 600) > 1000);
+  });
+});
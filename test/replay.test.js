@@ -0,0 +1,271 @@
+import { after, before, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import protobuf from 'protobufjs';
+import { AudioEncoding } from '../src/audio_codec.js';
+import { CloseCode, ErrorCode, ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { recoverOrphanedSessions } from '../src/session_recovery.js';
+import { readWav, startTestServer, waitFor, writeToneWav } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCRIPT = {
+  'agent-42': [
+    { text: 'Thank you for calling, how can I help?', start: 0.1, end: 0.9, languageCode: 'en-US' },
+    { text: 'Your balance is updated', start: 1.2, end: 1.8, languageCode: 'en-US' }
+  ],
+  '+966500000001': [
+    { text: 'مرحبا أريد شحن رصيدي', start: 0.2, end: 0.8, languageCode: 'ar-SA' }
+  ],
+  'supervisor-7': [
+    { text: 'Listening in', start: 0.1, end: 0.4, languageCode: 'en-US' }
+  ]
+};
+
+describe('call replay end to end', () => {
+  let harness;
+  let agentWav;
+  let visitorWav;
+  let supervisorWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT);
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 2 });
+    visitorWav = await writeToneWav(path.join(harness.workDir, 'visitor.wav'), { seconds: 1, frequency: 660 });
+    supervisorWav = await writeToneWav(path.join(harness.workDir, 'supervisor.wav'), { seconds: 0.5, frequency: 880 });
+  });
+
+  after(() => harness.stop());
+
+  const agent = () => ({ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-42' });
+  const visitor = (offsetMs = 0) => ({
+    file: visitorWav,
+    role: ParticipantRole.VISITOR,
+    identity: '+966500000001',
+    offsetMs
+  });
+
+  test('writes transcript, captions, metadata and a stereo recording for a two-party call', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [agent(), visitor()],
+      platformCallId: 'two-party',
+      speed: 0
+    });
+    const { results, errors, completed } = await replay.run();
+
+    assert.equal(completed, true);
+    assert.deepEqual(errors, []);
+    const finals = results.filter((result) => result.isFinal).map((result) => result.transcript);
+    assert.deepEqual(finals.sort(), [
+      'Thank you for calling, how can I help?',
+      'Your balance is updated',
+      'مرحبا أريد شحن رصيدي'
+    ].sort());
+
+    const transcript = await fs.readFile(path.join(harness.outputDir, 'transcription_two-party.txt'), 'utf8');
+    assert.match(transcript, /Platform call: two-party/);
+    assert.match(transcript, /Speaker agent-42: AGENT \(platformAgentId: agent-42\)/);
+    assert.match(transcript, /Thank you for calling, how can I help\?/);
+    assert.match(transcript, /مرحبا أريد شحن رصيدي/);
+    assert.ok(transcript.indexOf('Thank you for calling') < transcript.indexOf('Your balance is updated'));
+
+    const srt = await fs.readFile(path.join(harness.outputDir, 'transcription_two-party.srt'), 'utf8');
+    assert.match(srt, /^1\n00:00:00,\d{3} --> 00:00:00,\d{3}\n/);
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_two-party.json'), 'utf8'));
+    assert.equal(metadata.platformCallId, 'two-party');
+    assert.deepEqual(metadata.participants.map((participant) => participant.identity).sort(),
+      ['+966500000001', 'agent-42']);
+    assert.equal(metadata.sequence.gaps, 0);
+
+    const analytics = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'analytics_two-party.json'), 'utf8'));
+    assert.deepEqual(analytics.participants.map((participant) => participant.key).sort(), ['+966500000001', 'agent-42']);
+    assert.ok(analytics.participants.every((participant) => participant.talkTimeMs > 0));
+    assert.equal(analytics.overlap.count, 1);
+
+    const combined = await readWav(path.join(harness.outputDir, 'combined_two-party.wav'));
+    assert.equal(combined.channels, 2);
+    assert.equal(combined.sampleRate, 8000);
+    assert.ok(Math.abs(combined.durationMs - 2000) < 150, `combined audio lasts ${combined.durationMs} ms`);
+
+    // Per-participant recordings are merged and removed, along with the journal
+    const files = await fs.readdir(harness.outputDir);
+    assert.equal(files.some((file) => file.startsWith('participant_') || file.startsWith('journal_')), false);
+  });
+
+  test('places a late joiner on the call timeline', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [agent(), visitor(1000)],
+      platformCallId: 'late-join',
+      speed: 1
+    });
+    const { results, completed } = await replay.run();
+    assert.equal(completed, true);
+
+    const visitorResult = results.find((result) => result.isFinal &&
+      result.participant.externalUserId === '+966500000001');
+    assert.ok(visitorResult.resultStartTimeMs >= 1000, `visitor starts at ${visitorResult.resultStartTimeMs} ms`);
+
+    // Until the visitor joins, both stereo channels carry only the agent's
+    // audio, panned 60/40
+    const combined = await readWav(path.join(harness.outputDir, 'combined_late-join.wav'));
+    const frameBytes = combined.channels * 2;
+    const framesBeforeJoin = 0.8 * combined.sampleRate;
+    let largestDeviation = 0;
+    for (let frame = 0; frame < framesBeforeJoin; frame++) {
+      const left = combined.data.readInt16LE(frame * frameBytes);
+      const right = combined.data.readInt16LE(frame * frameBytes + 2);
+      largestDeviation = Math.max(largestDeviation, Math.abs(right - left * 2 / 3));
+    }
+    assert.ok(largestDeviation <= 2, `right channel deviated from the agent's panning by ${largestDeviation}`);
+  });
+
+  test('mixes three participants into separate channels from mu-law audio', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [
+        agent(),
+        visitor(),
+        { file: supervisorWav, role: ParticipantRole.AGENT, identity: 'supervisor-7' }
+      ],
+      platformCallId: 'three-party',
+      encoding: AudioEncoding.MULAW,
+      speed: 0
+    });
+    const { results, completed } = await replay.run();
+    assert.equal(completed, true);
+    assert.ok(results.some((result) => result.isFinal && result.transcript === 'Listening in'));
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_three-party.json'), 'utf8'));
+    assert.equal(metadata.audioFormat.encodingName, 'MULAW');
+
+    const combined = await readWav(path.join(harness.outputDir, 'combined_three-party.wav'));
+    assert.equal(combined.channels, 3);
+  });
+
+  test('keeps an earlier call when a platform call id repeats', async () => {
+    const replayCall = () => new CallReplay({
+      url: harness.url,
+      participants: [agent()],
+      platformCallId: 'repeated',
+      speed: 0
+    }).run();
+    await replayCall();
+    await replayCall();
+
+    const transcripts = (await fs.readdir(harness.outputDir))
+      .filter((file) => /^transcription_repeated.*\.json$/.test(file));
+    assert.equal(transcripts.length, 2);
+    const calls = harness.server.callStore.listCalls()
+      .filter((summary) => summary.platformCallId === 'repeated');
+    assert.deepEqual(calls.map((summary) => summary.sessionId.startsWith('repeated')), [true, true]);
+    assert.notEqual(calls[0].sessionId, calls[1].sessionId);
+  });
+
+  test('keeps the recordings and the journal when the mixdown fails', async () => {
+    // A directory where the combined recording goes makes writing it fail.
+    // It can only be made once the session is named, or the name would count
+    // as taken.
+    const combinedFile = path.join(harness.outputDir, 'combined_unmixed.wav');
+    const createSession = harness.server.createSession.bind(harness.server);
+    const created = mock.method(harness.server, 'createSession', (...args) => {
+      const session = createSession(...args);
+      session.once('identified', () => mkdirSync(combinedFile));
+      return session;
+    });
+    try {
+      await new CallReplay({
+        url: harness.url,
+        participants: [agent()],
+        platformCallId: 'unmixed',
+        speed: 0
+      }).run();
+    } finally {
+      created.mock.restore();
+    }
+
+    const files = await fs.readdir(harness.outputDir);
+    assert.ok(files.includes('journal_unmixed.jsonl'));
+    assert.ok(files.includes('participant_unmixed_agent-42.wav'));
+    assert.equal(harness.server.callStore.hasCall('unmixed'), false);
+
+    // Once the mixdown can succeed, recovery finishes the call
+    await fs.rmdir(combinedFile);
+    const recovered = await recoverOrphanedSessions(harness.outputDir);
+    assert.deepEqual(recovered.map((result) => [result.sessionId, result.recordings]), [['unmixed', 1]]);
+    assert.equal((await readWav(combinedFile)).channels, 1);
+    assert.equal((await fs.readdir(harness.outputDir)).includes('participant_unmixed_agent-42.wav'), false);
+  });
+
+  // A client sending hand-made requests; `send` takes the request as an object
+  async function connect() {
+    const root = await protobuf.load(path.join(__dirname, '..', 'audio.proto'));
+    const requestType = root.lookupType('StreamCallSessionRequest');
+    const responseType = root.lookupType('StreamCallSessionResponse');
+
+    const ws = new WebSocket(harness.url);
+    await new Promise((resolve) => ws.once('open', resolve));
+    const responses = [];
+    ws.on('message', (data) => responses.push(responseType.toObject(responseType.decode(data))));
+    return {
+      ws,
+      responses,
+      closed: new Promise((resolve) => ws.once('close', resolve)),
+      send: (request) => ws.send(requestType.encode(requestType.fromObject(request)).finish())
+    };
+  }
+
+  test('rejects audio sent before the streaming config', async () => {
+    const client = await connect();
+    client.send({
+      audioContent: { audioContent: Buffer.alloc(160), participant: { role: ParticipantRole.AGENT } },
+      sequenceId: '1'
+    });
+
+    assert.equal(await client.closed, CloseCode.POLICY_VIOLATION);
+    assert.equal(client.responses.at(-1).error.code, ErrorCode.CONFIG_REQUIRED);
+    assert.equal(client.responses.at(-1).error.fatal, true);
+  });
+
+  test('saves and stores nothing for connections that never start a call', async () => {
+    const filesBefore = await fs.readdir(harness.outputDir);
+    const callsBefore = harness.server.callStore.listCalls().length;
+
+    const text = await connect();
+    text.ws.send('hello');
+    assert.equal(await text.closed, CloseCode.INVALID_PAYLOAD);
+    assert.equal(text.responses.at(-1).error.code, ErrorCode.MALFORMED_MESSAGE);
+
+    const garbage = await connect();
+    garbage.ws.send(Buffer.from([0xff, 0xff, 0xff]));
+    assert.equal(await garbage.closed, CloseCode.INVALID_PAYLOAD);
+
+    const early = await connect();
+    early.send({ audioContent: { audioContent: Buffer.alloc(160), participant: { role: ParticipantRole.AGENT } } });
+    assert.equal(await early.closed, CloseCode.POLICY_VIOLATION);
+
+    await waitFor(() => harness.server.sessions.size === 0);
+    assert.deepEqual(await fs.readdir(harness.outputDir), filesBefore);
+    assert.equal(harness.server.callStore.listCalls().length, callsBefore);
+  });
+
+  test('processes and validates requests without a sequence_id', async () => {
+    const client = await connect();
+    client.send({ streamingConfig: { audioMetadata: { sampleRateHertz: 8000, encoding: AudioEncoding.LINEAR16 } } });
+    client.send({ audioContent: { audioContent: Buffer.alloc(160), participant: { role: ParticipantRole.AGENT } } });
+    client.send({ audioContent: { audioContent: Buffer.alloc(160) } });
+
+    assert.equal(await client.closed, CloseCode.POLICY_VIOLATION);
+    const errors = client.responses.filter((response) => response.error).map((response) => response.error);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].code, ErrorCode.INVALID_MESSAGE);
+    assert.match(errors[0].message, /participant is required/);
+  });
+});
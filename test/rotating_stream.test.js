@@ -0,0 +1,213 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { RecognitionEngine, RecognitionStream } from '../src/recognizers/recognition_engine.js';
+import { RotatingRecognitionStream } from '../src/recognizers/rotating_stream.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const SAMPLE_RATE = 8000;
+const quiet = { log: () => {}, warn: () => {} };
+
+// Counts the audio it receives; the test decides what it answers
+class FakeStream extends RecognitionStream {
+  constructor(options, onWrite) {
+    super();
+    this.options = options;
+    this.onWrite = onWrite;
+    this.receivedMs = 0;
+    this.ended = false;
+  }
+
+  write(pcm) {
+    this.receivedMs += pcm.length / 2 / SAMPLE_RATE * 1000;
+    this.onWrite?.(this);
+  }
+
+  end() {
+    this.ended = true;
+    setImmediate(() => this.emit('end'));
+  }
+
+  final(resultEndTimeMs, words = []) {
+    this.emit('result', {
+      isFinal: true,
+      resultEndTimeMs,
+      alternatives: [{ transcript: words.map((word) => word.word).join(' '), confidence: 0.9, words }]
+    });
+  }
+}
+
+class FakeEngine extends RecognitionEngine {
+  constructor({ maxStreamDurationMs = Infinity, onWrite } = {}) {
+    super('fake');
+    this.maxStreamDurationMs = maxStreamDurationMs;
+    this.onWrite = onWrite;
+    this.streams = [];
+  }
+
+  createStream(options) {
+    const stream = new FakeStream(options, (written) => this.onWrite?.(written, this.streams.indexOf(written)));
+    this.streams.push(stream);
+    return stream;
+  }
+}
+
+const audio = (ms) => Buffer.alloc(ms * SAMPLE_RATE / 1000 * 2);
+
+function collect(stream) {
+  const results = [];
+  const errors = [];
+  stream.on('result', (result) => results.push(result));
+  stream.on('error', (error) => errors.push(error));
+  return { results, errors };
+}
+
+test('rotates before the duration limit and replays audio not yet final', () => {
+  const engine = new FakeEngine({ maxStreamDurationMs: 2000 });
+  const stream = new RotatingRecognitionStream(engine, { speaker: 'a', sampleRate: SAMPLE_RATE }, quiet);
+  const { results } = collect(stream);
+
+  for (let i = 0; i < 14; i++) {
+    stream.write(audio(100));
+  }
+  engine.streams[0].final(1300);
+  for (let i = 0; i < 6; i++) {
+    stream.write(audio(100));
+  }
+  assert.equal(engine.streams.length, 1);
+
+  // The stream has 2000 ms of audio; the next write goes to a new one
+  stream.write(audio(100));
+  assert.equal(engine.streams.length, 2);
+  assert.equal(engine.streams[0].ended, true);
+  assert.equal(engine.streams[1].options.audioOffsetMs, 1300);
+  assert.equal(engine.streams[1].receivedMs, 800);
+
+  // Its offsets are relative to where it started
+  engine.streams[1].final(200, [{ word: 'hello', startMs: 50, endMs: 150 }]);
+  assert.equal(results[1].resultEndTimeMs, 1500);
+  assert.deepEqual(results[1].alternatives[0].words.map((word) => [word.startMs, word.endMs]), [[1350, 1450]]);
+});
+
+test('replays at most half a stream lifetime of audio', () => {
+  const engine = new FakeEngine({ maxStreamDurationMs: 1000 });
+  const stream = new RotatingRecognitionStream(engine, { speaker: 'a', sampleRate: SAMPLE_RATE }, quiet);
+
+  for (let i = 0; i < 11; i++) {
+    stream.write(audio(100));
+  }
+  assert.equal(engine.streams[1].options.audioOffsetMs, 500);
+  assert.equal(engine.streams[1].receivedMs, 600);
+});
+
+test('opens a new stream after deadline, out of range and unavailable errors', () => {
+  for (const code of [4, 11, 14]) {
+    const engine = new FakeEngine();
+    const stream = new RotatingRecognitionStream(engine, { speaker: 'a', sampleRate: SAMPLE_RATE }, quiet);
+    const { errors } = collect(stream);
+
+    stream.write(audio(200));
+    engine.streams[0].emit('error', Object.assign(new Error('dropped'), { code }));
+    stream.write(audio(100));
+
+    assert.deepEqual(errors, []);
+    assert.equal(engine.streams.length, 2);
+    // Nothing was final, so all of it is replayed
+    assert.equal(engine.streams[1].options.audioOffsetMs, 0);
+    assert.equal(engine.streams[1].receivedMs, 300);
+  }
+});
+
+test('gives up when new streams keep failing before any result', () => {
+  const engine = new FakeEngine();
+  const stream = new RotatingRecognitionStream(engine, { speaker: 'a', sampleRate: SAMPLE_RATE }, quiet);
+  const { errors } = collect(stream);
+  const fail = () => engine.streams[engine.streams.length - 1]
+    .emit('error', Object.assign(new Error('unavailable'), { code: 14 }));
+
+  stream.write(audio(100));
+  fail();
+  stream.write(audio(100));
+  // A result in between starts the count again
+  engine.streams[1].final(50);
+  for (let i = 0; i < 3; i++) {
+    fail();
+    stream.write(audio(100));
+  }
+  assert.deepEqual(errors, []);
+
+  fail();
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].code, 14);
+});
+
+test('reports errors that a new stream cannot fix', () => {
+  const engine = new FakeEngine();
+  const stream = new RotatingRecognitionStream(engine, { speaker: 'a', sampleRate: SAMPLE_RATE }, quiet);
+  const { errors } = collect(stream);
+
+  stream.write(audio(100));
+  engine.streams[0].emit('error', Object.assign(new Error('bad config'), { code: 3 }));
+  assert.equal(errors.length, 1);
+  assert.equal(engine.streams.length, 1);
+});
+
+test('starts at the given offset in the participant audio', () => {
+  const engine = new FakeEngine();
+  const stream = new RotatingRecognitionStream(engine,
+    { speaker: 'a', sampleRate: SAMPLE_RATE, audioOffsetMs: 2000 }, quiet);
+  const { results } = collect(stream);
+
+  assert.equal(engine.streams[0].options.audioOffsetMs, 2000);
+  stream.write(audio(600));
+  engine.streams[0].final(500, [{ word: 'again', startMs: 100, endMs: 500 }]);
+  assert.equal(results[0].resultEndTimeMs, 2500);
+  assert.equal(results[0].alternatives[0].words[0].startMs, 2100);
+});
+
+describe('recognizer restart end to end', () => {
+  let harness;
+  let engine;
+  let agentWav;
+
+  before(async () => {
+    // The first stream fails for good after 2 s of audio; the one replacing
+    // it recognizes a word early in its own audio
+    engine = new FakeEngine({
+      onWrite(stream, index) {
+        if (index === 0 && stream.receivedMs >= 2000 && !stream.failed) {
+          stream.failed = true;
+          stream.emit('error', Object.assign(new Error('invalid argument'), { code: 3 }));
+        }
+        if (index === 1 && stream.receivedMs >= 600 && !stream.answered) {
+          stream.answered = true;
+          stream.final(500, [{ word: 'again', startMs: 100, endMs: 500 }]);
+        }
+      }
+    });
+    harness = await startTestServer({}, { recognitionEngine: engine });
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 3 });
+  });
+
+  after(() => harness.stop());
+
+  test('places results of a replacement stream after the audio already sent', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'restarted',
+      speed: 0
+    });
+    const { completed } = await replay.run();
+    assert.equal(completed, true);
+    assert.equal(engine.streams.length, 2);
+
+    const transcript = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'transcription_restarted.json'), 'utf8'));
+    const [segment] = transcript.segments;
+    assert.equal(segment.text, 'again');
+    assert.ok(segment.startMs >= 2050 && segment.startMs <= 2300, `starts at ${segment.startMs} ms`);
+  });
+});
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SequenceStatus, SequenceTracker } from '../src/sequence_tracker.js';
+
+test('classifies consecutive, skipped, repeated and late sequence ids', () => {
+  const tracker = new SequenceTracker();
+  const statuses = ['1', '2', '5', '3', '3', '2', '6'].map((id) => tracker.check(id));
+
+  assert.deepEqual(statuses.map((result) => result.status), [
+    SequenceStatus.NEXT,
+    SequenceStatus.NEXT,
+    SequenceStatus.GAP,
+    SequenceStatus.OUT_OF_ORDER,
+    SequenceStatus.DUPLICATE,
+    SequenceStatus.DUPLICATE,
+    SequenceStatus.NEXT
+  ]);
+  assert.equal(statuses[2].skipped, 2);
+  assert.deepEqual(tracker.stats, { received: 7, gaps: 1, missing: 1, duplicates: 2, outOfOrder: 1 });
+});
+
+test('compares ids beyond Number precision', () => {
+  const tracker = new SequenceTracker();
+  tracker.check('9007199254740993');
+  assert.equal(tracker.check('9007199254740994').status, SequenceStatus.NEXT);
+  assert.equal(tracker.check('9007199254740994').status, SequenceStatus.DUPLICATE);
+});
@@ -0,0 +1,97 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { recoverOrphanedSessions } from '../src/session_recovery.js';
+import { readWav, writeToneWav } from './helpers.js';
+
+const agent = { role: 1, roleName: 'AGENT', identityType: 'platformAgentId', identity: 'agent-42' };
+const visitor = { role: 2, roleName: 'VISITOR', identityType: 'externalUserId', identity: '+966500000001' };
+
+// What a crashed FileWriter leaves: the header still carries its placeholder sizes
+async function writeUnfinishedRecording(file, seconds) {
+  await writeToneWav(file, { seconds });
+  const handle = await fs.open(file, 'r+');
+  const placeholder = Buffer.alloc(4);
+  placeholder.writeUInt32LE(0xffffffff - 44, 0);
+  await handle.write(placeholder, 0, 4, 40);
+  await handle.close();
+}
+
+let outputDir;
+
+before(async () => {
+  outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-recovery-'));
+});
+
+after(() => fs.rm(outputDir, { recursive: true, force: true }));
+
+test('finishes a call from its journal and unfinalized recordings', async () => {
+  await writeUnfinishedRecording(path.join(outputDir, 'participant_crashed_agent-42.wav'), 1);
+  await writeUnfinishedRecording(path.join(outputDir, 'participant_crashed_+966500000001.wav'), 0.5);
+
+  const segment = (speaker, participant, text, startMs) => ({
+    type: 'transcription', speaker, participant, text, startMs, endMs: startMs + 400,
+    timestamp: '2026-01-01T10:00:00.000Z', confidence: 0.9, languageCode: 'en-US'
+  });
+  const records = [
+    {
+      type: 'session', sessionId: 'crashed', platformCallId: 'crashed', profile: 'default', captions: true,
+      redaction: { enabled: true, entities: ['phone'], muteAudio: true, paddingMs: 0 },
+      startedAt: '2026-01-01T10:00:00.000Z', audioFormat: { sampleRate: 8000 }, payload: {}
+    },
+    { type: 'participants', participants: [['agent-42', agent], ['+966500000001', visitor]] },
+    { type: 'track', key: 'agent-42', participant: agent, channel: 0, offsetMs: 0, recordingFile: 'participant_crashed_agent-42.wav' },
+    {
+      ...segment('agent-42', agent, 'Second thing [PHONE]', 600),
+      redactions: [{ entity: 'phone', reason: '10-digit phone number', length: 10, startMs: 800, endMs: 1000 }]
+    },
+    { type: 'track', key: '+966500000001', participant: visitor, channel: 1, offsetMs: 500, recordingFile: 'participant_crashed_+966500000001.wav' },
+    segment('+966500000001', visitor, 'First thing', 100),
+    {
+      type: 'alert', ruleId: 'legal-threat', severity: 'high', missing: false, speaker: '+966500000001',
+      participant: visitor, matched: 'thing', text: 'First thing', atMs: 100
+    }
+  ];
+  const journal = records.map((record) => JSON.stringify({ ...record, at: '2026-01-01T10:00:01.000Z' })).join('\n');
+  // The process died halfway through writing the last line
+  await fs.writeFile(path.join(outputDir, 'journal_crashed.jsonl'), journal + '\n{"type":"transcr');
+
+  const recovered = await recoverOrphanedSessions(outputDir);
+  assert.deepEqual(recovered, [{ sessionId: 'crashed', segments: 2, recordings: 2 }]);
+
+  const transcript = await fs.readFile(path.join(outputDir, 'transcription_crashed.txt'), 'utf8');
+  assert.ok(transcript.indexOf('First thing') < transcript.indexOf('Second thing'));
+  assert.match(await fs.readFile(path.join(outputDir, 'transcription_crashed.vtt'), 'utf8'), /^WEBVTT/);
+
+  const combined = await readWav(path.join(outputDir, 'combined_crashed.wav'));
+  assert.equal(combined.channels, 2);
+  assert.ok(Math.abs(combined.durationMs - 1000) < 50);
+
+  const audit = JSON.parse(await fs.readFile(path.join(outputDir, 'redactions_crashed.json'), 'utf8'));
+  assert.deepEqual(audit.counts, { phone: 1 });
+  assert.equal(audit.redactions[0].speaker, 'agent-42');
+
+  const metadata = JSON.parse(await fs.readFile(path.join(outputDir, 'metadata_crashed.json'), 'utf8'));
+  assert.equal(metadata.participants.find((participant) => participant.key === '+966500000001').joinedAtMs, 500);
+  assert.ok(metadata.recoveredAt);
+  assert.deepEqual(metadata.alerts.map((alert) => alert.ruleId), ['legal-threat']);
+
+  const analytics = JSON.parse(await fs.readFile(path.join(outputDir, 'analytics_crashed.json'), 'utf8'));
+  assert.equal(analytics.participants.length, 2);
+
+  const remaining = await fs.readdir(outputDir);
+  assert.equal(remaining.some((file) => file.startsWith('journal_') || file.startsWith('participant_')), false);
+});
+
+test('repairs the header of a recording without a journal', async () => {
+  const file = path.join(outputDir, 'participant_unknown_agent.wav');
+  await writeUnfinishedRecording(file, 0.25);
+
+  await recoverOrphanedSessions(outputDir);
+
+  const repaired = await fs.readFile(file);
+  assert.equal(repaired.readUInt32LE(40), 0.25 * 8000 * 2);
+  assert.equal(repaired.readUInt32LE(4), repaired.length - 8);
+});
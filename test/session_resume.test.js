@@ -0,0 +1,166 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+import protobuf from 'protobufjs';
+import { CloseCode, ErrorCode, ParticipantRole, SessionEventType } from '../src/protocol.js';
+import { readWav, startTestServer, waitFor } from './helpers.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SCRIPT = {
+  default: [
+    { text: 'before the drop', start: 0.2, end: 0.6, languageCode: 'en-US' },
+    { text: 'after the drop', start: 1.4, end: 1.8, languageCode: 'en-US' }
+  ]
+};
+
+// Long enough that no reconnect races it; expiry is triggered by the tests
+const RESUME_GRACE_MS = 60000;
+
+// Minimal platform-side client speaking raw StreamCallSessionRequest frames
+class TestConnection {
+  static async open(url, types) {
+    const connection = new TestConnection(url, types);
+    await new Promise((resolve) => connection.ws.once('open', resolve));
+    return connection;
+  }
+
+  constructor(url, { requestType, responseType }) {
+    this.requestType = requestType;
+    this.ws = new WebSocket(url);
+    this.responses = [];
+    this.ws.on('message', (data) => this.responses.push(
+      responseType.toObject(responseType.decode(data), { defaults: true })
+    ));
+    this.closed = new Promise((resolve) => this.ws.once('close', resolve));
+  }
+
+  send(sequenceId, request) {
+    this.ws.send(this.requestType.encode(this.requestType.fromObject({ ...request, sequenceId: String(sequenceId) })).finish());
+  }
+
+  sendAudio(sequenceId) {
+    this.send(sequenceId, {
+      audioContent: { audioContent: Buffer.alloc(1600, 1), participant: { role: ParticipantRole.AGENT, platformAgentId: 'agent-1' } }
+    });
+  }
+
+  get errors() {
+    return this.responses.filter((response) => response.error).map((response) => response.error);
+  }
+}
+
+describe('session resume', () => {
+  let harness;
+  let types;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT, { resumeGraceMs: RESUME_GRACE_MS });
+    const root = await protobuf.load(path.join(__dirname, '..', 'audio.proto'));
+    types = {
+      requestType: root.lookupType('StreamCallSessionRequest'),
+      responseType: root.lookupType('StreamCallSessionResponse')
+    };
+  });
+
+  after(() => harness.stop());
+
+  async function startCall(platformCallId) {
+    const connection = await TestConnection.open(harness.url, types);
+    connection.send(1, { streamingConfig: { audioMetadata: { sampleRateHertz: 8000, encoding: 1 } } });
+    connection.send(2, { sessionEvent: { eventType: SessionEventType.CALL_STARTED, platformCallId } });
+    return connection;
+  }
+
+  test('continues the same recordings and transcript after a reconnect', async () => {
+    const first = await startCall('resume-call');
+    for (let sequenceId = 3; sequenceId <= 12; sequenceId++) {
+      first.sendAudio(sequenceId);
+    }
+    await waitFor(() => harness.server.sessions.get('resume-call')?.lastSequenceId === '12');
+    first.ws.terminate();
+    await waitFor(() => harness.server.sessions.get('resume-call').isSuspended);
+
+    const second = await TestConnection.open(harness.url, types);
+    second.send(0, { streamingConfig: { resume: { platformCallId: 'resume-call', lastAcknowledgedSequenceId: '5' } } });
+    await waitFor(() => second.responses.length > 0);
+    assert.equal(second.responses[0].acknowledgedSequenceId, '12');
+
+    // The client resends everything after its last acknowledgement
+    for (let sequenceId = 6; sequenceId <= 22; sequenceId++) {
+      second.sendAudio(sequenceId);
+    }
+    second.send(23, { sessionEvent: { eventType: SessionEventType.CALL_ENDED } });
+
+    assert.equal(await second.closed, CloseCode.NORMAL);
+    assert.deepEqual(second.errors, []);
+
+    const transcript = await fs.readFile(path.join(harness.outputDir, 'transcription_resume-call.txt'), 'utf8');
+    assert.match(transcript, /before the drop/);
+    assert.match(transcript, /after the drop/);
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_resume-call.json'), 'utf8'));
+    assert.equal(metadata.reconnects, 1);
+    assert.equal(metadata.sequence.duplicates, 7);
+
+    // One recording spanning both connections, including silence for the drop
+    const combined = await readWav(path.join(harness.outputDir, 'combined_resume-call.wav'));
+    assert.ok(combined.durationMs >= 2000, `combined audio lasts ${combined.durationMs} ms`);
+  });
+
+  test('takes a call over from a connection the server still thinks is open', async () => {
+    const first = await startCall('live-call');
+    for (let sequenceId = 3; sequenceId <= 6; sequenceId++) {
+      first.sendAudio(sequenceId);
+    }
+    await waitFor(() => harness.server.sessions.get('live-call')?.lastSequenceId === '6');
+    assert.equal(harness.server.sessions.get('live-call').isSuspended, false);
+
+    const second = await TestConnection.open(harness.url, types);
+    second.send(0, { streamingConfig: { resume: { platformCallId: 'live-call', lastAcknowledgedSequenceId: '6' } } });
+    await waitFor(() => second.responses.length > 0);
+    assert.equal(second.responses[0].acknowledgedSequenceId, '6');
+    // The old connection is cut off rather than left to feed the call
+    assert.notEqual(await first.closed, CloseCode.NORMAL);
+
+    for (let sequenceId = 7; sequenceId <= 10; sequenceId++) {
+      second.sendAudio(sequenceId);
+    }
+    second.send(11, { sessionEvent: { eventType: SessionEventType.CALL_ENDED } });
+    assert.equal(await second.closed, CloseCode.NORMAL);
+    assert.deepEqual(first.errors, []);
+    assert.deepEqual(second.errors, []);
+
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_live-call.json'), 'utf8'));
+    assert.equal(metadata.reconnects, 1);
+    assert.equal(metadata.sequence.duplicates, 0);
+  });
+
+  test('rejects a resume for a call that is not waiting', async () => {
+    const connection = await TestConnection.open(harness.url, types);
+    connection.send(0, { streamingConfig: { resume: { platformCallId: 'no-such-call' } } });
+
+    assert.equal(await connection.closed, CloseCode.POLICY_VIOLATION);
+    assert.equal(connection.errors[0].code, ErrorCode.RESUME_FAILED);
+  });
+
+  test('finalizes the call once the grace period passes', async () => {
+    const connection = await startCall('abandoned-call');
+    connection.sendAudio(3);
+    await waitFor(() => harness.server.sessions.get('abandoned-call')?.lastSequenceId === '3');
+    connection.ws.terminate();
+
+    await waitFor(() => harness.server.sessions.get('abandoned-call')?.isSuspended);
+    const session = harness.server.sessions.get('abandoned-call');
+    assert.ok(session.resumeTimer);
+    // What the grace timer does when it fires
+    session.expireResumeGrace();
+    await session.closePromise;
+    assert.equal(harness.server.sessions.has('abandoned-call'), false);
+    const metadata = JSON.parse(await fs.readFile(path.join(harness.outputDir, 'metadata_abandoned-call.json'), 'utf8'));
+    assert.equal(metadata.reconnects, 0);
+  });
+});
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vocabulary } from '../src/vocabulary.js';
+
+const vocabulary = new Vocabulary([{
+  name: 'products',
+  phrases: [
+    { value: 'Zain Cash', boost: 12, vocabulary: 'products' },
+    { value: 'زين كاش', boost: 15, vocabulary: 'products' },
+    { value: 'plan ${tier}', boost: 8, vocabulary: 'products' },
+    { value: 'Fiber Home', boost: 10, vocabulary: 'products' }
+  ],
+  customClasses: { tier: ['gold', 'platinum'] }
+}]);
+
+test('builds recognizer options from phrases and classes', () => {
+  const options = vocabulary.toRecognitionOptions();
+  assert.deepEqual(options.phrases[0], { value: 'Zain Cash', boost: 12 });
+  assert.deepEqual(options.customClasses, [{ name: 'tier', items: ['gold', 'platinum'] }]);
+});
+
+test('reports which boosted phrases the transcript contains', () => {
+  const { matched, unmatched } = vocabulary.findMatches([
+    { speaker: 'agent', startMs: 0, text: 'You can pay with zain cash on plan Platinum' },
+    { speaker: 'visitor', startMs: 900, text: 'عندي زين كاش' },
+    { speaker: 'visitor', startMs: 1500, text: 'The Fiber Homes offer' }
+  ]);
+
+  assert.deepEqual(matched.map((phrase) => [phrase.value, phrase.count]), [
+    ['Zain Cash', 1],
+    ['زين كاش', 1],
+    ['plan ${tier}', 1]
+  ]);
+  assert.equal(matched[2].occurrences[0].text, 'plan Platinum');
+  assert.deepEqual(unmatched.map((phrase) => phrase.value), ['Fiber Home']);
+});
@@ -0,0 +1,124 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { ScriptedEngine } from '../src/recognizers/index.js';
+import { VoiceActivityDetector, levelDb } from '../src/voice_activity.js';
+import { readWav, startTestServer, writeToneWav } from './helpers.js';
+
+const SAMPLE_RATE = 8000;
+
+function tone(ms, amplitude = 8000) {
+  const samples = ms * SAMPLE_RATE / 1000;
+  const pcm = Buffer.alloc(samples * 2);
+  for (let i = 0; i < samples; i++) {
+    pcm.writeInt16LE(Math.round(amplitude * Math.sin(2 * Math.PI * 440 * i / SAMPLE_RATE)), i * 2);
+  }
+  return pcm;
+}
+
+// Feed audio in 100 ms chunks; returns the forwarded [startMs, endMs] ranges
+function run(detector, pcm) {
+  const ranges = [];
+  const chunkBytes = SAMPLE_RATE / 10 * 2;
+  for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+    const atMs = offset / 2 / SAMPLE_RATE * 1000;
+    for (const piece of detector.process(pcm.subarray(offset, offset + chunkBytes), atMs)) {
+      const endMs = piece.atMs + piece.pcm.length / 2 / SAMPLE_RATE * 1000;
+      const last = ranges[ranges.length - 1];
+      if (last && Math.abs(last[1] - piece.atMs) < 1) {
+        last[1] = endMs;
+      } else {
+        ranges.push([piece.atMs, endMs]);
+      }
+    }
+  }
+  return ranges.map(([start, end]) => [Math.round(start), Math.round(end)]);
+}
+
+test('measures level relative to full scale', () => {
+  assert.equal(levelDb(Buffer.alloc(320)), -100);
+  assert.ok(Math.abs(levelDb(tone(100)) - -15.2) < 0.1);
+  assert.equal(levelDb(Buffer.concat([tone(20), Buffer.from([0x7f])])), levelDb(tone(20)));
+  assert.equal(levelDb(Buffer.alloc(1)), -100);
+});
+
+test('forwards speech with padding and suppresses the silence between', () => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+  const ranges = run(detector, Buffer.concat([tone(1000), Buffer.alloc(2 * SAMPLE_RATE * 2), tone(1000)]));
+
+  assert.deepEqual(ranges, [[0, 1500], [2700, 4000]]);
+  assert.equal(detector.stats.segments, 2);
+  assert.equal(Math.round(detector.stats.speechMs), 2000);
+  assert.equal(Math.round(detector.suppressedMs), 1200);
+});
+
+test('treats a constant hum as background after a while', () => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE });
+  const ranges = run(detector, tone(20000, 1000));
+
+  assert.equal(ranges.length, 1);
+  assert.equal(ranges[0][0], 0);
+  assert.ok(ranges[0][1] < 15000, `hum forwarded until ${ranges[0][1]} ms`);
+});
+
+test('forwards everything when disabled', () => {
+  const detector = new VoiceActivityDetector({ sampleRate: SAMPLE_RATE, enabled: false });
+  assert.deepEqual(run(detector, Buffer.alloc(16000)), [[0, 1000]]);
+  assert.equal(detector.suppressedMs, 0);
+});
+
+describe('silence suppression end to end', () => {
+  // Times count only the audio the recognizer receives: 0-1.5 s is the first
+  // burst and its trailing padding, the second burst's lead-in starts at 1.5 s
+  const SCRIPT = {
+    'agent-1': [
+      { text: 'first burst', start: 0.2, end: 0.8, languageCode: 'en-US' },
+      { text: 'second burst', start: 2.0, end: 2.6, languageCode: 'en-US' }
+    ]
+  };
+
+  let harness;
+  let agentWav;
+
+  before(async () => {
+    harness = await startTestServer(SCRIPT, {
+      // Pause idle recognizer streams quickly so the silence triggers it
+      recognitionEngine: new ScriptedEngine(SCRIPT, { maxIdleMs: 100 })
+    });
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 4, silences: [[1, 3]] });
+  });
+
+  after(() => harness.stop());
+
+  for (const [name, speed] of [['unpaced', 0], ['paced with an idle pause', 2]]) {
+    test(`keeps results on the call timeline and the full recording (${name})`, async () => {
+      const platformCallId = `vad-${speed}`;
+      const replay = new CallReplay({
+        url: harness.url,
+        participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+        platformCallId,
+        speed
+      });
+      const { results, completed } = await replay.run();
+      assert.equal(completed, true);
+
+      const finals = results.filter((result) => result.isFinal);
+      assert.deepEqual(finals.map((result) => result.transcript), ['first burst', 'second burst']);
+      assert.ok(Math.abs(finals[0].resultStartTimeMs - 200) <= 20, `first starts at ${finals[0].resultStartTimeMs}`);
+      assert.ok(Math.abs(finals[1].resultStartTimeMs - 3200) <= 20, `second starts at ${finals[1].resultStartTimeMs}`);
+
+      const metadata = JSON.parse(await fs.readFile(
+        path.join(harness.outputDir, `metadata_${platformCallId}.json`), 'utf8'));
+      assert.ok(Math.abs(metadata.voiceActivity.suppressedMs - 1200) <= 20,
+        `suppressed ${metadata.voiceActivity.suppressedMs} ms`);
+      assert.equal(metadata.voiceActivity.suppressedPercent, 30);
+      assert.equal(metadata.participants[0].voiceActivity.segments, 2);
+
+      const combined = await readWav(path.join(harness.outputDir, `combined_${platformCallId}.wav`));
+      assert.ok(Math.abs(combined.durationMs - 4000) < 150, `combined audio lasts ${combined.durationMs} ms`);
+    });
+  }
+});
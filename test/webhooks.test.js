@@ -0,0 +1,213 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { WebhookDispatcher, WebhookEvent, retryDelayMs, signPayload } from '../src/webhooks.js';
+import { ParticipantRole } from '../src/protocol.js';
+import { CallReplay } from '../src/replay_client.js';
+import { startTestServer, writeToneWav } from './helpers.js';
+
+const SECRET = 'test-webhook-secret';
+
+// Collects POSTs; answers with the next status in `statuses`, then 200
+async function startReceiver(statuses = []) {
+  const received = [];
+  const waiters = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      const status = statuses.shift() ?? 200;
+      res.writeHead(status);
+      res.end();
+      if (status === 200) {
+        received.push({ headers: req.headers, body, payload: JSON.parse(body) });
+        waiters.filter(({ count }) => received.length >= count).forEach(({ resolve }) => resolve());
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+
+  return {
+    received,
+    url: `http://localhost:${server.address().port}/hooks`,
+    waitFor(count) {
+      return received.length >= count ?
+        Promise.resolve() :
+        new Promise((resolve) => waiters.push({ count, resolve }));
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    }
+  };
+}
+
+let workDir;
+
+before(async () => {
+  workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'transcribe-webhooks-'));
+});
+
+after(() => fs.rm(workDir, { recursive: true, force: true }));
+
+test('backs off exponentially up to a cap', () => {
+  const settings = { retryBaseMs: 1000, retryMaxMs: 10000 };
+  assert.equal(retryDelayMs(1, settings, () => 0.5), 1000);
+  assert.equal(retryDelayMs(3, settings, () => 0.5), 4000);
+  assert.equal(retryDelayMs(10, settings, () => 0.5), 10000);
+  assert.equal(retryDelayMs(1, settings, () => 0), 800);
+});
+
+test('rejects endpoints without a secret or with unknown events', () => {
+  const outboxDir = path.join(workDir, 'invalid');
+  assert.throws(() => new WebhookDispatcher({ outboxDir, endpoints: [{ name: 'a', url: 'http://localhost/' }] }),
+    /needs a signing secret/);
+  assert.throws(() => new WebhookDispatcher({
+    outboxDir,
+    endpoints: [{ name: 'a', url: 'http://localhost/', secret: SECRET, events: ['call.started'] }]
+  }), /unknown events: call.started/);
+});
+
+test('retries failed deliveries in order and keeps them in the outbox until delivered', async () => {
+  const receiver = await startReceiver([503, 503]);
+  const outboxDir = path.join(workDir, 'retry');
+  const dispatcher = new WebhookDispatcher({
+    outboxDir,
+    endpoints: [{ name: 'crm', url: receiver.url, secret: SECRET }],
+    retryBaseMs: 20
+  });
+  await dispatcher.start();
+
+  await dispatcher.publish(WebhookEvent.SEGMENT_FINAL, { sessionId: 'a', segment: { text: 'first' } });
+  await dispatcher.publish(WebhookEvent.SEGMENT_FINAL, { sessionId: 'a', segment: { text: 'second' } });
+  assert.equal((await fs.readdir(path.join(outboxDir, 'pending'))).length, 2);
+
+  await receiver.waitFor(2);
+  assert.deepEqual(receiver.received.map(({ payload }) => payload.data.segment.text), ['first', 'second']);
+  const [first] = receiver.received;
+  assert.equal(first.headers['x-webhook-attempt'], '3');
+  assert.equal(first.headers['x-webhook-signature'],
+    `sha256=${signPayload(SECRET, first.headers['x-webhook-timestamp'], first.body)}`);
+
+  await dispatcher.close();
+  await receiver.close();
+  assert.deepEqual(await fs.readdir(path.join(outboxDir, 'pending')), []);
+});
+
+test('keeps retrying transient failures at the capped interval', { timeout: 10000 }, async () => {
+  const receiver = await startReceiver([...Array(15).fill(503), 429, 408]);
+  const outboxDir = path.join(workDir, 'persistent');
+  const dispatcher = new WebhookDispatcher({
+    outboxDir,
+    endpoints: [{ name: 'crm', url: receiver.url, secret: SECRET }],
+    retryBaseMs: 1,
+    retryMaxMs: 5
+  });
+  await dispatcher.start();
+  await dispatcher.publish(WebhookEvent.CALL_COMPLETED, { sessionId: 'd' });
+  await receiver.waitFor(1);
+  await dispatcher.close();
+  await receiver.close();
+
+  assert.equal(receiver.received[0].headers['x-webhook-attempt'], '18');
+  assert.deepEqual(await fs.readdir(path.join(outboxDir, 'failed')), []);
+});
+
+test('delivers what a previous run left in the outbox', async () => {
+  const outboxDir = path.join(workDir, 'restart');
+  const down = await startReceiver();
+  const unreachable = down.url;
+  await down.close();
+
+  const first = new WebhookDispatcher({ outboxDir, endpoints: [{ name: 'crm', url: unreachable, secret: SECRET }] });
+  await first.start();
+  await first.publish(WebhookEvent.CALL_COMPLETED, { sessionId: 'b' });
+  await first.close();
+  assert.equal((await fs.readdir(path.join(outboxDir, 'pending'))).length, 1);
+
+  const receiver = await startReceiver();
+  const second = new WebhookDispatcher({ outboxDir, endpoints: [{ name: 'crm', url: receiver.url, secret: SECRET }] });
+  await second.start();
+  await receiver.waitFor(1);
+  await second.close();
+  await receiver.close();
+
+  assert.equal(receiver.received[0].payload.event, 'call.completed');
+  assert.deepEqual(await fs.readdir(path.join(outboxDir, 'pending')), []);
+});
+
+test('sets aside deliveries the receiver refuses', async () => {
+  const receiver = await startReceiver([400]);
+  const outboxDir = path.join(workDir, 'refused');
+  const dispatcher = new WebhookDispatcher({
+    outboxDir,
+    endpoints: [{ name: 'crm', url: receiver.url, secret: SECRET }]
+  });
+  await dispatcher.start();
+  await dispatcher.publish(WebhookEvent.SEGMENT_FINAL, { sessionId: 'c', segment: { text: 'bad' } });
+  await dispatcher.publish(WebhookEvent.SEGMENT_FINAL, { sessionId: 'c', segment: { text: 'good' } });
+  await receiver.waitFor(1);
+  await dispatcher.close();
+  await receiver.close();
+
+  assert.deepEqual(receiver.received.map(({ payload }) => payload.data.segment.text), ['good']);
+  const [failed] = await fs.readdir(path.join(outboxDir, 'failed'));
+  const delivery = JSON.parse(await fs.readFile(path.join(outboxDir, 'failed', failed), 'utf8'));
+  assert.equal(delivery.lastError, 'HTTP 400');
+});
+
+describe('webhooks end to end', () => {
+  const SCRIPT = {
+    'agent-1': [
+      { text: 'hello there', start: 0.2, end: 0.6 },
+      { text: 'goodbye now', start: 0.8, end: 1.2 }
+    ]
+  };
+
+  let harness;
+  let receiver;
+  let agentWav;
+
+  before(async () => {
+    receiver = await startReceiver();
+    const webhooksFile = path.join(workDir, 'webhooks.json');
+    await fs.writeFile(webhooksFile, JSON.stringify({
+      endpoints: [{ name: 'crm', url: receiver.url, secret: SECRET }]
+    }));
+    harness = await startTestServer(SCRIPT, { webhooksFile });
+    agentWav = await writeToneWav(path.join(harness.workDir, 'agent.wav'), { seconds: 1.5 });
+  });
+
+  after(async () => {
+    await harness.stop();
+    await receiver.close();
+  });
+
+  test('posts final segments as they arrive and the completed call', async () => {
+    const replay = new CallReplay({
+      url: harness.url,
+      participants: [{ file: agentWav, role: ParticipantRole.AGENT, identity: 'agent-1' }],
+      platformCallId: 'webhooks',
+      speed: 0
+    });
+    const { completed } = await replay.run();
+    assert.equal(completed, true);
+
+    await receiver.waitFor(3);
+    const payloads = receiver.received.map(({ payload }) => payload);
+    assert.deepEqual(payloads.map((payload) => payload.event), ['segment.final', 'segment.final', 'call.completed']);
+    assert.deepEqual(payloads.slice(0, 2).map((payload) => payload.data.segment.text), ['hello there', 'goodbye now']);
+
+    const call = payloads[2].data;
+    assert.equal(call.platformCallId, 'webhooks');
+    assert.equal(call.recordingFile, path.join(harness.outputDir, 'combined_webhooks.wav'));
+    assert.equal(call.transcript.segments.length, 2);
+    assert.equal(call.metadata.participants[0].key, 'agent-1');
+  });
+});